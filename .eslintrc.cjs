@@ -18,5 +18,13 @@ module.exports = {
     ],
     'react/prop-types': 'off',
   },
+  overrides: [
+    {
+      // Cloud Functions run on Node as CommonJS
+      files: ['functions/**/*.js'],
+      env: { node: true, browser: false },
+      parserOptions: { sourceType: 'script' },
+    },
+  ],
 }
 
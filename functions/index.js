@@ -1,6 +1,7 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 const sgMail = require("@sendgrid/mail");
+const { toMinor, fromMinor } = require('./money');
 
 admin.initializeApp();
 
@@ -17,6 +18,68 @@ if (SENDGRID_API_KEY) {
   console.warn("WARNING: SendGrid API Key not found in functions config.");
 }
 
+/**
+ * Escape user-entered text (product, business and payment method names) for an HTML email
+ */
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Summarize a business's sales for a period, net of credit notes (refunds) and voids
+ * Amounts are summed in integer minor units so totals reconcile to the franc
+ */
+const summarizeSales = async (db, businessId, start, end) => {
+  const [salesSnapshot, creditNotesSnapshot] = await Promise.all([
+    db
+      .collection('sales')
+      .where('businessId', '==', businessId)
+      .where('createdAt', '>=', start)
+      .where('createdAt', '<=', end)
+      .get(),
+    db
+      .collection('creditNotes')
+      .where('businessId', '==', businessId)
+      .where('createdAt', '>=', start)
+      .where('createdAt', '<=', end)
+      .get(),
+  ]);
+
+  let totalSalesMinor = 0;
+  let totalVATMinor = 0;
+  let refundsMinor = 0;
+  let transactionCount = 0;
+
+  salesSnapshot.forEach((saleDoc) => {
+    const sale = saleDoc.data();
+    // Voided sales are kept for audit but excluded from every total
+    if (sale.voidStatus === 'voided') {
+      return;
+    }
+    totalSalesMinor += toMinor(sale.total);
+    totalVATMinor += toMinor(sale.vatAmount);
+    transactionCount += 1;
+  });
+
+  creditNotesSnapshot.forEach((creditNoteDoc) => {
+    const creditNote = creditNoteDoc.data();
+    totalSalesMinor -= toMinor(creditNote.total);
+    totalVATMinor -= toMinor(creditNote.vatAmount);
+    refundsMinor += toMinor(creditNote.total);
+  });
+
+  return {
+    transactionCount,
+    totalSales: fromMinor(totalSalesMinor),
+    totalVAT: fromMinor(totalVATMinor),
+    refundsTotal: fromMinor(refundsMinor),
+  };
+};
+
 /**
  * Scheduled function to send weekly sales summary email to admin users
  * Runs every Friday at 9:00 AM UTC
@@ -24,7 +87,7 @@ if (SENDGRID_API_KEY) {
 exports.sendWeeklySalesReport = functions.pubsub
   .schedule('0 9 * * 5') // Every Friday at 9:00 AM UTC
   .timeZone('Africa/Kigali')
-  .onRun(async (context) => {
+  .onRun(async () => {
     const db = admin.firestore();
     const now = admin.firestore.Timestamp.now();
     const weekAgo = admin.firestore.Timestamp.fromMillis(
@@ -39,25 +102,13 @@ exports.sendWeeklySalesReport = functions.pubsub
         const businessId = businessDoc.id;
         const businessData = businessDoc.data();
 
-        // 1. Get sales for the past week
-        const salesSnapshot = await db
-          .collection('sales')
-          .where('businessId', '==', businessId)
-          .where('createdAt', '>=', weekAgo)
-          .where('createdAt', '<=', now)
-          .get();
-
-        // 2. Calculate summary
-        let totalSales = 0;
-        let totalVAT = 0;
-        let transactionCount = 0;
-
-        salesSnapshot.forEach((saleDoc) => {
-          const sale = saleDoc.data();
-          totalSales += sale.total || 0;
-          totalVAT += sale.vatAmount || 0;
-          transactionCount += 1;
-        });
+        // 1. Summarize sales for the past week, net of refunds
+        const { totalSales, totalVAT, refundsTotal, transactionCount } = await summarizeSales(
+          db,
+          businessId,
+          weekAgo,
+          now
+        );
 
         // 3. Send Email if enabled
         if (businessData.emailEnabled && businessData.emailAddress) {
@@ -69,7 +120,7 @@ exports.sendWeeklySalesReport = functions.pubsub
             html: `
               <div style="font-family: Arial, sans-serif; color: #333;">
                 <h2>Weekly Sales Report</h2>
-                <p><strong>Business:</strong> ${businessData.name}</p>
+                <p><strong>Business:</strong> ${escapeHtml(businessData.name)}</p>
                 <p><strong>Period:</strong> Last 7 days</p>
                 <hr style="border: 1px solid #eee;">
                 <h3>Summary</h3>
@@ -77,6 +128,7 @@ exports.sendWeeklySalesReport = functions.pubsub
                   <li><strong>Total Transactions:</strong> ${transactionCount}</li>
                   <li><strong>Total Sales:</strong> ${totalSales.toLocaleString()} RWF</li>
                   <li><strong>Total VAT:</strong> ${totalVAT.toLocaleString()} RWF</li>
+                  <li><strong>Refunds:</strong> ${refundsTotal.toLocaleString()} RWF</li>
                 </ul>
                 <p style="margin-top: 20px; font-size: 12px; color: #666;">Thank you for using Tracki!</p>
               </div>
@@ -102,6 +154,111 @@ exports.sendWeeklySalesReport = functions.pubsub
     }
   });
 
+/**
+ * Products at or below their reorder level, furthest below first
+ * Mirrors getLowStockProducts in src/utils/stockUtils.js.
+ */
+const getLowStockProducts = async (db, businessId) => {
+  const productsSnapshot = await db
+    .collection('products')
+    .where('businessId', '==', businessId)
+    .get();
+
+  return productsSnapshot.docs
+    .map((productDoc) => productDoc.data())
+    .filter(
+      (product) =>
+        !product.archived &&
+        product.reorderLevel != null &&
+        (product.currentStock || 0) <= product.reorderLevel
+    )
+    .sort(
+      (a, b) =>
+        (a.currentStock || 0) - a.reorderLevel - ((b.currentStock || 0) - b.reorderLevel) ||
+        a.name.localeCompare(b.name)
+    );
+};
+
+/**
+ * Scheduled function to email a digest of products that need reordering
+ * Runs every day at 7:00 AM Rwanda time; businesses with nothing low get no email
+ */
+exports.sendLowStockDigest = functions.pubsub
+  .schedule('0 7 * * *') // Every day at 7:00 AM
+  .timeZone('Africa/Kigali')
+  .onRun(async () => {
+    const db = admin.firestore();
+
+    try {
+      const businessesSnapshot = await db.collection('businesses').get();
+
+      // Process businesses sequentially
+      for (const businessDoc of businessesSnapshot.docs) {
+        const businessId = businessDoc.id;
+        const businessData = businessDoc.data();
+
+        if (!businessData.emailEnabled || !businessData.emailAddress) {
+          console.log(`Skipping low-stock digest for ${businessId}: Email not enabled or missing.`);
+          continue;
+        }
+
+        const lowStockProducts = await getLowStockProducts(db, businessId);
+        if (lowStockProducts.length === 0) {
+          continue;
+        }
+
+        const rows = lowStockProducts
+          .map(
+            (product) => `
+              <tr>
+                <td style="padding: 6px 12px; border-bottom: 1px solid #eee;">${escapeHtml(product.name)}</td>
+                <td style="padding: 6px 12px; border-bottom: 1px solid #eee; text-align: right; color: ${
+                  (product.currentStock || 0) <= 0 ? '#dc2626' : '#ea580c'
+                };">${product.currentStock || 0}</td>
+                <td style="padding: 6px 12px; border-bottom: 1px solid #eee; text-align: right;">${escapeHtml(product.reorderLevel)}</td>
+              </tr>`
+          )
+          .join('');
+
+        const msg = {
+          to: businessData.emailAddress,
+          from: SENDER_EMAIL,
+          subject: `Low Stock: ${lowStockProducts.length} product${lowStockProducts.length !== 1 ? 's' : ''} to reorder - ${businessData.name}`,
+          html: `
+            <div style="font-family: Arial, sans-serif; color: #333;">
+              <h2>Low Stock Digest</h2>
+              <p><strong>Business:</strong> ${escapeHtml(businessData.name)}</p>
+              <p>These products are at or below their reorder level:</p>
+              <table style="border-collapse: collapse;">
+                <thead>
+                  <tr>
+                    <th style="padding: 6px 12px; text-align: left; border-bottom: 2px solid #ddd;">Product</th>
+                    <th style="padding: 6px 12px; text-align: right; border-bottom: 2px solid #ddd;">In Stock</th>
+                    <th style="padding: 6px 12px; text-align: right; border-bottom: 2px solid #ddd;">Reorder Level</th>
+                  </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+              </table>
+              <p style="margin-top: 20px; font-size: 12px; color: #666;">Thank you for using Tracki!</p>
+            </div>
+          `,
+        };
+
+        try {
+          await sgMail.send(msg);
+          console.log(`Low-stock digest sent to ${businessData.emailAddress}`);
+        } catch (emailError) {
+          console.error(`Failed to send email to ${businessData.emailAddress}:`, emailError);
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error in low-stock digest job:', error);
+      return null;
+    }
+  });
+
 /**
  * HTTP function to send sales report via email
  * Called from frontend when user requests email report
@@ -147,8 +304,8 @@ exports.sendSalesReportEmail = functions.https.onCall(async (data, context) => {
       html: `
         <div style="font-family: Arial, sans-serif; color: #333;">
           <h2>Sales Report</h2>
-          <p><strong>Business:</strong> ${businessData.name}</p>
-          <p><strong>Period:</strong> ${reportData.startDate} to ${reportData.endDate}</p>
+          <p><strong>Business:</strong> ${escapeHtml(businessData.name)}</p>
+          <p><strong>Period:</strong> ${escapeHtml(reportData.startDate)} to ${escapeHtml(reportData.endDate)}</p>
           <hr style="border: 1px solid #eee;">
           <h3>Summary</h3>
           <ul>
@@ -157,6 +314,12 @@ exports.sendSalesReportEmail = functions.https.onCall(async (data, context) => {
             <li><strong>Total VAT:</strong> ${reportData.summary.totalVAT.toLocaleString()} RWF</li>
             <li><strong>Grand Total:</strong> ${reportData.summary.grandTotal.toLocaleString()} RWF</li>
           </ul>
+          <h3>Payment Methods</h3>
+          <ul>
+            ${(reportData.summary.paymentMethods || [])
+              .map((row) => `<li><strong>${escapeHtml(row.method)}:</strong> ${row.amount.toLocaleString()} RWF (${escapeHtml(row.count)} sales)</li>`)
+              .join('')}
+          </ul>
           <p style="margin-top: 20px; font-size: 12px; color: #666;">Generated via Tracki App</p>
         </div>
       `,
@@ -203,23 +366,12 @@ exports.generateSalesReport = functions.https.onRequest(async (req, res) => {
   );
 
   try {
-    const salesSnapshot = await db
-      .collection('sales')
-      .where('businessId', '==', businessId)
-      .where('createdAt', '>=', weekAgo)
-      .where('createdAt', '<=', now)
-      .get();
-
-    let totalSales = 0;
-    let totalVAT = 0;
-    let transactionCount = 0;
-
-    salesSnapshot.forEach((saleDoc) => {
-      const sale = saleDoc.data();
-      totalSales += sale.total || 0;
-      totalVAT += sale.vatAmount || 0;
-      transactionCount += 1;
-    });
+    const { totalSales, totalVAT, refundsTotal, transactionCount } = await summarizeSales(
+      db,
+      businessId,
+      weekAgo,
+      now
+    );
 
     res.json({
       success: true,
@@ -230,6 +382,7 @@ exports.generateSalesReport = functions.https.onRequest(async (req, res) => {
         totalSales,
         totalVAT,
         grandTotal: totalSales,
+        refundsTotal,
       },
     });
   } catch (error) {
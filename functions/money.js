@@ -0,0 +1,26 @@
+/**
+ * Money arithmetic in integer minor units (1/100 RWF)
+ * Mirrors src/utils/money.js for the Cloud Functions runtime.
+ * Rounding rule: half away from zero, at the minor unit.
+ */
+
+const MINOR_UNITS_PER_RWF = 100;
+
+/**
+ * Convert an RWF amount to integer minor units
+ */
+const toMinor = (amount) => {
+  const value = Number(amount) || 0;
+  return Math.round(Number((value * MINOR_UNITS_PER_RWF).toFixed(6)));
+};
+
+/**
+ * Convert integer minor units back to an RWF amount
+ */
+const fromMinor = (minor) => minor / MINOR_UNITS_PER_RWF;
+
+module.exports = {
+  MINOR_UNITS_PER_RWF,
+  toMinor,
+  fromMinor,
+};
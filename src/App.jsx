@@ -9,18 +9,28 @@ import Sidebar from './components/layout/Sidebar';
 import LoginPage from './pages/LoginPage';
 import Dashboard from './pages/Dashboard';
 import RecordSale from './pages/RecordSale';
+import Inventory from './pages/Inventory';
+import ProductDetails from './pages/ProductDetails';
+import Customers from './pages/Customers';
+import Promotions from './pages/Promotions';
+import Quotes from './pages/Quotes';
+import Suppliers from './pages/Suppliers';
+import PurchaseOrders from './pages/PurchaseOrders';
+import Shifts from './pages/Shifts';
+import Sales from './pages/Sales';
 import Reports from './pages/Reports';
 import Settings from './pages/Settings';
 import { useAuth } from './hooks/useAuth';
 import { useInactivity } from './hooks/useInactivity';
 import OfflineIndicator from './components/common/OfflineIndicator';
+import { parkActiveCart } from './services/offlineService';
 
 const AppLayout = ({ children }) => {
   const { user } = useAuth();
   const [isSidebarOpen, setSidebarOpen] = useState(false);
   
-  // Enable inactivity tracking for logged-in users
-  useInactivity();
+  // Enable inactivity tracking for logged-in users; a cart being rung up is parked first
+  useInactivity(parkActiveCart);
 
   if (!user) {
     return children;
@@ -71,6 +81,36 @@ function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/sales"
+            element={
+              <PrivateRoute>
+                <AppLayout>
+                  <Sales />
+                </AppLayout>
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/inventory"
+            element={
+              <PrivateRoute>
+                <AppLayout>
+                  <Inventory />
+                </AppLayout>
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/inventory/:productId"
+            element={
+              <PrivateRoute>
+                <AppLayout>
+                  <ProductDetails />
+                </AppLayout>
+              </PrivateRoute>
+            }
+          />
           <Route
             path="/reports"
             element={
@@ -81,6 +121,66 @@ function App() {
               </PrivateRoute>
             }
           />
+          <Route
+            path="/customers"
+            element={
+              <PrivateRoute>
+                <AppLayout>
+                  <Customers />
+                </AppLayout>
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/quotes"
+            element={
+              <PrivateRoute>
+                <AppLayout>
+                  <Quotes />
+                </AppLayout>
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/suppliers"
+            element={
+              <PrivateRoute>
+                <AppLayout>
+                  <Suppliers />
+                </AppLayout>
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/purchase-orders"
+            element={
+              <PrivateRoute>
+                <AppLayout>
+                  <PurchaseOrders />
+                </AppLayout>
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/promotions"
+            element={
+              <PrivateRoute requiredRole="admin">
+                <AppLayout>
+                  <Promotions />
+                </AppLayout>
+              </PrivateRoute>
+            }
+          />
+          <Route
+            path="/shifts"
+            element={
+              <PrivateRoute>
+                <AppLayout>
+                  <Shifts />
+                </AppLayout>
+              </PrivateRoute>
+            }
+          />
           <Route
             path="/settings"
             element={
@@ -0,0 +1,117 @@
+import { useState, useEffect, useRef } from 'react';
+import { BARCODE_FORMATS } from '../../utils/barcodeUtils';
+import Modal from './Modal';
+import Button from './Button';
+
+// How often a video frame is checked for a barcode
+const SCAN_INTERVAL_MS = 300;
+
+/**
+ * Scan a barcode with the device camera through the BarcodeDetector API
+ * Only render the trigger for this when isCameraScanSupported() is true.
+ */
+const BarcodeScannerModal = ({ isOpen, onDetected, onClose }) => {
+  const videoRef = useRef(null);
+  const onDetectedRef = useRef(onDetected);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    onDetectedRef.current = onDetected;
+  }, [onDetected]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let stream = null;
+    let intervalId = null;
+    let stopped = false;
+
+    const stop = () => {
+      stopped = true;
+      if (intervalId) clearInterval(intervalId);
+      if (stream) stream.getTracks().forEach((track) => track.stop());
+    };
+
+    const start = async () => {
+      setError('');
+      try {
+        const supportedFormats = await window.BarcodeDetector.getSupportedFormats();
+        const formats = Object.values(BARCODE_FORMATS).filter((format) =>
+          supportedFormats.includes(format)
+        );
+        if (formats.length === 0) {
+          setError('This device cannot read EAN-13, UPC-A or Code128 barcodes with the camera.');
+          return;
+        }
+        const detector = new window.BarcodeDetector({ formats });
+
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: { facingMode: 'environment' },
+          audio: false,
+        });
+        if (stopped) {
+          stop();
+          return;
+        }
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        let detecting = false;
+        intervalId = setInterval(async () => {
+          if (detecting || stopped) return;
+          detecting = true;
+          try {
+            const barcodes = await detector.detect(videoRef.current);
+            if (barcodes.length > 0 && !stopped) {
+              stop();
+              onDetectedRef.current(barcodes[0].rawValue);
+            }
+          } catch (e) {
+            // The frame was not ready yet; try the next one
+          } finally {
+            detecting = false;
+          }
+        }, SCAN_INTERVAL_MS);
+      } catch (e) {
+        console.error('Error starting camera scan:', e);
+        setError(
+          e.name === 'NotAllowedError'
+            ? 'Camera access was denied. Allow it in the browser settings to scan barcodes.'
+            : 'Could not start the camera.'
+        );
+      }
+    };
+
+    start();
+
+    return stop;
+  }, [isOpen]);
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Scan Barcode">
+      <div className="space-y-6">
+        {error ? (
+          <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+        ) : (
+          <>
+            <video
+              ref={videoRef}
+              muted
+              playsInline
+              className="w-full rounded-xl bg-black aspect-video object-cover"
+            />
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Hold the barcode steady in front of the camera. EAN-13, UPC-A and Code128 are supported.
+            </p>
+          </>
+        )}
+
+        <Button variant="secondary" onClick={onClose} className="w-full">
+          Cancel
+        </Button>
+      </div>
+    </Modal>
+  );
+};
+
+export default BarcodeScannerModal;
@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import { addCustomer, updateCustomer } from '../../services/firestoreService';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  name: '',
+  phone: '',
+  email: '',
+  tin: '',
+};
+
+/**
+ * Create or edit a customer; used by the Customers page and the quick-add at checkout
+ */
+const CustomerFormModal = ({ isOpen, businessId, customer, initialName = '', onClose, onSaved }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(
+        customer
+          ? {
+              name: customer.name,
+              phone: customer.phone || '',
+              email: customer.email || '',
+              tin: customer.tin || '',
+            }
+          : { ...emptyForm, name: initialName }
+      );
+    }
+  }, [isOpen, customer, initialName]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const name = form.name.trim();
+    if (!name) {
+      toast.error('Customer name is required');
+      return;
+    }
+
+    const customerData = {
+      name,
+      phone: form.phone.trim() || null,
+      email: form.email.trim() || null,
+      tin: form.tin.trim() || null,
+    };
+
+    setSaving(true);
+    try {
+      if (customer) {
+        await updateCustomer(customer.id, customerData);
+        toast.success('Customer updated');
+        onSaved({ ...customer, ...customerData });
+      } else {
+        const customerId = await addCustomer(businessId, customerData);
+        toast.success('Customer added');
+        onSaved({ id: customerId, businessId, ...customerData });
+      }
+    } catch (error) {
+      console.error('Error saving customer:', error);
+      toast.error(error.message || 'Failed to save customer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={customer ? 'Edit Customer' : 'Add Customer'}>
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <Input
+          label="Name"
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Customer or company name"
+          required
+        />
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <Input
+            label="Phone"
+            type="tel"
+            value={form.phone}
+            onChange={(e) => setForm({ ...form, phone: e.target.value })}
+            placeholder="e.g. 0788 123 456"
+          />
+
+          <Input
+            label="Email"
+            type="email"
+            value={form.email}
+            onChange={(e) => setForm({ ...form, email: e.target.value })}
+            placeholder="customer@example.com"
+          />
+        </div>
+
+        <div>
+          <Input
+            label="TIN"
+            type="text"
+            value={form.tin}
+            onChange={(e) => setForm({ ...form, tin: e.target.value })}
+            placeholder="Taxpayer Identification Number"
+          />
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Printed on the customer&apos;s invoices so they can claim input VAT.
+          </p>
+        </div>
+
+        <div className="flex gap-3 pt-2">
+          <Button type="submit" disabled={saving} className="flex-1">
+            {saving ? 'Saving...' : customer ? 'Save Changes' : 'Add Customer'}
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default CustomerFormModal;
@@ -0,0 +1,119 @@
+import { useState, useEffect } from 'react';
+import { getOpenShift, recordCustomerPayment } from '../../services/firestoreService';
+import { formatCurrency } from '../../utils/taxCalculator';
+import { CASH, PAYMENT_METHODS } from '../../utils/saleUtils';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const ReceivePaymentModal = ({ customer, user, onClose, onReceived }) => {
+  const [amount, setAmount] = useState('');
+  const [method, setMethod] = useState(CASH);
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (customer) {
+      setAmount(String(customer.balance || ''));
+      setMethod(CASH);
+      setNote('');
+    }
+  }, [customer]);
+
+  if (!customer) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const amountValue = parseFloat(amount);
+    if (isNaN(amountValue) || amountValue <= 0) {
+      toast.error('Please enter a valid amount');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      // Cash goes into the cashier's drawer, so it is counted in their open shift
+      const shift = method === CASH ? await getOpenShift(customer.businessId, user.uid) : null;
+      const { balance } = await recordCustomerPayment({
+        businessId: customer.businessId,
+        customerId: customer.id,
+        amount: amountValue,
+        method,
+        note: note.trim(),
+        shiftId: shift?.id || null,
+        recordedByUserId: user.uid,
+        recordedByName: user.name || user.email,
+      });
+      toast.success(`Payment recorded. Balance now ${formatCurrency(balance)}`);
+      onReceived();
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      toast.error(error.message || 'Failed to record payment');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={!!customer} onClose={onClose} title="Receive Payment">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg flex justify-between">
+          <p className="text-sm text-gray-900 dark:text-white">{customer.name}</p>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Owes <span className="font-semibold text-gray-900 dark:text-white">{formatCurrency(customer.balance || 0)}</span>
+          </p>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <Input
+            label="Amount (RWF)"
+            type="number"
+            step="0.01"
+            min="0"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            required
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Method
+            </label>
+            <select
+              value={method}
+              onChange={(e) => setMethod(e.target.value)}
+              className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-gray-900 dark:text-gray-100"
+            >
+              {PAYMENT_METHODS.map((paymentMethod) => (
+                <option key={paymentMethod} value={paymentMethod}>
+                  {paymentMethod}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        <Input
+          label="Note"
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="e.g. MoMo reference or month paid for"
+        />
+
+        <div className="flex gap-3">
+          <Button type="submit" disabled={submitting} className="flex-1">
+            {submitting ? 'Recording...' : 'Record Payment'}
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ReceivePaymentModal;
@@ -0,0 +1,70 @@
+import { useNavigate } from 'react-router-dom';
+
+// Longest list shown on the Dashboard; the rest are in Inventory
+const MAX_ITEMS = 8;
+
+/**
+ * Products at or below their reorder level, from getLowStockProducts
+ */
+const LowStockWidget = ({ products }) => {
+  const navigate = useNavigate();
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg mb-10">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Low Stock</h2>
+        <span
+          className={`px-2 py-1 text-xs font-medium rounded-full ${
+            products.length > 0
+              ? 'bg-orange-100 dark:bg-orange-900/30 text-orange-700 dark:text-orange-400'
+              : 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400'
+          }`}
+        >
+          {products.length > 0 ? `${products.length} to reorder` : 'All stocked'}
+        </span>
+      </div>
+
+      {products.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          No product is at or below its reorder level. Set reorder levels in Inventory.
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+          {products.slice(0, MAX_ITEMS).map((product) => (
+            <li key={product.id}>
+              <button
+                onClick={() => navigate(`/inventory/${product.id}`)}
+                className="w-full flex justify-between items-center py-3 text-left hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors"
+              >
+                <span className="text-sm text-gray-900 dark:text-gray-100">{product.name}</span>
+                <span className="text-sm">
+                  <span
+                    className={`font-semibold ${
+                      (product.currentStock || 0) <= 0
+                        ? 'text-red-600 dark:text-red-400'
+                        : 'text-orange-600 dark:text-orange-400'
+                    }`}
+                  >
+                    {product.currentStock || 0}
+                  </span>
+                  <span className="text-gray-500 dark:text-gray-400"> / reorder at {product.reorderLevel}</span>
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {products.length > MAX_ITEMS && (
+        <button
+          onClick={() => navigate('/inventory')}
+          className="mt-4 text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+        >
+          View all {products.length} in Inventory
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default LowStockWidget;
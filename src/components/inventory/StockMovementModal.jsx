@@ -0,0 +1,259 @@
+import { useState, useEffect } from 'react';
+import {
+  getBusinessesByOwner,
+  getProducts,
+  recordStockMovement,
+  transferStock,
+} from '../../services/firestoreService';
+import {
+  MANUAL_MOVEMENT_TYPES,
+  STOCK_MOVEMENT_LABELS,
+  STOCK_MOVEMENT_TYPES,
+} from '../../utils/stockUtils';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const QUANTITY_LABELS = {
+  [STOCK_MOVEMENT_TYPES.PURCHASE_RECEIPT]: 'Quantity Received',
+  [STOCK_MOVEMENT_TYPES.ADJUSTMENT]: 'Change (negative to take stock out)',
+  [STOCK_MOVEMENT_TYPES.STOCK_COUNT]: 'Quantity Counted',
+  [STOCK_MOVEMENT_TYPES.TRANSFER]: 'Quantity to Transfer',
+};
+
+const REASON_PLACEHOLDERS = {
+  [STOCK_MOVEMENT_TYPES.PURCHASE_RECEIPT]: 'e.g. Supplier delivery note 1043',
+  [STOCK_MOVEMENT_TYPES.ADJUSTMENT]: 'e.g. Damaged, expired, found in store room',
+  [STOCK_MOVEMENT_TYPES.STOCK_COUNT]: 'e.g. Monthly count',
+  [STOCK_MOVEMENT_TYPES.TRANSFER]: 'e.g. Restocking the Kigali branch',
+};
+
+const selectClassName =
+  'w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-gray-900 dark:text-gray-100';
+
+/**
+ * Record a purchase receipt, adjustment, stock count or transfer for one product
+ * Transfers go to a product in another business of the same owner, so only admins get them.
+ */
+const StockMovementModal = ({ isOpen, product, user, onClose, onRecorded }) => {
+  const [type, setType] = useState(STOCK_MOVEMENT_TYPES.PURCHASE_RECEIPT);
+  const [quantity, setQuantity] = useState('');
+  const [unitCost, setUnitCost] = useState('');
+  const [reason, setReason] = useState('');
+  const [otherBusinesses, setOtherBusinesses] = useState([]);
+  const [targetBusinessId, setTargetBusinessId] = useState('');
+  const [targetProducts, setTargetProducts] = useState([]);
+  const [targetProductId, setTargetProductId] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setType(STOCK_MOVEMENT_TYPES.PURCHASE_RECEIPT);
+      setQuantity('');
+      setUnitCost('');
+      setReason('');
+      setTargetBusinessId('');
+      setTargetProducts([]);
+      setTargetProductId('');
+    }
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (isOpen && product && user?.role === 'admin') {
+      getBusinessesByOwner(user.uid)
+        .then((businesses) =>
+          setOtherBusinesses(businesses.filter((business) => business.id !== product.businessId))
+        )
+        .catch(() => setOtherBusinesses([]));
+    }
+  }, [isOpen, product, user]);
+
+  useEffect(() => {
+    if (!targetBusinessId) return;
+    getProducts(targetBusinessId)
+      .then((products) => {
+        const active = products
+          .filter((p) => !p.archived)
+          .sort((a, b) => a.name.localeCompare(b.name));
+        setTargetProducts(active);
+        // Suggest the same product in the other business, by barcode first, then by name
+        const match =
+          (product.barcode && active.find((p) => p.barcode === product.barcode)) ||
+          active.find((p) => p.name.toLowerCase() === product.name.toLowerCase());
+        setTargetProductId(match ? match.id : '');
+      })
+      .catch(() => toast.error('Failed to load products'));
+  }, [targetBusinessId, product]);
+
+  if (!product) return null;
+
+  const types = MANUAL_MOVEMENT_TYPES.filter(
+    (movementType) => movementType !== STOCK_MOVEMENT_TYPES.TRANSFER || otherBusinesses.length > 0
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const quantityValue = Number(quantity);
+    if (quantity === '' || !Number.isInteger(quantityValue)) {
+      toast.error('Please enter a whole number');
+      return;
+    }
+    if (type === STOCK_MOVEMENT_TYPES.TRANSFER && !targetProductId) {
+      toast.error('Choose the product to transfer to');
+      return;
+    }
+    const unitCostValue = unitCost === '' ? null : parseFloat(unitCost);
+    if (unitCostValue !== null && (isNaN(unitCostValue) || unitCostValue < 0)) {
+      toast.error('Please enter a valid unit cost');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      if (type === STOCK_MOVEMENT_TYPES.TRANSFER) {
+        await transferStock({
+          fromProductId: product.id,
+          toProductId: targetProductId,
+          quantity: quantityValue,
+          reason: reason.trim(),
+          userId: user.uid,
+          userName: user.name || user.email,
+        });
+        toast.success('Stock transferred');
+      } else {
+        await recordStockMovement(product.id, {
+          type,
+          quantity: quantityValue,
+          reason: reason.trim(),
+          unitCost: unitCostValue,
+          userId: user.uid,
+          userName: user.name || user.email,
+        });
+        toast.success(`${STOCK_MOVEMENT_LABELS[type]} recorded`);
+      }
+      onRecorded();
+    } catch (error) {
+      console.error('Error recording stock movement:', error);
+      toast.error(error.message || 'Failed to record stock movement');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Record Stock Movement">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg flex justify-between">
+          <p className="text-sm text-gray-900 dark:text-white">{product.name}</p>
+          <p className="text-sm text-gray-500 dark:text-gray-400">{product.currentStock || 0} in stock</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Type
+          </label>
+          <select value={type} onChange={(e) => setType(e.target.value)} className={selectClassName}>
+            {types.map((movementType) => (
+              <option key={movementType} value={movementType}>
+                {STOCK_MOVEMENT_LABELS[movementType]}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {type === STOCK_MOVEMENT_TYPES.TRANSFER && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                To Business
+              </label>
+              <select
+                value={targetBusinessId}
+                onChange={(e) => setTargetBusinessId(e.target.value)}
+                className={selectClassName}
+              >
+                <option value="">Select a business</option>
+                {otherBusinesses.map((business) => (
+                  <option key={business.id} value={business.id}>
+                    {business.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                To Product
+              </label>
+              <select
+                value={targetProductId}
+                onChange={(e) => setTargetProductId(e.target.value)}
+                disabled={!targetBusinessId}
+                className={selectClassName}
+              >
+                <option value="">Select a product</option>
+                {targetProducts.map((p) => (
+                  <option key={p.id} value={p.id}>
+                    {p.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          </div>
+        )}
+
+        <Input
+          label={QUANTITY_LABELS[type]}
+          type="number"
+          step="1"
+          min={type === STOCK_MOVEMENT_TYPES.ADJUSTMENT ? undefined : '0'}
+          value={quantity}
+          onChange={(e) => setQuantity(e.target.value)}
+          required
+        />
+
+        {type === STOCK_MOVEMENT_TYPES.PURCHASE_RECEIPT && (
+          <div>
+            <Input
+              label="Unit Cost (RWF)"
+              type="number"
+              step="0.01"
+              min="0"
+              value={unitCost}
+              onChange={(e) => setUnitCost(e.target.value)}
+              placeholder="Cost paid per unit"
+            />
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+              Updates the product&apos;s average cost. Leave empty to keep the current cost.
+            </p>
+          </div>
+        )}
+
+        <Input
+          label="Reason"
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder={REASON_PLACEHOLDERS[type]}
+          required={type === STOCK_MOVEMENT_TYPES.ADJUSTMENT}
+        />
+
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Stock movements cannot be edited or deleted. Record a new movement to correct a mistake.
+        </p>
+
+        <div className="flex gap-3">
+          <Button type="submit" disabled={submitting} className="flex-1">
+            {submitting ? 'Saving...' : 'Record Movement'}
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default StockMovementModal;
@@ -8,6 +8,14 @@ const Sidebar = ({ isMobileOpen = false, onClose = () => {} }) => {
   const menuItems = [
     { path: '/', label: 'Dashboard', allowedRoles: ['admin', 'standard'] },
     { path: '/record-sale', label: 'Record Sale', allowedRoles: ['admin', 'standard'] },
+    { path: '/sales', label: 'Sales', allowedRoles: ['admin', 'representative'] },
+    { path: '/shifts', label: 'Shifts', allowedRoles: ['admin', 'representative'] },
+    { path: '/inventory', label: 'Inventory', allowedRoles: ['admin', 'representative'] },
+    { path: '/customers', label: 'Customers', allowedRoles: ['admin', 'representative'] },
+    { path: '/quotes', label: 'Quotes', allowedRoles: ['admin', 'representative'] },
+    { path: '/purchase-orders', label: 'Purchase Orders', allowedRoles: ['admin', 'representative'] },
+    { path: '/suppliers', label: 'Suppliers', allowedRoles: ['admin', 'representative'] },
+    { path: '/promotions', label: 'Promotions', allowedRoles: ['admin'] },
     { path: '/reports', label: 'Reports', allowedRoles: ['admin'] },
     { path: '/settings', label: 'Settings', allowedRoles: ['admin'] },
   ];
@@ -0,0 +1,247 @@
+import { useState, useEffect } from 'react';
+import { addPromotion, updatePromotion } from '../../services/firestoreService';
+import { PROMOTION_TYPES, PROMOTION_TYPE_LABELS } from '../../utils/discountUtils';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  name: '',
+  type: PROMOTION_TYPES.BUY_X_GET_Y,
+  productId: '',
+  buyQuantity: '2',
+  freeQuantity: '1',
+  percentOff: '',
+  startDate: '',
+  endDate: '',
+  active: true,
+};
+
+const selectClassName =
+  'w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-gray-900 dark:text-gray-100';
+
+/**
+ * Create or edit a promotion on one product
+ */
+const PromotionFormModal = ({ isOpen, businessId, promotion, products, onClose, onSaved }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(
+        promotion
+          ? {
+              name: promotion.name,
+              type: promotion.type,
+              productId: promotion.productId,
+              buyQuantity: String(promotion.buyQuantity || ''),
+              freeQuantity: String(promotion.freeQuantity || ''),
+              percentOff: String(promotion.percentOff || ''),
+              startDate: promotion.startDate || '',
+              endDate: promotion.endDate || '',
+              active: promotion.active !== false,
+            }
+          : emptyForm
+      );
+    }
+  }, [isOpen, promotion]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const name = form.name.trim();
+    if (!name) {
+      toast.error('Promotion name is required');
+      return;
+    }
+
+    const product = products.find((p) => p.id === form.productId);
+    if (!product) {
+      toast.error('Please select a product');
+      return;
+    }
+
+    const promotionData = {
+      name,
+      type: form.type,
+      productId: product.id,
+      productName: product.name,
+      buyQuantity: null,
+      freeQuantity: null,
+      percentOff: null,
+      startDate: form.startDate || null,
+      endDate: form.endDate || null,
+      active: form.active,
+    };
+
+    if (form.type === PROMOTION_TYPES.BUY_X_GET_Y) {
+      const buyQuantity = parseInt(form.buyQuantity);
+      const freeQuantity = parseInt(form.freeQuantity);
+      if (isNaN(buyQuantity) || buyQuantity <= 0 || isNaN(freeQuantity) || freeQuantity <= 0) {
+        toast.error('Enter how many to buy and how many are free');
+        return;
+      }
+      promotionData.buyQuantity = buyQuantity;
+      promotionData.freeQuantity = freeQuantity;
+    } else {
+      const percentOff = parseFloat(form.percentOff);
+      if (isNaN(percentOff) || percentOff <= 0 || percentOff > 100) {
+        toast.error('Percentage off must be between 0 and 100');
+        return;
+      }
+      promotionData.percentOff = percentOff;
+    }
+
+    if (promotionData.startDate && promotionData.endDate && promotionData.endDate < promotionData.startDate) {
+      toast.error('End date must be on or after the start date');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (promotion) {
+        await updatePromotion(promotion.id, promotionData);
+        toast.success('Promotion updated');
+      } else {
+        await addPromotion(businessId, promotionData);
+        toast.success('Promotion added');
+      }
+      onSaved();
+    } catch (error) {
+      console.error('Error saving promotion:', error);
+      toast.error(error.message || 'Failed to save promotion');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={promotion ? 'Edit Promotion' : 'Add Promotion'}>
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <Input
+          label="Name"
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="e.g. Soda 2+1 weekend"
+          required
+        />
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Product
+            </label>
+            <select
+              value={form.productId}
+              onChange={(e) => setForm({ ...form, productId: e.target.value })}
+              className={selectClassName}
+            >
+              <option value="">Select a product</option>
+              {products.map((product) => (
+                <option key={product.id} value={product.id}>
+                  {product.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Type
+            </label>
+            <select
+              value={form.type}
+              onChange={(e) => setForm({ ...form, type: e.target.value })}
+              className={selectClassName}
+            >
+              {Object.values(PROMOTION_TYPES).map((type) => (
+                <option key={type} value={type}>
+                  {PROMOTION_TYPE_LABELS[type]}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {form.type === PROMOTION_TYPES.BUY_X_GET_Y ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <Input
+              label="Buy"
+              type="number"
+              min="1"
+              value={form.buyQuantity}
+              onChange={(e) => setForm({ ...form, buyQuantity: e.target.value })}
+              required
+            />
+            <Input
+              label="Get free"
+              type="number"
+              min="1"
+              value={form.freeQuantity}
+              onChange={(e) => setForm({ ...form, freeQuantity: e.target.value })}
+              required
+            />
+          </div>
+        ) : (
+          <Input
+            label="Percentage off (%)"
+            type="number"
+            step="0.01"
+            min="0"
+            max="100"
+            value={form.percentOff}
+            onChange={(e) => setForm({ ...form, percentOff: e.target.value })}
+            required
+          />
+        )}
+
+        <div>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <Input
+              label="Starts"
+              type="date"
+              value={form.startDate}
+              onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+            />
+            <Input
+              label="Ends"
+              type="date"
+              value={form.endDate}
+              onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+            />
+          </div>
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Both days are included. Leave empty to run with no start or end date.
+          </p>
+        </div>
+
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="promotionActive"
+            checked={form.active}
+            onChange={(e) => setForm({ ...form, active: e.target.checked })}
+            className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600"
+          />
+          <label htmlFor="promotionActive" className="ml-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+            Active
+          </label>
+        </div>
+
+        <div className="flex gap-3 pt-2">
+          <Button type="submit" disabled={saving} className="flex-1">
+            {saving ? 'Saving...' : promotion ? 'Save Changes' : 'Add Promotion'}
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default PromotionFormModal;
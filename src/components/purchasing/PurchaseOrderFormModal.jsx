@@ -0,0 +1,238 @@
+import { useState, useEffect } from 'react';
+import { addPurchaseOrder, updatePurchaseOrder } from '../../services/firestoreService';
+import { formatCurrency } from '../../utils/taxCalculator';
+import { getExpectedTotal } from '../../utils/purchaseUtils';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const selectClassName =
+  'w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-gray-900 dark:text-gray-100';
+
+const lineInputClassName =
+  'w-24 px-2 py-1 text-sm text-right rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-600';
+
+/**
+ * Create a purchase order, or edit one that is still a draft
+ */
+const PurchaseOrderFormModal = ({ isOpen, businessId, order, suppliers, products, user, onClose, onSaved }) => {
+  const [supplierId, setSupplierId] = useState('');
+  const [lines, setLines] = useState([]);
+  const [expectedDate, setExpectedDate] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setSupplierId(order?.supplierId || '');
+      setLines(
+        order
+          ? order.lines.map((line) => ({
+              productId: line.productId,
+              productName: line.productName,
+              quantity: String(line.quantity),
+              expectedUnitCost: String(line.expectedUnitCost),
+            }))
+          : []
+      );
+      setExpectedDate(order?.expectedDate || '');
+      setNotes(order?.notes || '');
+    }
+  }, [isOpen, order]);
+
+  const availableProducts = products.filter(
+    (product) => !product.archived && !lines.some((line) => line.productId === product.id)
+  );
+
+  const handleAddLine = (productId) => {
+    const product = products.find((p) => p.id === productId);
+    if (!product) return;
+    setLines([...lines, { productId, productName: product.name, quantity: '1', expectedUnitCost: '' }]);
+  };
+
+  const updateLine = (index, field, value) => {
+    setLines(lines.map((line, i) => (i === index ? { ...line, [field]: value } : line)));
+  };
+
+  const removeLine = (index) => {
+    setLines(lines.filter((_, i) => i !== index));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!supplierId) {
+      toast.error('Choose a supplier');
+      return;
+    }
+
+    const orderData = {
+      supplierId,
+      lines,
+      expectedDate: expectedDate || null,
+      notes: notes.trim(),
+    };
+
+    setSaving(true);
+    try {
+      if (order) {
+        await updatePurchaseOrder(order.id, orderData);
+        toast.success(`${order.poNumber} updated`);
+      } else {
+        const { poNumber } = await addPurchaseOrder({
+          ...orderData,
+          businessId,
+          createdByUserId: user.uid,
+          createdByName: user.name || user.email,
+        });
+        toast.success(`${poNumber} created`);
+      }
+      onSaved();
+    } catch (error) {
+      console.error('Error saving purchase order:', error);
+      toast.error(error.message || 'Failed to save purchase order');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Running total while typing; incomplete lines count as zero
+  const total = getExpectedTotal(
+    lines.map((line) => ({
+      quantity: parseInt(line.quantity) || 0,
+      expectedUnitCost: parseFloat(line.expectedUnitCost) || 0,
+    }))
+  );
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={order ? `Edit ${order.poNumber}` : 'New Purchase Order'}
+      size="xl"
+    >
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Supplier
+              <span className="text-red-500 ml-1">*</span>
+            </label>
+            <select value={supplierId} onChange={(e) => setSupplierId(e.target.value)} className={selectClassName}>
+              <option value="">Select a supplier</option>
+              {suppliers.map((supplier) => (
+                <option key={supplier.id} value={supplier.id}>
+                  {supplier.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <Input
+            label="Expected Delivery"
+            type="date"
+            value={expectedDate}
+            onChange={(e) => setExpectedDate(e.target.value)}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Add Product
+          </label>
+          <select value="" onChange={(e) => handleAddLine(e.target.value)} className={selectClassName}>
+            <option value="">Select a product to order</option>
+            {availableProducts.map((product) => (
+              <option key={product.id} value={product.id}>
+                {product.name} ({product.currentStock || 0} in stock)
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {lines.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">No products on this order yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Product
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Qty
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Expected Unit Cost
+                  </th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {lines.map((line, index) => (
+                  <tr key={line.productId} className="border-b border-gray-100 dark:border-gray-700">
+                    <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{line.productName}</td>
+                    <td className="px-4 py-3 text-right">
+                      <input
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={line.quantity}
+                        onChange={(e) => updateLine(index, 'quantity', e.target.value)}
+                        className={lineInputClassName}
+                      />
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={line.expectedUnitCost}
+                        onChange={(e) => updateLine(index, 'expectedUnitCost', e.target.value)}
+                        placeholder="0"
+                        className={lineInputClassName}
+                      />
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <button
+                        type="button"
+                        onClick={() => removeLine(index)}
+                        className="text-red-600 dark:text-red-400 hover:text-red-700 text-sm"
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="mt-4 text-right text-sm font-semibold text-gray-900 dark:text-white">
+              Order Total: {formatCurrency(total)}
+            </p>
+          </div>
+        )}
+
+        <Input
+          label="Notes"
+          type="text"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          placeholder="e.g. Deliver to the back entrance"
+        />
+
+        <div className="flex gap-3 pt-2">
+          <Button type="submit" disabled={saving} className="flex-1">
+            {saving ? 'Saving...' : order ? 'Save Changes' : 'Create Draft'}
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default PurchaseOrderFormModal;
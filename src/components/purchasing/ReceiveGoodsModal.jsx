@@ -0,0 +1,155 @@
+import { useState, useEffect } from 'react';
+import { receivePurchaseOrder } from '../../services/firestoreService';
+import { getOutstandingQuantity, PO_STATUSES } from '../../utils/purchaseUtils';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const lineInputClassName =
+  'w-24 px-2 py-1 text-sm text-right rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-600';
+
+/**
+ * Receive a delivery against a purchase order
+ * Quantities start at what is still outstanding and costs at the expected cost, so a complete
+ * delivery at the agreed price is one click; change them for short deliveries or new prices.
+ */
+const ReceiveGoodsModal = ({ order, user, onClose, onReceived }) => {
+  const [receipts, setReceipts] = useState([]);
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (order) {
+      setReceipts(
+        order.lines
+          .map((line, lineIndex) => ({
+            lineIndex,
+            quantity: String(getOutstandingQuantity(line)),
+            unitCost: String(line.expectedUnitCost),
+          }))
+          .filter((receipt) => receipt.quantity !== '0')
+      );
+      setNote('');
+    }
+  }, [order]);
+
+  if (!order) return null;
+
+  const updateReceipt = (index, field, value) => {
+    setReceipts(receipts.map((receipt, i) => (i === index ? { ...receipt, [field]: value } : receipt)));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setSubmitting(true);
+    try {
+      const { status } = await receivePurchaseOrder(order.id, {
+        receipts: receipts.map((receipt) => ({
+          lineIndex: receipt.lineIndex,
+          quantity: Number(receipt.quantity) || 0,
+          unitCost: parseFloat(receipt.unitCost),
+        })),
+        note: note.trim(),
+        userId: user.uid,
+        userName: user.name || user.email,
+      });
+      toast.success(status === PO_STATUSES.RECEIVED ? `${order.poNumber} received in full` : 'Delivery received');
+      onReceived();
+    } catch (error) {
+      console.error('Error receiving goods:', error);
+      toast.error(error.message || 'Failed to receive goods');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={!!order} onClose={onClose} title={`Receive Goods: ${order.poNumber}`} size="lg">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+          <p className="text-sm text-gray-900 dark:text-white">{order.supplierName}</p>
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="min-w-full">
+            <thead>
+              <tr className="border-b border-gray-200 dark:border-gray-700">
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Product
+                </th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Outstanding
+                </th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Received
+                </th>
+                <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                  Actual Unit Cost
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {receipts.map((receipt, index) => {
+                const line = order.lines[receipt.lineIndex];
+                return (
+                  <tr key={line.productId} className="border-b border-gray-100 dark:border-gray-700">
+                    <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{line.productName}</td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-700 dark:text-gray-300">
+                      {getOutstandingQuantity(line)}
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        max={getOutstandingQuantity(line)}
+                        step="1"
+                        value={receipt.quantity}
+                        onChange={(e) => updateReceipt(index, 'quantity', e.target.value)}
+                        className={lineInputClassName}
+                      />
+                    </td>
+                    <td className="px-4 py-3 text-right">
+                      <input
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={receipt.unitCost}
+                        onChange={(e) => updateReceipt(index, 'unitCost', e.target.value)}
+                        className={lineInputClassName}
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <Input
+          label="Note"
+          type="text"
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="e.g. Delivery note 1043"
+        />
+
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Received goods are added to stock straight away. Leave a line at 0 if it has not arrived yet.
+        </p>
+
+        <div className="flex gap-3">
+          <Button type="submit" disabled={submitting} className="flex-1">
+            {submitting ? 'Saving...' : 'Receive Goods'}
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ReceiveGoodsModal;
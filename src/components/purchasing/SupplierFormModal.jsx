@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { addSupplier, updateSupplier } from '../../services/firestoreService';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  name: '',
+  contactName: '',
+  phone: '',
+  email: '',
+  tin: '',
+};
+
+/**
+ * Create or edit a supplier
+ */
+const SupplierFormModal = ({ isOpen, businessId, supplier, onClose, onSaved }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setForm(
+        supplier
+          ? {
+              name: supplier.name,
+              contactName: supplier.contactName || '',
+              phone: supplier.phone || '',
+              email: supplier.email || '',
+              tin: supplier.tin || '',
+            }
+          : emptyForm
+      );
+    }
+  }, [isOpen, supplier]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const name = form.name.trim();
+    if (!name) {
+      toast.error('Supplier name is required');
+      return;
+    }
+
+    const supplierData = {
+      name,
+      contactName: form.contactName.trim() || null,
+      phone: form.phone.trim() || null,
+      email: form.email.trim() || null,
+      tin: form.tin.trim() || null,
+    };
+
+    setSaving(true);
+    try {
+      if (supplier) {
+        await updateSupplier(supplier.id, supplierData);
+        toast.success('Supplier updated');
+        onSaved({ ...supplier, ...supplierData });
+      } else {
+        const supplierId = await addSupplier(businessId, supplierData);
+        toast.success('Supplier added');
+        onSaved({ id: supplierId, businessId, ...supplierData });
+      }
+    } catch (error) {
+      console.error('Error saving supplier:', error);
+      toast.error(error.message || 'Failed to save supplier');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={supplier ? 'Edit Supplier' : 'Add Supplier'}>
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <Input
+          label="Name"
+          type="text"
+          value={form.name}
+          onChange={(e) => setForm({ ...form, name: e.target.value })}
+          placeholder="Supplier or company name"
+          required
+        />
+
+        <Input
+          label="Contact Person"
+          type="text"
+          value={form.contactName}
+          onChange={(e) => setForm({ ...form, contactName: e.target.value })}
+          placeholder="Who you order from"
+        />
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <Input
+            label="Phone"
+            type="tel"
+            value={form.phone}
+            onChange={(e) => setForm({ ...form, phone: e.target.value })}
+            placeholder="e.g. 0788 123 456"
+          />
+
+          <Input
+            label="Email"
+            type="email"
+            value={form.email}
+            onChange={(e) => setForm({ ...form, email: e.target.value })}
+            placeholder="orders@supplier.com"
+          />
+        </div>
+
+        <div>
+          <Input
+            label="TIN"
+            type="text"
+            value={form.tin}
+            onChange={(e) => setForm({ ...form, tin: e.target.value })}
+            placeholder="Taxpayer Identification Number"
+          />
+          <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+            Printed on purchase orders sent to this supplier.
+          </p>
+        </div>
+
+        <div className="flex gap-3 pt-2">
+          <Button type="submit" disabled={saving} className="flex-1">
+            {saving ? 'Saving...' : supplier ? 'Save Changes' : 'Add Supplier'}
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default SupplierFormModal;
@@ -0,0 +1,102 @@
+import { useState, useEffect } from 'react';
+import { addSale, getOpenShift } from '../../services/firestoreService';
+import { formatCurrency } from '../../utils/taxCalculator';
+import { CASH, ON_CREDIT, PAYMENT_METHODS } from '../../utils/saleUtils';
+import { getQuoteSaleItems } from '../../utils/quoteUtils';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+/**
+ * Turn an open quote into a sale paid with one method; stock is taken now
+ */
+const ConvertQuoteModal = ({ quote, user, onClose, onConverted }) => {
+  const [method, setMethod] = useState(CASH);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (quote) {
+      setMethod(CASH);
+    }
+  }, [quote]);
+
+  if (!quote) return null;
+
+  const handleConvert = async () => {
+    setSubmitting(true);
+    try {
+      // The sale is counted in the converting cashier's open shift
+      const shift = await getOpenShift(quote.businessId, user.uid);
+      const { saleId, invoiceNumber } = await addSale({
+        businessId: quote.businessId,
+        recordedByUserId: user.uid,
+        recordedByName: user.name || user.email,
+        shiftId: shift?.id || null,
+        quoteId: quote.id,
+        customerId: quote.customerId,
+        customerName: quote.customerName,
+        customerTin: quote.customerTin,
+        items: getQuoteSaleItems(quote),
+        cartDiscount: quote.cartDiscount,
+        paymentMethod: method,
+        cashReceived: null,
+      });
+      toast.success(`Quote ${quote.quoteNumber} converted to sale ${invoiceNumber}`);
+      onConverted(saleId);
+    } catch (error) {
+      console.error('Error converting quote:', error);
+      toast.error(error.message || 'Failed to convert quote');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const methods = quote.customerId ? [...PAYMENT_METHODS, ON_CREDIT] : PAYMENT_METHODS;
+
+  return (
+    <Modal isOpen={!!quote} onClose={onClose} title="Convert to Sale">
+      <div className="space-y-6">
+        <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg flex justify-between">
+          <div>
+            <p className="text-sm text-gray-900 dark:text-white">{quote.quoteNumber}</p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">{quote.customerName || 'No customer'}</p>
+          </div>
+          <p className="text-sm font-semibold text-gray-900 dark:text-white">{formatCurrency(quote.total)}</p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Paid by
+          </label>
+          <select
+            value={method}
+            onChange={(e) => setMethod(e.target.value)}
+            className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-gray-900 dark:text-gray-100"
+          >
+            {methods.map((paymentMethod) => (
+              <option key={paymentMethod} value={paymentMethod}>
+                {paymentMethod}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          All {quote.items.length} line{quote.items.length !== 1 ? 's' : ''} are sold at the quoted
+          prices and taken out of stock.
+        </p>
+
+        <div className="flex gap-3">
+          <Button onClick={handleConvert} disabled={submitting} className="flex-1">
+            {submitting ? 'Converting...' : 'Convert to Sale'}
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default ConvertQuoteModal;
@@ -0,0 +1,95 @@
+import { useState, useEffect } from 'react';
+import { addQuote } from '../../services/firestoreService';
+import { formatCurrency } from '../../utils/taxCalculator';
+import { getDefaultValidUntil } from '../../utils/quoteUtils';
+import { toLocalDateString } from '../../utils/discountUtils';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+/**
+ * Save the current cart as a quote with an expiry date and notes
+ * quoteData carries the cart (businessId, customer, items, cartDiscount, created by)
+ */
+const SaveQuoteModal = ({ isOpen, quoteData, total, onClose, onSaved }) => {
+  const [validUntil, setValidUntil] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (isOpen) {
+      setValidUntil(getDefaultValidUntil());
+      setNotes('');
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!validUntil) {
+      toast.error('Please choose how long the quote is valid');
+      return;
+    }
+    if (validUntil < toLocalDateString(new Date())) {
+      toast.error('The expiry date cannot be in the past');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const { quoteNumber } = await addQuote({ ...quoteData, validUntil, notes: notes.trim() });
+      toast.success(`Quote ${quoteNumber} saved`);
+      onSaved();
+    } catch (error) {
+      console.error('Error saving quote:', error);
+      toast.error(error.message || 'Failed to save quote');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Save as Quote">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg flex justify-between">
+          <p className="text-sm text-gray-900 dark:text-white">
+            {quoteData?.customerName || 'No customer attached'}
+          </p>
+          <p className="text-sm font-semibold text-gray-900 dark:text-white">{formatCurrency(total)}</p>
+        </div>
+
+        <Input
+          label="Valid Until"
+          type="date"
+          value={validUntil}
+          onChange={(e) => setValidUntil(e.target.value)}
+          required
+        />
+
+        <Input
+          label="Notes"
+          type="text"
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          placeholder="e.g. Delivery within 3 days of payment"
+        />
+
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Stock is not reserved. It is taken when the quote is converted to a sale.
+        </p>
+
+        <div className="flex gap-3">
+          <Button type="submit" disabled={saving} className="flex-1">
+            {saving ? 'Saving...' : 'Save Quote'}
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default SaveQuoteModal;
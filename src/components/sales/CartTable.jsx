@@ -0,0 +1,100 @@
+import { formatCurrency, TAX_CATEGORIES, TAX_CATEGORY_LABELS } from '../../utils/taxCalculator';
+import { describeDiscount } from '../../utils/discountUtils';
+
+const CartTable = ({ lines, onQuantityChange, onDiscount, onRemove, stockWarnings = {} }) => {
+  if (lines.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+        The cart is empty. Add a product to start the sale.
+      </p>
+    );
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full">
+        <thead>
+          <tr className="border-b border-gray-200 dark:border-gray-700">
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+              Product
+            </th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+              Price
+            </th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+              Qty
+            </th>
+            <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+              Line Total (incl. VAT)
+            </th>
+            <th className="px-4 py-3"></th>
+          </tr>
+        </thead>
+        <tbody>
+          {lines.map((line) => (
+            <tr key={line.key} className="border-b border-gray-100 dark:border-gray-700">
+              <td className="px-4 py-4 text-sm text-gray-900 dark:text-gray-100">
+                {line.productName}
+                {line.taxCategory && line.taxCategory !== TAX_CATEGORIES.STANDARD && (
+                  <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400">
+                    {TAX_CATEGORY_LABELS[line.taxCategory]}
+                  </span>
+                )}
+                {line.promotionDiscount > 0 && (
+                  <p className="text-xs text-green-600 dark:text-green-400 mt-1">
+                    {line.promotionName}: -{formatCurrency(line.promotionDiscount)}
+                  </p>
+                )}
+                {line.lineDiscount && (
+                  <p className="text-xs text-green-600 dark:text-green-400 mt-1">
+                    Discount {describeDiscount(line.lineDiscount)}
+                    {line.lineDiscount.reason ? ` (${line.lineDiscount.reason})` : ''}: -
+                    {formatCurrency(line.lineDiscountAmount)}
+                  </p>
+                )}
+                {stockWarnings[line.productId] && (
+                  <p className="text-xs text-red-600 dark:text-red-400 mt-1">
+                    {stockWarnings[line.productId]}
+                  </p>
+                )}
+              </td>
+              <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                {formatCurrency(line.pricePerItem)}
+              </td>
+              <td className="px-4 py-4 whitespace-nowrap text-sm">
+                <input
+                  type="number"
+                  min="1"
+                  value={line.quantity}
+                  onChange={(e) => onQuantityChange(line.key, e.target.value)}
+                  className="w-20 px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500"
+                />
+              </td>
+              <td className="px-4 py-4 whitespace-nowrap text-sm font-semibold text-gray-900 dark:text-white">
+                {formatCurrency(line.lineTotal)}
+              </td>
+              <td className="px-4 py-4 whitespace-nowrap text-sm text-right space-x-4">
+                <button
+                  type="button"
+                  onClick={() => onDiscount(line.key)}
+                  className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+                >
+                  Discount
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onRemove(line.key)}
+                  className="text-red-600 dark:text-red-400 hover:text-red-700 text-sm"
+                >
+                  Remove
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default CartTable;
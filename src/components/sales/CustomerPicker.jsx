@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { matchesCustomer } from '../../utils/customerUtils';
+import CustomerFormModal from '../customers/CustomerFormModal';
+
+// Longest list shown under the search box
+const MAX_RESULTS = 8;
+
+/**
+ * Attach a customer to the sale: search by name, phone or TIN, or quick-add a new one
+ */
+const CustomerPicker = ({ businessId, customers, selectedCustomer, onSelect, onCustomerAdded }) => {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showForm, setShowForm] = useState(false);
+
+  const results = searchTerm.trim()
+    ? customers.filter((customer) => matchesCustomer(customer, searchTerm)).slice(0, MAX_RESULTS)
+    : [];
+
+  const handleSelect = (customer) => {
+    onSelect(customer);
+    setSearchTerm('');
+  };
+
+  const handleSaved = (customer) => {
+    setShowForm(false);
+    onCustomerAdded(customer);
+    handleSelect(customer);
+  };
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-2">
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Customer</label>
+        <button
+          type="button"
+          onClick={() => setShowForm(true)}
+          className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+        >
+          + New customer
+        </button>
+      </div>
+
+      {selectedCustomer ? (
+        <div className="flex justify-between items-center p-3 bg-gray-50 dark:bg-gray-700 rounded-xl">
+          <div>
+            <p className="text-sm font-medium text-gray-900 dark:text-white">{selectedCustomer.name}</p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {[
+                selectedCustomer.phone,
+                selectedCustomer.tin && `TIN ${selectedCustomer.tin}`,
+                selectedCustomer.loyaltyPoints > 0 && `${selectedCustomer.loyaltyPoints} points`,
+              ]
+                .filter(Boolean)
+                .join(' · ') || 'No phone or TIN'}
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={() => onSelect(null)}
+            className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200 text-sm"
+          >
+            Remove
+          </button>
+        </div>
+      ) : (
+        <div className="relative">
+          <input
+            type="text"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Walk-in customer. Search by name, phone or TIN"
+            className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500 focus:border-transparent transition-all duration-200 placeholder:text-gray-400 dark:placeholder:text-gray-500 text-gray-900 dark:text-gray-100"
+          />
+          {searchTerm.trim() && (
+            <div className="absolute z-10 mt-1 w-full bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-xl shadow-lg overflow-hidden">
+              {results.map((customer) => (
+                <button
+                  key={customer.id}
+                  type="button"
+                  onClick={() => handleSelect(customer)}
+                  className="w-full text-left px-4 py-2 hover:bg-gray-50 dark:hover:bg-gray-700"
+                >
+                  <span className="text-sm text-gray-900 dark:text-white">{customer.name}</span>
+                  <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                    {[customer.phone, customer.tin && `TIN ${customer.tin}`].filter(Boolean).join(' · ')}
+                  </span>
+                </button>
+              ))}
+              <button
+                type="button"
+                onClick={() => setShowForm(true)}
+                className="w-full text-left px-4 py-2 text-sm text-blue-600 dark:text-blue-400 hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                + Add &quot;{searchTerm.trim()}&quot; as a new customer
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <CustomerFormModal
+        isOpen={showForm}
+        businessId={businessId}
+        customer={null}
+        initialName={searchTerm.trim()}
+        onClose={() => setShowForm(false)}
+        onSaved={handleSaved}
+      />
+    </div>
+  );
+};
+
+export default CustomerPicker;
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import { DISCOUNT_TYPES } from '../../utils/discountUtils';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+/**
+ * Enter a percentage or fixed discount with an optional reason, for a cart line or the whole cart
+ */
+const DiscountModal = ({ isOpen, title, discount, onApply, onClose }) => {
+  const [type, setType] = useState(DISCOUNT_TYPES.PERCENT);
+  const [value, setValue] = useState('');
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setType(discount?.type || DISCOUNT_TYPES.PERCENT);
+      setValue(discount ? String(discount.value) : '');
+      setReason(discount?.reason || '');
+    }
+  }, [isOpen, discount]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const amount = parseFloat(value);
+    if (isNaN(amount) || amount <= 0) {
+      toast.error('Please enter a valid discount');
+      return;
+    }
+    if (type === DISCOUNT_TYPES.PERCENT && amount > 100) {
+      toast.error('A percentage discount cannot be more than 100%');
+      return;
+    }
+
+    onApply({ type, value: amount, reason: reason.trim() });
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title={title}>
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="flex gap-2">
+          {[
+            { value: DISCOUNT_TYPES.PERCENT, label: 'Percentage (%)' },
+            { value: DISCOUNT_TYPES.FIXED, label: 'Amount (RWF)' },
+          ].map((option) => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setType(option.value)}
+              className={`flex-1 px-4 py-2 rounded-xl border text-sm font-medium transition-colors ${
+                type === option.value
+                  ? 'border-blue-600 bg-blue-50 dark:bg-blue-900/20 text-blue-700 dark:text-blue-400'
+                  : 'border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        <Input
+          label={type === DISCOUNT_TYPES.PERCENT ? 'Discount (%)' : 'Discount (RWF)'}
+          type="number"
+          step="0.01"
+          min="0"
+          max={type === DISCOUNT_TYPES.PERCENT ? '100' : undefined}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          required
+        />
+
+        <Input
+          label="Reason"
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="e.g. Damaged packaging, regular customer"
+        />
+
+        <div className="flex gap-3">
+          <Button type="submit" className="flex-1">
+            Apply Discount
+          </Button>
+          {discount && (
+            <Button variant="secondary" onClick={() => onApply(null)}>
+              Remove
+            </Button>
+          )}
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default DiscountModal;
@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+
+/**
+ * Name the current cart before parking it
+ */
+const ParkCartModal = ({ isOpen, defaultLabel, onPark, onClose }) => {
+  const [label, setLabel] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setLabel(defaultLabel);
+    }
+  }, [isOpen, defaultLabel]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onPark(label.trim() || defaultLabel);
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Park Cart">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <Input
+          label="Label"
+          type="text"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          placeholder="e.g. Lady in blue, fetching cash"
+        />
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Parked carts are kept on this device until they are resumed or discarded.
+        </p>
+        <div className="flex gap-3">
+          <Button type="submit" className="flex-1">
+            Park Cart
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ParkCartModal;
@@ -0,0 +1,51 @@
+import { formatCurrency } from '../../utils/taxCalculator';
+import Modal from '../common/Modal';
+
+/**
+ * Carts parked on this device, to resume or discard
+ */
+const ParkedCartsModal = ({ isOpen, carts, onResume, onDiscard, onClose }) => (
+  <Modal isOpen={isOpen} onClose={onClose} title="Parked Carts">
+    {carts.length === 0 ? (
+      <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">No parked carts.</p>
+    ) : (
+      <div className="divide-y divide-gray-100 dark:divide-gray-700">
+        {carts.map((cart) => (
+          <div key={cart.id} className="flex justify-between items-center py-3 gap-4">
+            <div>
+              <p className="text-sm font-medium text-gray-900 dark:text-white">{cart.label}</p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {[
+                  `${cart.lines.length} line${cart.lines.length !== 1 ? 's' : ''}`,
+                  formatCurrency(cart.total),
+                  new Date(cart.parkedAt).toLocaleString(),
+                  cart.parkedByName,
+                ]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </p>
+            </div>
+            <div className="whitespace-nowrap space-x-4">
+              <button
+                type="button"
+                onClick={() => onResume(cart)}
+                className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+              >
+                Resume
+              </button>
+              <button
+                type="button"
+                onClick={() => onDiscard(cart)}
+                className="text-red-600 dark:text-red-400 hover:text-red-700 text-sm"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    )}
+  </Modal>
+);
+
+export default ParkedCartsModal;
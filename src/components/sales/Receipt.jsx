@@ -0,0 +1,36 @@
+import { getReceiptRows, RECEIPT_PAPER_WIDTHS } from '../../utils/exportUtils';
+
+const Receipt = ({ sale, business, paperWidth = 80 }) => {
+  const rows = getReceiptRows(sale, business);
+  const printableWidth = RECEIPT_PAPER_WIDTHS[paperWidth] || RECEIPT_PAPER_WIDTHS[80];
+
+  return (
+    <div
+      className={`receipt-print mx-auto bg-white text-black font-mono leading-snug ${
+        paperWidth === 58 ? 'text-[10px]' : 'text-xs'
+      }`}
+      style={{ width: `${printableWidth}mm` }}
+    >
+      {rows.map((row, index) => {
+        if (row.rule) {
+          return <div key={index} className="border-t border-dashed border-black my-1" />;
+        }
+        if (row.center) {
+          return (
+            <p key={index} className={`text-center ${row.bold ? 'font-bold text-sm' : ''}`}>
+              {row.center}
+            </p>
+          );
+        }
+        return (
+          <div key={index} className={`flex justify-between gap-2 ${row.bold ? 'font-bold' : ''}`}>
+            <span className="whitespace-pre-wrap break-words">{row.left}</span>
+            {row.right && <span className="whitespace-nowrap">{row.right}</span>}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default Receipt;
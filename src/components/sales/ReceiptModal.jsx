@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react';
+import { exportReceiptToPDF, RECEIPT_PAPER_WIDTHS } from '../../utils/exportUtils';
+import { encodeReceipt } from '../../utils/escposEncoder';
+import { CASH, getSaleTenders } from '../../utils/saleUtils';
+import {
+  isWebSerialSupported,
+  isWebUSBSupported,
+  printViaSerial,
+  printViaUSB,
+  saveAsBin,
+} from '../../services/printerService';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import Receipt from './Receipt';
+import toast from 'react-hot-toast';
+
+const ReceiptModal = ({ sale, business, onClose }) => {
+  const [paperWidth, setPaperWidth] = useState(80);
+  const [openDrawer, setOpenDrawer] = useState(false);
+  const [printing, setPrinting] = useState(false);
+
+  useEffect(() => {
+    if (sale) {
+      setOpenDrawer(getSaleTenders(sale).some((tender) => tender.method === CASH));
+    }
+  }, [sale]);
+
+  if (!sale || !business) return null;
+
+  const getPrinterBytes = () => encodeReceipt(sale, business, { paperWidth, openDrawer });
+
+  const handleThermalPrint = async (sendBytes) => {
+    setPrinting(true);
+    try {
+      await sendBytes(getPrinterBytes());
+      toast.success('Receipt sent to printer');
+    } catch (error) {
+      // Closing the device picker is not an error worth reporting
+      if (error.name !== 'NotFoundError') {
+        toast.error(error.message || 'Failed to print receipt');
+      }
+    } finally {
+      setPrinting(false);
+    }
+  };
+
+  const handleSaveBin = () => {
+    saveAsBin(getPrinterBytes(), `Receipt_${sale.invoiceNumber || sale.id}.bin`);
+  };
+
+  const handleDownload = () => {
+    try {
+      exportReceiptToPDF(sale, business, paperWidth);
+    } catch (error) {
+      console.error('Error generating receipt PDF:', error);
+      toast.error('Failed to generate receipt PDF');
+    }
+  };
+
+  return (
+    <Modal isOpen={!!sale} onClose={onClose} title="Receipt">
+      {/* Size the printed page to the selected roll; the browser print dialog picks it up */}
+      <style>{`@media print { @page { size: ${paperWidth}mm auto; margin: 0; } }`}</style>
+
+      <div className="flex items-center justify-between mb-6">
+        <label className="text-sm font-medium text-gray-700 dark:text-gray-300">Paper width</label>
+        <select
+          value={paperWidth}
+          onChange={(e) => setPaperWidth(parseInt(e.target.value))}
+          className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          {Object.keys(RECEIPT_PAPER_WIDTHS).map((width) => (
+            <option key={width} value={width}>
+              {width}mm
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="p-4 mb-6 bg-gray-100 dark:bg-gray-900 rounded-xl overflow-x-auto">
+        <div className="bg-white p-3 mx-auto w-fit shadow">
+          <Receipt sale={sale} business={business} paperWidth={paperWidth} />
+        </div>
+      </div>
+
+      <div className="flex gap-3">
+        <Button onClick={() => window.print()} className="flex-1">
+          Print
+        </Button>
+        <Button variant="secondary" onClick={handleDownload}>
+          Download PDF
+        </Button>
+        <Button variant="secondary" onClick={onClose}>
+          Close
+        </Button>
+      </div>
+
+      <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-sm font-semibold text-gray-900 dark:text-white">ESC/POS Printer</h3>
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              id="openDrawer"
+              checked={openDrawer}
+              onChange={(e) => setOpenDrawer(e.target.checked)}
+              className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600"
+            />
+            <label htmlFor="openDrawer" className="ml-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+              Open cash drawer
+            </label>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-3">
+          {isWebUSBSupported() && (
+            <Button
+              variant="secondary"
+              onClick={() => handleThermalPrint(printViaUSB)}
+              disabled={printing}
+            >
+              Print via USB
+            </Button>
+          )}
+          {isWebSerialSupported() && (
+            <Button
+              variant="secondary"
+              onClick={() => handleThermalPrint(printViaSerial)}
+              disabled={printing}
+            >
+              Print via Serial
+            </Button>
+          )}
+          <Button variant="text" onClick={handleSaveBin}>
+            Save .bin
+          </Button>
+        </div>
+        {!isWebUSBSupported() && !isWebSerialSupported() && (
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+            This browser cannot reach USB or serial printers. Use Chrome or Edge, or save the .bin file and send it to the printer directly.
+          </p>
+        )}
+      </div>
+    </Modal>
+  );
+};
+
+export default ReceiptModal;
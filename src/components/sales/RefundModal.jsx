@@ -0,0 +1,212 @@
+import { useState, useEffect } from 'react';
+import { addCreditNote, getOpenShift } from '../../services/firestoreService';
+import { calculateCreditNote, formatCurrency } from '../../utils/taxCalculator';
+import { CASH, getSaleTenders, ON_CREDIT, PAYMENT_METHODS } from '../../utils/saleUtils';
+import { getAccountCredit } from '../../utils/creditUtils';
+import { subtractAmounts } from '../../utils/money';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+// Methods the sale was paid with, other than the customer's account
+const getPaidMethods = (sale) =>
+  getSaleTenders(sale)
+    .map((tender) => tender.method)
+    .filter((method) => method !== ON_CREDIT);
+
+const RefundModal = ({ sale, userId, userName, onClose, onRefunded }) => {
+  const [quantities, setQuantities] = useState([]);
+  const [reason, setReason] = useState('');
+  const [restock, setRestock] = useState(true);
+  const [refundMethod, setRefundMethod] = useState(CASH);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (sale) {
+      setQuantities(sale.items.map(() => 0));
+      setReason('');
+      setRestock(true);
+      // Pay back the way the customer paid, by default
+      setRefundMethod(getPaidMethods(sale)[0] || CASH);
+    }
+  }, [sale]);
+
+  if (!sale) return null;
+
+  const refundedQuantities = sale.items.map(
+    (item, index) => (sale.refundedQuantities || [])[index] || 0
+  );
+  const remaining = sale.items.map((item, index) => item.quantity - refundedQuantities[index]);
+
+  const returns = quantities
+    .map((quantity, lineIndex) => ({ lineIndex, quantity: parseInt(quantity) || 0 }))
+    .filter((line) => line.quantity > 0);
+  const invalid = returns.some((line) => line.quantity > remaining[line.lineIndex]);
+  const preview = returns.length > 0 && !invalid
+    ? calculateCreditNote(sale, returns, refundedQuantities)
+    : null;
+  const accountCredit = preview ? getAccountCredit(sale, refundedQuantities, preview.total) : 0;
+  const paidBack = preview ? subtractAmounts(preview.total, accountCredit) : 0;
+  const refundMethods = [...new Set([...PAYMENT_METHODS, ...getPaidMethods(sale)])];
+
+  const handleRefundAll = () => {
+    setQuantities(remaining);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (returns.length === 0) {
+      toast.error('Enter a quantity to refund');
+      return;
+    }
+
+    if (invalid) {
+      toast.error('Refund quantity exceeds what is left on the sale');
+      return;
+    }
+
+    if (!reason.trim()) {
+      toast.error('Please enter a reason for the refund');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      // Cash paid back is taken out of the refunding cashier's drawer
+      const openShift = await getOpenShift(sale.businessId, userId);
+      const { accountCredit } = await addCreditNote({
+        businessId: sale.businessId,
+        saleId: sale.id,
+        recordedByUserId: userId,
+        recordedByName: userName,
+        shiftId: openShift?.id || null,
+        reason: reason.trim(),
+        restock,
+        refundMethod,
+        returns,
+      });
+      toast.success(
+        accountCredit > 0
+          ? `Refund recorded. ${formatCurrency(accountCredit)} credited to the customer's account`
+          : 'Refund recorded'
+      );
+      onRefunded();
+    } catch (error) {
+      console.error('Error recording refund:', error);
+      toast.error(error.message || 'Failed to record refund');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={!!sale} onClose={onClose} title="Refund Sale" size="lg">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="space-y-3">
+          {sale.items.map((item, index) => (
+            <div
+              key={index}
+              className="flex items-center justify-between gap-4 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg"
+            >
+              <div>
+                <p className="text-sm font-medium text-gray-900 dark:text-white">{item.productName}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {item.quantity} sold, {remaining[index]} refundable
+                </p>
+              </div>
+              <input
+                type="number"
+                min="0"
+                max={remaining[index]}
+                value={quantities[index] ?? 0}
+                disabled={remaining[index] === 0}
+                onChange={(e) =>
+                  setQuantities(quantities.map((q, i) => (i === index ? e.target.value : q)))
+                }
+                className="w-20 px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500"
+              />
+            </div>
+          ))}
+          <Button variant="text" onClick={handleRefundAll} className="px-0">
+            Refund everything remaining
+          </Button>
+        </div>
+
+        <Input
+          label="Reason"
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="e.g. Damaged item returned"
+          required
+        />
+
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="restock"
+            checked={restock}
+            onChange={(e) => setRestock(e.target.checked)}
+            className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600"
+          />
+          <label htmlFor="restock" className="ml-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+            Return items to stock
+          </label>
+        </div>
+
+        {preview && (
+          <div className="pt-4 border-t border-gray-200 dark:border-gray-700 space-y-2">
+            <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400">
+              <span>Subtotal</span>
+              <span>{formatCurrency(preview.subtotal)}</span>
+            </div>
+            <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400">
+              <span>VAT</span>
+              <span>{formatCurrency(preview.vatAmount)}</span>
+            </div>
+            <div className="flex justify-between text-lg font-bold text-gray-900 dark:text-white">
+              <span>Refund Total</span>
+              <span>{formatCurrency(preview.total)}</span>
+            </div>
+            {accountCredit > 0 && (
+              <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400">
+                <span>Credited to customer account</span>
+                <span>{formatCurrency(accountCredit)}</span>
+              </div>
+            )}
+            {paidBack > 0 && (
+              <div className="flex items-center justify-between gap-4 text-sm text-gray-600 dark:text-gray-400">
+                <label htmlFor="refundMethod">Paid back {formatCurrency(paidBack)} by</label>
+                <select
+                  id="refundMethod"
+                  value={refundMethod}
+                  onChange={(e) => setRefundMethod(e.target.value)}
+                  className="px-3 py-2 rounded-lg border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500"
+                >
+                  {refundMethods.map((method) => (
+                    <option key={method} value={method}>
+                      {method}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <Button type="submit" disabled={submitting || !preview} className="flex-1">
+            {submitting ? 'Recording...' : 'Record Refund'}
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default RefundModal;
@@ -0,0 +1,160 @@
+import { formatCurrency } from '../../utils/taxCalculator';
+import { subtractAmounts } from '../../utils/money';
+import {
+  calculateChangeDue,
+  CASH,
+  getTenderedTotal,
+  ON_CREDIT,
+  PAYMENT_METHODS,
+  resolveTenderLines,
+} from '../../utils/saleUtils';
+
+const inputClassName =
+  'w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-gray-900 dark:text-gray-100';
+
+/**
+ * Payment entry at checkout; allowCredit offers "On credit" once a customer is attached
+ */
+const TenderInput = ({
+  tenderLines,
+  onChange,
+  total,
+  cashReceived,
+  onCashReceivedChange,
+  allowCredit = false,
+}) => {
+  const tenders = resolveTenderLines(tenderLines, total);
+  const remaining = subtractAmounts(total, getTenderedTotal(tenders));
+  const hasCash = tenders.some((tender) => tender.method === CASH);
+  const changeDue =
+    cashReceived !== '' ? calculateChangeDue(tenders, parseFloat(cashReceived) || 0) : null;
+
+  const updateLine = (key, updates) => {
+    onChange(tenderLines.map((line) => (line.key === key ? { ...line, ...updates } : line)));
+  };
+
+  const handleSplit = () => {
+    const lines =
+      tenderLines.length === 1 ? [{ ...tenderLines[0], amount: String(total) }] : tenderLines;
+    onChange([
+      ...lines,
+      {
+        key: Date.now(),
+        method: 'Mobile Money',
+        customMethod: '',
+        amount: remaining > 0 ? String(remaining) : '',
+      },
+    ]);
+  };
+
+  const handleRemove = (key) => {
+    onChange(tenderLines.filter((line) => line.key !== key));
+  };
+
+  return (
+    <div className="space-y-3">
+      <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">Payment</label>
+
+      {tenderLines.map((line) => (
+        <div key={line.key} className="space-y-2">
+          <div className="flex gap-2">
+            <select
+              value={line.method}
+              onChange={(e) => updateLine(line.key, { method: e.target.value })}
+              className={inputClassName}
+            >
+              {PAYMENT_METHODS.map((method) => (
+                <option key={method} value={method}>
+                  {method}
+                </option>
+              ))}
+              {(allowCredit || line.method === ON_CREDIT) && (
+                <option value={ON_CREDIT}>{ON_CREDIT}</option>
+              )}
+              <option value="Custom">Custom</option>
+            </select>
+            {tenderLines.length > 1 && (
+              <>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={line.amount}
+                  onChange={(e) => updateLine(line.key, { amount: e.target.value })}
+                  placeholder="Amount"
+                  className={inputClassName}
+                />
+                <button
+                  type="button"
+                  onClick={() => handleRemove(line.key)}
+                  className="text-red-600 dark:text-red-400 hover:text-red-700 text-sm px-2"
+                >
+                  Remove
+                </button>
+              </>
+            )}
+          </div>
+          {line.method === 'Custom' && (
+            <input
+              type="text"
+              value={line.customMethod}
+              onChange={(e) => updateLine(line.key, { customMethod: e.target.value })}
+              placeholder="Enter custom payment method"
+              className={inputClassName}
+            />
+          )}
+        </div>
+      ))}
+
+      <div className="flex justify-between items-center">
+        <button
+          type="button"
+          onClick={handleSplit}
+          className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+        >
+          + Split payment
+        </button>
+        {tenderLines.length > 1 && remaining !== 0 && (
+          <span className="text-sm text-red-600 dark:text-red-400">
+            {remaining > 0
+              ? `${formatCurrency(remaining)} remaining`
+              : `${formatCurrency(-remaining)} over the total`}
+          </span>
+        )}
+      </div>
+
+      {hasCash && (
+        <div className="grid grid-cols-2 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Cash Received
+            </label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              value={cashReceived}
+              onChange={(e) => onCashReceivedChange(e.target.value)}
+              placeholder="Optional"
+              className={inputClassName}
+            />
+          </div>
+          {changeDue !== null && (
+            <div className="pb-3 text-right">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Change Due</p>
+              <p
+                className={`text-lg font-bold ${
+                  changeDue < 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white'
+                }`}
+              >
+                {changeDue < 0 ? 'Not enough cash' : formatCurrency(changeDue)}
+              </p>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TenderInput;
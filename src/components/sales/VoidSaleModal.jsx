@@ -0,0 +1,80 @@
+import { useState, useEffect } from 'react';
+import { requestVoidSale } from '../../services/firestoreService';
+import { formatCurrency } from '../../utils/taxCalculator';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import toast from 'react-hot-toast';
+
+const VoidSaleModal = ({ sale, userId, userName, onClose, onVoided }) => {
+  const [reason, setReason] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (sale) {
+      setReason('');
+    }
+  }, [sale]);
+
+  if (!sale) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!reason.trim()) {
+      toast.error('Please enter a reason for voiding the sale');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const { voided } = await requestVoidSale(sale.id, userId, reason.trim(), userName);
+      toast.success(voided ? 'Sale voided' : 'Void request sent for approval');
+      onVoided();
+    } catch (error) {
+      console.error('Error voiding sale:', error);
+      toast.error(error.message || 'Failed to void sale');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={!!sale} onClose={onClose} title="Void Sale">
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <div className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+          <p className="text-sm text-gray-900 dark:text-white">
+            {sale.items.map((item) => `${item.productName} x${item.quantity}`).join(', ')}
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+            {sale.createdAt.toLocaleString()} · {formatCurrency(sale.total)}
+          </p>
+        </div>
+
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Voiding cancels the whole sale and returns its items to stock. Outside the grace window the business owner has to approve it.
+        </p>
+
+        <Input
+          label="Reason"
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="e.g. Entered the wrong product"
+          required
+        />
+
+        <div className="flex gap-3">
+          <Button type="submit" disabled={submitting} className="flex-1">
+            {submitting ? 'Voiding...' : 'Void Sale'}
+          </Button>
+          <Button variant="secondary" onClick={onClose}>
+            Cancel
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default VoidSaleModal;
@@ -0,0 +1,104 @@
+import { formatCurrency } from '../../utils/taxCalculator';
+import { SHIFT_STATUSES } from '../../utils/shiftUtils';
+
+const ReportRow = ({ label, value, emphasis = false }) => (
+  <div
+    className={`flex justify-between text-sm ${
+      emphasis ? 'font-semibold text-gray-900 dark:text-white' : 'text-gray-600 dark:text-gray-400'
+    }`}
+  >
+    <span>{label}</span>
+    <span>{value}</span>
+  </div>
+);
+
+/**
+ * X report (open shift, live totals) or Z report (closed shift, stored totals)
+ */
+const ShiftReport = ({ shift, summary }) => {
+  const closed = shift.status === SHIFT_STATUSES.CLOSED;
+  const report = closed ? shift : summary;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-start">
+        <div>
+          <p className="text-xs font-semibold uppercase tracking-wider text-gray-500 dark:text-gray-400">
+            {closed ? 'Z Report' : 'X Report'}
+          </p>
+          <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+            {shift.openedByName || 'Cashier'} · opened {shift.openedAt.toLocaleString()}
+            {closed && ` · closed ${shift.closedAt.toLocaleString()}`}
+          </p>
+        </div>
+        <span
+          className={`px-2 py-0.5 text-xs rounded-full ${
+            closed
+              ? 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400'
+              : 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400'
+          }`}
+        >
+          {closed ? 'Closed' : shift.status === SHIFT_STATUSES.CLOSING ? 'Closing' : 'Open'}
+        </span>
+      </div>
+
+      <div className="space-y-2">
+        <ReportRow label="Sales" value={report.salesCount} />
+        {report.voidedCount > 0 && <ReportRow label="Voided sales" value={report.voidedCount} />}
+        {report.refundsCount > 0 && <ReportRow label="Refunds" value={report.refundsCount} />}
+        <ReportRow label="Sales total" value={formatCurrency(report.salesTotal)} />
+        <ReportRow label="of which VAT" value={formatCurrency(report.vatTotal)} />
+      </div>
+
+      <div className="pt-4 border-t border-gray-200 dark:border-gray-700 space-y-2">
+        {report.paymentMethods
+          .filter((row) => row.count > 0)
+          .map((row) => (
+            <ReportRow
+              key={row.method}
+              label={`${row.method} (${row.count})`}
+              value={formatCurrency(row.amount)}
+            />
+          ))}
+      </div>
+
+      <div className="pt-4 border-t border-gray-200 dark:border-gray-700 space-y-2">
+        <ReportRow label="Opening float" value={formatCurrency(shift.openingFloat)} />
+        <ReportRow label="Cash sales" value={formatCurrency(report.cashSales)} />
+        {report.accountPayments > 0 && (
+          <ReportRow label="Cash paid on account" value={formatCurrency(report.accountPayments)} />
+        )}
+        {report.cashRefunds > 0 && (
+          <ReportRow label="Cash refunded" value={`−${formatCurrency(report.cashRefunds)}`} />
+        )}
+        <ReportRow label="Expected cash" value={formatCurrency(report.expectedCash)} emphasis />
+        {closed && (
+          <>
+            <ReportRow label="Counted cash" value={formatCurrency(shift.countedCash)} emphasis />
+            <div className="flex justify-between text-lg font-bold">
+              <span className="text-gray-900 dark:text-white">Variance</span>
+              <span
+                className={
+                  shift.variance === 0
+                    ? 'text-green-600 dark:text-green-400'
+                    : 'text-red-600 dark:text-red-400'
+                }
+              >
+                {shift.variance > 0 ? '+' : ''}
+                {formatCurrency(shift.variance)}
+                {shift.variance > 0 && ' over'}
+                {shift.variance < 0 && ' short'}
+              </span>
+            </div>
+          </>
+        )}
+      </div>
+
+      {closed && shift.notes && (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Notes: {shift.notes}</p>
+      )}
+    </div>
+  );
+};
+
+export default ShiftReport;
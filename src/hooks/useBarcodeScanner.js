@@ -0,0 +1,66 @@
+import { useEffect, useRef } from 'react';
+
+// A keyboard-wedge scanner types each character within a few milliseconds; people don't
+const MAX_KEY_INTERVAL_MS = 50;
+const MIN_BARCODE_LENGTH = 4;
+
+/**
+ * Hook to pick up USB keyboard-wedge barcode scanners
+ * The scanner "types" the barcode followed by Enter. Keystrokes that arrive fast enough are
+ * collected and handed to onScan instead of the page. Typing into a text field is left alone,
+ * so a scan into a focused input simply fills that input.
+ * @param {Function} onScan - Called with the scanned code
+ * @param {boolean} enabled - Set to false while a dialog is open
+ */
+export const useBarcodeScanner = (onScan, enabled = true) => {
+  const onScanRef = useRef(onScan);
+  const bufferRef = useRef('');
+  const lastKeyTimeRef = useRef(0);
+
+  // Update ref when callback changes
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    const handleKeyDown = (e) => {
+      const target = e.target;
+      if (
+        target.isContentEditable ||
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) ||
+        e.ctrlKey ||
+        e.altKey ||
+        e.metaKey
+      ) {
+        return;
+      }
+
+      const now = Date.now();
+      if (now - lastKeyTimeRef.current > MAX_KEY_INTERVAL_MS) {
+        bufferRef.current = '';
+      }
+      lastKeyTimeRef.current = now;
+
+      if (e.key === 'Enter') {
+        const code = bufferRef.current;
+        bufferRef.current = '';
+        if (code.length >= MIN_BARCODE_LENGTH) {
+          // Keep the Enter from also pressing the focused button
+          e.preventDefault();
+          onScanRef.current(code);
+        }
+      } else if (e.key.length === 1) {
+        bufferRef.current += e.key;
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown, true);
+
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown, true);
+      bufferRef.current = '';
+    };
+  }, [enabled]);
+};
@@ -0,0 +1,403 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import {
+  getCustomers,
+  deleteCustomer,
+  getAccountActivity,
+  getBusiness,
+  getBusinessesByOwner,
+} from '../services/firestoreService';
+import { formatCurrency } from '../utils/taxCalculator';
+import { matchesCustomer, sortCustomers } from '../utils/customerUtils';
+import { AGING_BUCKETS, getAgingReport, getCustomerLedger } from '../utils/creditUtils';
+import { getLoyaltySettings } from '../utils/loyaltyUtils';
+import { exportAgingReportToPDF, exportCustomerStatementToPDF } from '../utils/exportUtils';
+import Input from '../components/common/Input';
+import Button from '../components/common/Button';
+import CustomerFormModal from '../components/customers/CustomerFormModal';
+import ReceivePaymentModal from '../components/customers/ReceivePaymentModal';
+import toast from 'react-hot-toast';
+
+const Customers = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [customers, setCustomers] = useState([]);
+  const [business, setBusiness] = useState(null);
+  const [accountActivity, setAccountActivity] = useState({ sales: [], payments: [], creditNotes: [] });
+  const [loading, setLoading] = useState(true);
+  const [businesses, setBusinesses] = useState([]);
+  const [selectedBusinessId, setSelectedBusinessId] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+
+  // Customer form (create / edit)
+  const [showForm, setShowForm] = useState(false);
+  const [editingCustomer, setEditingCustomer] = useState(null);
+  const [payingCustomer, setPayingCustomer] = useState(null);
+
+  // Only the business owner can delete customers (see firestore.rules)
+  const canDelete = user?.role === 'admin';
+
+  const loadAdminBusinesses = useCallback(async (ownerId) => {
+    try {
+      const userBusinesses = await getBusinessesByOwner(ownerId);
+      setBusinesses(userBusinesses);
+
+      if (userBusinesses.length > 0) {
+        setSelectedBusinessId(userBusinesses[0].id);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to load businesses');
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      if (user.role === 'admin') {
+        loadAdminBusinesses(user.uid);
+      } else if (user.role === 'representative' && user.businessId) {
+        setSelectedBusinessId(user.businessId);
+      } else {
+        setLoading(false);
+      }
+    }
+  }, [user, loadAdminBusinesses]);
+
+  useEffect(() => {
+    if (selectedBusinessId) {
+      loadCustomers(selectedBusinessId);
+    }
+  }, [selectedBusinessId]);
+
+  const loadCustomers = async (businessId) => {
+    try {
+      setLoading(true);
+      const [businessData, businessCustomers, activity] = await Promise.all([
+        getBusiness(businessId),
+        getCustomers(businessId),
+        getAccountActivity(businessId),
+      ]);
+      setBusiness(businessData);
+      setCustomers(sortCustomers(businessCustomers));
+      setAccountActivity(activity);
+    } catch (error) {
+      console.error('Error loading customers:', error);
+      toast.error('Failed to load customers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingCustomer(null);
+    setShowForm(true);
+  };
+
+  const openEditForm = (customer) => {
+    setEditingCustomer(customer);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingCustomer(null);
+  };
+
+  const handleSaved = () => {
+    closeForm();
+    loadCustomers(selectedBusinessId);
+  };
+
+  const handleDeleteCustomer = async (customer) => {
+    if (!confirm(`Are you sure you want to delete "${customer.name}"? Past sales keep the customer's name and TIN.`)) return;
+
+    try {
+      await deleteCustomer(customer.id);
+      toast.success('Customer deleted');
+      loadCustomers(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to delete customer');
+    }
+  };
+
+  const handlePaymentReceived = () => {
+    setPayingCustomer(null);
+    loadCustomers(selectedBusinessId);
+  };
+
+  const handleExportStatement = (customer) => {
+    const belongsToCustomer = (record) => record.customerId === customer.id;
+    const ledger = getCustomerLedger({
+      sales: accountActivity.sales.filter(belongsToCustomer),
+      payments: accountActivity.payments.filter(belongsToCustomer),
+      creditNotes: accountActivity.creditNotes.filter(belongsToCustomer),
+    });
+    if (ledger.length === 0) {
+      toast.error('This customer has no account activity yet');
+      return;
+    }
+    exportCustomerStatementToPDF(customer, business, ledger);
+    toast.success('Statement exported');
+  };
+
+  const agingReport = getAgingReport(customers, accountActivity);
+  const loyaltyEnabled = getLoyaltySettings(business).enabled;
+
+  const filteredCustomers = customers.filter((customer) => matchesCustomer(customer, searchTerm));
+
+  // Show message if admin has no businesses
+  if (user?.role === 'admin' && businesses.length === 0 && !loading) {
+    return (
+      <div className="p-8">
+        <div className="mb-10">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Customers</h1>
+          <p className="text-gray-500 dark:text-gray-400">Create a business first to manage customers</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-8 border border-gray-200 dark:border-gray-700 shadow-lg max-w-md">
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            You need to create a business before you can add customers.
+          </p>
+          <Button onClick={() => navigate('/settings')}>
+            Go to Settings to Create Business
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="mb-10">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Customers</h1>
+            <p className="text-gray-500 dark:text-gray-400">Keep contact details and TINs for invoicing</p>
+          </div>
+          {user?.role === 'admin' && businesses.length > 0 && (
+            <select
+              value={selectedBusinessId || ''}
+              onChange={(e) => setSelectedBusinessId(e.target.value)}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {businesses.map((business) => (
+                <option key={business.id} value={business.id}>
+                  {business.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      {!loading && agingReport.rows.length > 0 && (
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg mb-6">
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Receivables Aging</h2>
+            <Button variant="secondary" onClick={() => exportAgingReportToPDF(agingReport, business)}>
+              Export PDF
+            </Button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Customer
+                  </th>
+                  {AGING_BUCKETS.map((bucket) => (
+                    <th
+                      key={bucket.label}
+                      className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider"
+                    >
+                      {bucket.label}
+                    </th>
+                  ))}
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Total
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {agingReport.rows.map((row) => (
+                  <tr key={row.customerId} className="border-b border-gray-100 dark:border-gray-700">
+                    <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{row.name}</td>
+                    {row.buckets.map((amount, index) => (
+                      <td
+                        key={AGING_BUCKETS[index].label}
+                        className={`px-4 py-3 whitespace-nowrap text-sm text-right ${
+                          amount > 0 && index > 0
+                            ? 'text-red-600 dark:text-red-400'
+                            : 'text-gray-700 dark:text-gray-300'
+                        }`}
+                      >
+                        {amount ? formatCurrency(amount) : '—'}
+                      </td>
+                    ))}
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-right font-semibold text-gray-900 dark:text-white">
+                      {formatCurrency(row.total)}
+                    </td>
+                  </tr>
+                ))}
+                <tr>
+                  <td className="px-4 py-3 text-sm font-semibold text-gray-900 dark:text-white">Total</td>
+                  {agingReport.totals.buckets.map((amount, index) => (
+                    <td
+                      key={AGING_BUCKETS[index].label}
+                      className="px-4 py-3 whitespace-nowrap text-sm text-right font-semibold text-gray-900 dark:text-white"
+                    >
+                      {formatCurrency(amount)}
+                    </td>
+                  ))}
+                  <td className="px-4 py-3 whitespace-nowrap text-sm text-right font-bold text-gray-900 dark:text-white">
+                    {formatCurrency(agingReport.totals.total)}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+        <div className="flex flex-col md:flex-row md:items-end gap-4 mb-6">
+          <div className="flex-1">
+            <Input
+              label="Search Customers"
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search by name, phone, email or TIN"
+            />
+          </div>
+          <Button onClick={openCreateForm} disabled={!selectedBusinessId}>
+            + Add Customer
+          </Button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-500"></div>
+          </div>
+        ) : filteredCustomers.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+            {customers.length === 0 ? 'No customers yet. Add one here or at checkout.' : 'No customers match your search.'}
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Phone
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Email
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    TIN
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Balance
+                  </th>
+                  {loyaltyEnabled && (
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      Points
+                    </th>
+                  )}
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredCustomers.map((customer) => (
+                  <tr key={customer.id} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                    <td className="px-4 py-4 text-sm text-gray-900 dark:text-gray-100">
+                      {customer.name}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {customer.phone || '—'}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {customer.email || '—'}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm font-mono text-gray-700 dark:text-gray-300">
+                      {customer.tin || '—'}
+                    </td>
+                    <td
+                      className={`px-4 py-4 whitespace-nowrap text-sm font-semibold ${
+                        (customer.balance || 0) > 0
+                          ? 'text-red-600 dark:text-red-400'
+                          : 'text-gray-900 dark:text-white'
+                      }`}
+                    >
+                      {formatCurrency(customer.balance || 0)}
+                    </td>
+                    {loyaltyEnabled && (
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                        {customer.loyaltyPoints || 0}
+                      </td>
+                    )}
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right space-x-4">
+                      {(customer.balance || 0) > 0 && (
+                        <button
+                          onClick={() => setPayingCustomer(customer)}
+                          className="text-green-600 dark:text-green-400 hover:text-green-700 text-sm"
+                        >
+                          Receive Payment
+                        </button>
+                      )}
+                      <button
+                        onClick={() => handleExportStatement(customer)}
+                        className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200 text-sm"
+                      >
+                        Statement
+                      </button>
+                      <button
+                        onClick={() => openEditForm(customer)}
+                        className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+                      >
+                        Edit
+                      </button>
+                      {canDelete && (
+                        <button
+                          onClick={() => handleDeleteCustomer(customer)}
+                          className="text-red-600 dark:text-red-400 hover:text-red-700 text-sm"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <CustomerFormModal
+        isOpen={showForm}
+        businessId={selectedBusinessId}
+        customer={editingCustomer}
+        onClose={closeForm}
+        onSaved={handleSaved}
+      />
+
+      <ReceivePaymentModal
+        customer={payingCustomer}
+        user={user}
+        onClose={() => setPayingCustomer(null)}
+        onReceived={handlePaymentReceived}
+      />
+    </div>
+  );
+};
+
+export default Customers;
@@ -1,9 +1,18 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
-import { getAllSales, getBusinessesByOwner } from '../services/firestoreService';
+import {
+  getAllSales,
+  getAllCreditNotes,
+  getBusinessesByOwner,
+  getProducts,
+} from '../services/firestoreService';
 import { formatCurrency } from '../utils/taxCalculator';
+import { subtractAmounts, sumBy } from '../utils/money';
+import { isVoided } from '../utils/saleUtils';
+import { getLowStockProducts } from '../utils/stockUtils';
 import Button from '../components/common/Button';
+import LowStockWidget from '../components/dashboard/LowStockWidget';
 import toast from 'react-hot-toast';
 
 const Dashboard = () => {
@@ -14,6 +23,7 @@ const Dashboard = () => {
     totalVAT: 0,
     totalTransactions: 0,
   });
+  const [lowStockProducts, setLowStockProducts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [businesses, setBusinesses] = useState([]);
   const [selectedBusinessId, setSelectedBusinessId] = useState(null);
@@ -64,16 +74,30 @@ const Dashboard = () => {
   const loadDashboardData = async (businessId) => {
     try {
       setLoading(true);
-      const sales = await getAllSales(businessId);
+      const [allSales, creditNotes, products] = await Promise.all([
+        getAllSales(businessId),
+        getAllCreditNotes(businessId),
+        getProducts(businessId),
+      ]);
 
-      const totalSales = sales.reduce((sum, sale) => sum + sale.total, 0);
-      const totalVAT = sales.reduce((sum, sale) => sum + sale.vatAmount, 0);
+      const sales = allSales.filter((sale) => !isVoided(sale));
+
+      // Refunds are netted out of the totals
+      const totalSales = subtractAmounts(
+        sumBy(sales, (sale) => sale.total),
+        sumBy(creditNotes, (creditNote) => creditNote.total)
+      );
+      const totalVAT = subtractAmounts(
+        sumBy(sales, (sale) => sale.vatAmount),
+        sumBy(creditNotes, (creditNote) => creditNote.vatAmount)
+      );
 
       setStats({
         totalSales,
         totalVAT,
         totalTransactions: sales.length,
       });
+      setLowStockProducts(getLowStockProducts(products));
     } catch (error) {
       toast.error('Failed to load dashboard data');
       console.error(error);
@@ -178,6 +202,8 @@ const Dashboard = () => {
         </div>
       </div>
 
+      <LowStockWidget products={lowStockProducts} />
+
       <div>
         <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">Quick Actions</h2>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
@@ -0,0 +1,603 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import {
+  getProducts,
+  addProduct,
+  updateProduct,
+  setProductArchived,
+  setProductCost,
+  deleteProduct,
+  getBusinessesByOwner,
+} from '../services/firestoreService';
+import { formatCurrency, TAX_CATEGORIES, TAX_CATEGORY_LABELS } from '../utils/taxCalculator';
+import { isCameraScanSupported, normalizeBarcode } from '../utils/barcodeUtils';
+import { isLowStock } from '../utils/stockUtils';
+import { useBarcodeScanner } from '../hooks/useBarcodeScanner';
+import Input from '../components/common/Input';
+import Button from '../components/common/Button';
+import Modal from '../components/common/Modal';
+import BarcodeScannerModal from '../components/common/BarcodeScannerModal';
+import StockMovementModal from '../components/inventory/StockMovementModal';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  name: '',
+  price: '',
+  taxCategory: TAX_CATEGORIES.STANDARD,
+  barcode: '',
+  currentStock: 0,
+  unitCost: '',
+  reorderLevel: '',
+};
+
+const Inventory = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [businesses, setBusinesses] = useState([]);
+  const [selectedBusinessId, setSelectedBusinessId] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+
+  // Product form (create / edit)
+  const [showForm, setShowForm] = useState(false);
+  const [editingProduct, setEditingProduct] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const [movementProduct, setMovementProduct] = useState(null);
+
+  // Camera scan: 'search' opens the scanned product, 'form' fills the barcode field
+  const [cameraTarget, setCameraTarget] = useState(null);
+
+  // Only the business owner can delete products (see firestore.rules)
+  const canDelete = user?.role === 'admin';
+
+  const loadAdminBusinesses = useCallback(async (ownerId) => {
+    try {
+      const userBusinesses = await getBusinessesByOwner(ownerId);
+      setBusinesses(userBusinesses);
+
+      if (userBusinesses.length > 0) {
+        setSelectedBusinessId(userBusinesses[0].id);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to load businesses');
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      if (user.role === 'admin') {
+        loadAdminBusinesses(user.uid);
+      } else if (user.role === 'representative' && user.businessId) {
+        setSelectedBusinessId(user.businessId);
+      } else {
+        setLoading(false);
+      }
+    }
+  }, [user, loadAdminBusinesses]);
+
+  useEffect(() => {
+    if (selectedBusinessId) {
+      loadProducts(selectedBusinessId);
+    }
+  }, [selectedBusinessId]);
+
+  const loadProducts = async (businessId) => {
+    try {
+      setLoading(true);
+      const businessProducts = await getProducts(businessId);
+      businessProducts.sort((a, b) => a.name.localeCompare(b.name));
+      setProducts(businessProducts);
+    } catch (error) {
+      console.error('Error loading products:', error);
+      toast.error('Failed to load products');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingProduct(null);
+    setForm(emptyForm);
+    setShowForm(true);
+  };
+
+  const openEditForm = (product) => {
+    setEditingProduct(product);
+    setForm({
+      name: product.name,
+      price: product.price,
+      taxCategory: product.taxCategory || TAX_CATEGORIES.STANDARD,
+      barcode: product.barcode || '',
+      currentStock: product.currentStock || 0,
+      unitCost: product.averageCost ?? '',
+      reorderLevel: product.reorderLevel ?? '',
+    });
+    setShowForm(true);
+  };
+
+  // A scanned product opens for editing; an unknown barcode starts a new product with it
+  const handleScan = (code) => {
+    let barcode;
+    try {
+      barcode = normalizeBarcode(code);
+    } catch (error) {
+      toast.error(error.message);
+      return;
+    }
+
+    const product = products.find((p) => p.barcode === barcode);
+    if (product) {
+      openEditForm(product);
+    } else {
+      setEditingProduct(null);
+      setForm({ ...emptyForm, barcode });
+      setShowForm(true);
+      toast(`No product has barcode ${barcode} yet`);
+    }
+  };
+
+  const handleCameraScan = (code) => {
+    if (cameraTarget === 'form') {
+      setForm((current) => ({ ...current, barcode: code }));
+    } else {
+      handleScan(code);
+    }
+    setCameraTarget(null);
+  };
+
+  useBarcodeScanner(handleScan, !!selectedBusinessId && !showForm && !cameraTarget);
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingProduct(null);
+    setForm(emptyForm);
+  };
+
+  const handleSaveProduct = async (e) => {
+    e.preventDefault();
+
+    const name = form.name.trim();
+    if (!name) {
+      toast.error('Product name is required');
+      return;
+    }
+
+    const priceValue = parseFloat(form.price);
+    if (isNaN(priceValue) || priceValue < 0) {
+      toast.error('Please enter a valid price');
+      return;
+    }
+
+    const stockValue = parseInt(form.currentStock);
+    if (isNaN(stockValue) || stockValue < 0) {
+      toast.error('Please enter a valid stock level');
+      return;
+    }
+
+    // The cost can be left empty and added later with a purchase receipt
+    const unitCost = form.unitCost === '' ? null : parseFloat(form.unitCost);
+    if (unitCost !== null && (isNaN(unitCost) || unitCost < 0)) {
+      toast.error('Please enter a valid unit cost');
+      return;
+    }
+
+    // Leaving the reorder level empty turns off low-stock alerts for the product
+    const reorderLevel = form.reorderLevel === '' ? null : parseInt(form.reorderLevel);
+    if (reorderLevel !== null && (isNaN(reorderLevel) || reorderLevel < 0)) {
+      toast.error('Please enter a valid reorder level');
+      return;
+    }
+
+    let barcode;
+    try {
+      barcode = normalizeBarcode(form.barcode);
+    } catch (error) {
+      toast.error(error.message);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editingProduct) {
+        await updateProduct(editingProduct.id, {
+          name,
+          price: priceValue,
+          taxCategory: form.taxCategory,
+          barcode,
+          reorderLevel,
+        });
+        // Once a product has a cost, only goods receipts change it
+        if (editingProduct.averageCost == null && unitCost !== null) {
+          await setProductCost(editingProduct.id, {
+            unitCost,
+            userId: user.uid,
+            userName: user.name || user.email,
+          });
+        }
+        toast.success('Product updated');
+      } else {
+        await addProduct(selectedBusinessId, {
+          name,
+          price: priceValue,
+          taxCategory: form.taxCategory,
+          barcode,
+          reorderLevel,
+          currentStock: stockValue,
+          unitCost,
+          createdByUserId: user.uid,
+          createdByName: user.name || user.email,
+        });
+        toast.success('Product added');
+      }
+      closeForm();
+      loadProducts(selectedBusinessId);
+    } catch (error) {
+      console.error('Error saving product:', error);
+      toast.error(error.message || 'Failed to save product');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleArchived = async (product) => {
+    try {
+      await setProductArchived(product.id, !product.archived);
+      toast.success(product.archived ? 'Product restored' : 'Product archived');
+      loadProducts(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to update product');
+    }
+  };
+
+  const handleDeleteProduct = async (product) => {
+    if (!confirm(`Are you sure you want to delete "${product.name}"? This action cannot be undone.`)) return;
+
+    try {
+      await deleteProduct(product.id);
+      toast.success('Product deleted');
+      loadProducts(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to delete product');
+    }
+  };
+
+  const filteredProducts = products.filter((product) => {
+    if (!showArchived && product.archived) {
+      return false;
+    }
+    const term = searchTerm.trim().toLowerCase();
+    return product.name.toLowerCase().includes(term) || (product.barcode || '').includes(term);
+  });
+
+  // Show message if admin has no businesses
+  if (user?.role === 'admin' && businesses.length === 0 && !loading) {
+    return (
+      <div className="p-8">
+        <div className="mb-10">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Inventory</h1>
+          <p className="text-gray-500 dark:text-gray-400">Create a business first to manage inventory</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-8 border border-gray-200 dark:border-gray-700 shadow-lg max-w-md">
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            You need to create a business before you can add products.
+          </p>
+          <Button onClick={() => navigate('/settings')}>
+            Go to Settings to Create Business
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="mb-10">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Inventory</h1>
+            <p className="text-gray-500 dark:text-gray-400">Manage products and stock levels</p>
+          </div>
+          {user?.role === 'admin' && businesses.length > 0 && (
+            <select
+              value={selectedBusinessId || ''}
+              onChange={(e) => setSelectedBusinessId(e.target.value)}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {businesses.map((business) => (
+                <option key={business.id} value={business.id}>
+                  {business.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+        <div className="flex flex-col md:flex-row md:items-end gap-4 mb-6">
+          <div className="flex-1">
+            <Input
+              label="Search Products"
+              type="text"
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder="Search by name or barcode"
+            />
+          </div>
+          <div className="flex items-center md:pb-3">
+            <input
+              type="checkbox"
+              id="showArchived"
+              checked={showArchived}
+              onChange={(e) => setShowArchived(e.target.checked)}
+              className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600"
+            />
+            <label htmlFor="showArchived" className="ml-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+              Show archived
+            </label>
+          </div>
+          {isCameraScanSupported() && (
+            <Button variant="secondary" onClick={() => setCameraTarget('search')} disabled={!selectedBusinessId}>
+              Scan
+            </Button>
+          )}
+          <Button onClick={openCreateForm} disabled={!selectedBusinessId}>
+            + Add Product
+          </Button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-500"></div>
+          </div>
+        ) : filteredProducts.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+            {products.length === 0 ? 'No products yet. Add your first product to get started.' : 'No products match your search.'}
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Product
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Price
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    VAT
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    In Stock
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredProducts.map((product) => (
+                  <tr key={product.id} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                    <td className="px-4 py-4 text-sm text-gray-900 dark:text-gray-100">
+                      <button
+                        onClick={() => navigate(`/inventory/${product.id}`)}
+                        className="hover:text-blue-600 dark:hover:text-blue-400 text-left"
+                      >
+                        {product.name}
+                      </button>
+                      {product.archived && (
+                        <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400">
+                          Archived
+                        </span>
+                      )}
+                      {product.barcode && (
+                        <p className="text-xs font-mono text-gray-500 dark:text-gray-400">{product.barcode}</p>
+                      )}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {formatCurrency(product.price)}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {TAX_CATEGORY_LABELS[product.taxCategory || TAX_CATEGORIES.STANDARD]}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm">
+                      <span
+                        className={`font-semibold ${
+                          (product.currentStock || 0) <= 0
+                            ? 'text-red-600 dark:text-red-400'
+                            : isLowStock(product)
+                              ? 'text-orange-600 dark:text-orange-400'
+                              : 'text-gray-900 dark:text-white'
+                        }`}
+                      >
+                        {product.currentStock || 0}
+                      </span>
+                      {product.reorderLevel != null && (
+                        <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                          reorder at {product.reorderLevel}
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right space-x-4">
+                      <button
+                        onClick={() => openEditForm(product)}
+                        className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => setMovementProduct(product)}
+                        className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+                      >
+                        Stock
+                      </button>
+                      <button
+                        onClick={() => handleToggleArchived(product)}
+                        className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200 text-sm"
+                      >
+                        {product.archived ? 'Restore' : 'Archive'}
+                      </button>
+                      {canDelete && (
+                        <button
+                          onClick={() => handleDeleteProduct(product)}
+                          className="text-red-600 dark:text-red-400 hover:text-red-700 text-sm"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <Modal
+        isOpen={showForm}
+        onClose={closeForm}
+        title={editingProduct ? 'Edit Product' : 'Add Product'}
+      >
+        <form onSubmit={handleSaveProduct} className="space-y-6">
+          <Input
+            label="Product Name"
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Enter product name"
+            required
+          />
+
+          <div className="flex items-end gap-3">
+            <div className="flex-1">
+              <Input
+                label="Barcode"
+                type="text"
+                value={form.barcode}
+                onChange={(e) => setForm({ ...form, barcode: e.target.value })}
+                // A wedge scanner ends with Enter, which would otherwise submit the form
+                onKeyDown={(e) => e.key === 'Enter' && e.preventDefault()}
+                placeholder="Scan or type EAN-13, UPC-A or Code128"
+              />
+            </div>
+            {isCameraScanSupported() && (
+              <Button variant="secondary" onClick={() => setCameraTarget('form')}>
+                Scan
+              </Button>
+            )}
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <Input
+              label="Price (RWF)"
+              type="number"
+              step="0.01"
+              min="0"
+              value={form.price}
+              onChange={(e) => setForm({ ...form, price: e.target.value })}
+              placeholder="0.00"
+              required
+            />
+
+            <Input
+              label={editingProduct ? 'Stock Level' : 'Opening Stock'}
+              type="number"
+              min="0"
+              value={form.currentStock}
+              onChange={(e) => setForm({ ...form, currentStock: e.target.value })}
+              disabled={!!editingProduct}
+              required
+            />
+          </div>
+          {editingProduct && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 -mt-3">
+              Stock changes are recorded as movements. Use Stock in the product list to receive, adjust or count stock.
+            </p>
+          )}
+
+          <div>
+            <Input
+              label={editingProduct ? 'Average Cost (RWF)' : 'Unit Cost (RWF)'}
+              type="number"
+              step="0.01"
+              min="0"
+              value={form.unitCost}
+              onChange={(e) => setForm({ ...form, unitCost: e.target.value })}
+              disabled={editingProduct?.averageCost != null}
+              placeholder="What you pay the supplier per unit"
+            />
+            <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+              {editingProduct?.averageCost != null
+                ? 'The weighted-average cost is updated each time goods are received.'
+                : 'Used to work out profit and stock value. Goods receipts update it from then on.'}
+            </p>
+          </div>
+
+          <Input
+            label="Reorder Level"
+            type="number"
+            min="0"
+            value={form.reorderLevel}
+            onChange={(e) => setForm({ ...form, reorderLevel: e.target.value })}
+            placeholder="Leave empty for no low-stock alert"
+          />
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              VAT Category
+            </label>
+            <select
+              value={form.taxCategory}
+              onChange={(e) => setForm({ ...form, taxCategory: e.target.value })}
+              className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-gray-900 dark:text-gray-100"
+            >
+              {Object.values(TAX_CATEGORIES).map((category) => (
+                <option key={category} value={category}>
+                  {TAX_CATEGORY_LABELS[category]}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="flex gap-3 pt-2">
+            <Button type="submit" disabled={saving} className="flex-1">
+              {saving ? 'Saving...' : editingProduct ? 'Save Changes' : 'Add Product'}
+            </Button>
+            <Button variant="secondary" onClick={closeForm}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      </Modal>
+
+      <StockMovementModal
+        isOpen={!!movementProduct}
+        product={movementProduct}
+        user={user}
+        onClose={() => setMovementProduct(null)}
+        onRecorded={() => {
+          setMovementProduct(null);
+          loadProducts(selectedBusinessId);
+        }}
+      />
+
+      <BarcodeScannerModal
+        isOpen={!!cameraTarget}
+        onDetected={handleCameraScan}
+        onClose={() => setCameraTarget(null)}
+      />
+    </div>
+  );
+};
+
+export default Inventory;
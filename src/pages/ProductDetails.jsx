@@ -0,0 +1,204 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import { getProduct, getStockMovements } from '../services/firestoreService';
+import { formatCurrency, TAX_CATEGORIES, TAX_CATEGORY_LABELS } from '../utils/taxCalculator';
+import { formatStockChange, isLowStock, STOCK_MOVEMENT_LABELS } from '../utils/stockUtils';
+import { fromMinor, multiplyAmount } from '../utils/money';
+import Button from '../components/common/Button';
+import StockMovementModal from '../components/inventory/StockMovementModal';
+import toast from 'react-hot-toast';
+
+const ProductDetails = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const { productId } = useParams();
+  const [product, setProduct] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showMovement, setShowMovement] = useState(false);
+
+  const loadProduct = useCallback(async () => {
+    try {
+      setLoading(true);
+      const productData = await getProduct(productId);
+      setProduct(productData);
+      if (productData) {
+        setMovements(await getStockMovements(productData.businessId, productId));
+      }
+    } catch (error) {
+      console.error('Error loading product:', error);
+      toast.error('Failed to load product');
+    } finally {
+      setLoading(false);
+    }
+  }, [productId]);
+
+  useEffect(() => {
+    if (user && productId) {
+      loadProduct();
+    }
+  }, [user, productId, loadProduct]);
+
+  const handleRecorded = () => {
+    setShowMovement(false);
+    loadProduct();
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-500"></div>
+      </div>
+    );
+  }
+
+  if (!product) {
+    return (
+      <div className="p-8">
+        <div className="mb-10">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Product not found</h1>
+          <p className="text-gray-500 dark:text-gray-400">It may have been deleted</p>
+        </div>
+        <Button onClick={() => navigate('/inventory')}>Back to Inventory</Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="mb-10">
+        <button
+          onClick={() => navigate('/inventory')}
+          className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm mb-4"
+        >
+          ← Inventory
+        </button>
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">{product.name}</h1>
+            <p className="text-gray-500 dark:text-gray-400">
+              {formatCurrency(product.price)} · {TAX_CATEGORY_LABELS[product.taxCategory || TAX_CATEGORIES.STANDARD]}
+              {product.barcode && <span className="font-mono"> · {product.barcode}</span>}
+              {product.archived && ' · Archived'}
+            </p>
+          </div>
+          <Button onClick={() => setShowMovement(true)}>Record Movement</Button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">In Stock</p>
+          <p
+            className={`text-3xl font-bold ${
+              (product.currentStock || 0) > 0 ? 'text-gray-900 dark:text-white' : 'text-red-600 dark:text-red-400'
+            }`}
+          >
+            {product.currentStock || 0}
+          </p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">Reorder Level</p>
+          <p className="text-3xl font-bold text-gray-900 dark:text-white">{product.reorderLevel ?? '—'}</p>
+          {isLowStock(product) && (
+            <p className="text-sm text-orange-600 dark:text-orange-400 mt-1">Time to reorder</p>
+          )}
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+          <p className="text-sm text-gray-500 dark:text-gray-400 mb-1">Average Cost</p>
+          <p className="text-3xl font-bold text-gray-900 dark:text-white">
+            {product.averageCost != null ? formatCurrency(product.averageCost) : '—'}
+          </p>
+          {product.averageCost != null && (product.currentStock || 0) > 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+              Stock value {formatCurrency(fromMinor(multiplyAmount(product.averageCost, product.currentStock)))}
+            </p>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">Stock Movements</h2>
+
+        {movements.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">No stock movements yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Date
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Type
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Change
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Stock After
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Unit Cost
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Reason
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    By
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {movements.map((movement) => (
+                  <tr key={movement.id} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {movement.createdAt.toLocaleString()}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                      {STOCK_MOVEMENT_LABELS[movement.type] || movement.type}
+                      {movement.referenceNumber && (
+                        <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{movement.referenceNumber}</span>
+                      )}
+                    </td>
+                    <td
+                      className={`px-4 py-4 whitespace-nowrap text-sm text-right font-semibold ${
+                        movement.quantity < 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'
+                      }`}
+                    >
+                      {formatStockChange(movement.quantity)}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-900 dark:text-white">
+                      {movement.stockAfter}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-700 dark:text-gray-300">
+                      {movement.unitCost != null ? formatCurrency(movement.unitCost) : '—'}
+                    </td>
+                    <td className="px-4 py-4 text-sm text-gray-700 dark:text-gray-300">
+                      {movement.reason || '—'}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {movement.createdByName || '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <StockMovementModal
+        isOpen={showMovement}
+        product={product}
+        user={user}
+        onClose={() => setShowMovement(false)}
+        onRecorded={handleRecorded}
+      />
+    </div>
+  );
+};
+
+export default ProductDetails;
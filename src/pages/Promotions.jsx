@@ -0,0 +1,286 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import {
+  deletePromotion,
+  getBusinessesByOwner,
+  getProducts,
+  getPromotions,
+  updatePromotion,
+} from '../services/firestoreService';
+import { describePromotion, getPromotionStatus } from '../utils/discountUtils';
+import Button from '../components/common/Button';
+import PromotionFormModal from '../components/promotions/PromotionFormModal';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  Running: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400',
+  Scheduled: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-400',
+  Paused: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400',
+  Ended: 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400',
+};
+
+const Promotions = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [promotions, setPromotions] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [businesses, setBusinesses] = useState([]);
+  const [selectedBusinessId, setSelectedBusinessId] = useState(null);
+
+  // Promotion form (create / edit)
+  const [showForm, setShowForm] = useState(false);
+  const [editingPromotion, setEditingPromotion] = useState(null);
+
+  const loadAdminBusinesses = useCallback(async (ownerId) => {
+    try {
+      const userBusinesses = await getBusinessesByOwner(ownerId);
+      setBusinesses(userBusinesses);
+
+      if (userBusinesses.length > 0) {
+        setSelectedBusinessId(userBusinesses[0].id);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to load businesses');
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      loadAdminBusinesses(user.uid);
+    }
+  }, [user, loadAdminBusinesses]);
+
+  useEffect(() => {
+    if (selectedBusinessId) {
+      loadPromotions(selectedBusinessId);
+    }
+  }, [selectedBusinessId]);
+
+  const loadPromotions = async (businessId) => {
+    try {
+      setLoading(true);
+      const [businessPromotions, businessProducts] = await Promise.all([
+        getPromotions(businessId),
+        getProducts(businessId),
+      ]);
+      setPromotions(businessPromotions.sort((a, b) => a.name.localeCompare(b.name)));
+      setProducts(
+        businessProducts
+          .filter((product) => !product.archived)
+          .sort((a, b) => a.name.localeCompare(b.name))
+      );
+    } catch (error) {
+      console.error('Error loading promotions:', error);
+      toast.error('Failed to load promotions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingPromotion(null);
+    setShowForm(true);
+  };
+
+  const openEditForm = (promotion) => {
+    setEditingPromotion(promotion);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingPromotion(null);
+  };
+
+  const handleSaved = () => {
+    closeForm();
+    loadPromotions(selectedBusinessId);
+  };
+
+  const handleToggleActive = async (promotion) => {
+    try {
+      await updatePromotion(promotion.id, { active: promotion.active === false });
+      toast.success(promotion.active === false ? 'Promotion resumed' : 'Promotion paused');
+      loadPromotions(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to update promotion');
+    }
+  };
+
+  const handleDeletePromotion = async (promotion) => {
+    if (!confirm(`Are you sure you want to delete "${promotion.name}"? Past sales keep the discount they got.`)) return;
+
+    try {
+      await deletePromotion(promotion.id);
+      toast.success('Promotion deleted');
+      loadPromotions(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to delete promotion');
+    }
+  };
+
+  const formatPeriod = (promotion) => {
+    if (promotion.startDate && promotion.endDate) return `${promotion.startDate} to ${promotion.endDate}`;
+    if (promotion.startDate) return `From ${promotion.startDate}`;
+    if (promotion.endDate) return `Until ${promotion.endDate}`;
+    return 'No end date';
+  };
+
+  // Show message if admin has no businesses
+  if (businesses.length === 0 && !loading) {
+    return (
+      <div className="p-8">
+        <div className="mb-10">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Promotions</h1>
+          <p className="text-gray-500 dark:text-gray-400">Create a business first to run promotions</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-8 border border-gray-200 dark:border-gray-700 shadow-lg max-w-md">
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            You need to create a business before you can add promotions.
+          </p>
+          <Button onClick={() => navigate('/settings')}>
+            Go to Settings to Create Business
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="mb-10">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Promotions</h1>
+            <p className="text-gray-500 dark:text-gray-400">Discounts applied automatically at checkout</p>
+          </div>
+          {businesses.length > 0 && (
+            <select
+              value={selectedBusinessId || ''}
+              onChange={(e) => setSelectedBusinessId(e.target.value)}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {businesses.map((business) => (
+                <option key={business.id} value={business.id}>
+                  {business.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+        <div className="flex justify-between items-center mb-6">
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            When several promotions run on a product, the line gets the one worth the most.
+          </p>
+          <Button onClick={openCreateForm} disabled={!selectedBusinessId || products.length === 0}>
+            + Add Promotion
+          </Button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-500"></div>
+          </div>
+        ) : promotions.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+            {products.length === 0
+              ? 'Add products to your inventory before creating promotions.'
+              : 'No promotions yet.'}
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Product
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Offer
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Period
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {promotions.map((promotion) => {
+                  const status = getPromotionStatus(promotion);
+                  return (
+                    <tr key={promotion.id} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                      <td className="px-4 py-4 text-sm text-gray-900 dark:text-gray-100">
+                        {promotion.name}
+                      </td>
+                      <td className="px-4 py-4 text-sm text-gray-700 dark:text-gray-300">
+                        {promotion.productName}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                        {describePromotion(promotion)}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                        {formatPeriod(promotion)}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[status]}`}>
+                          {status}
+                        </span>
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-right space-x-4">
+                        <button
+                          onClick={() => handleToggleActive(promotion)}
+                          className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200 text-sm"
+                        >
+                          {promotion.active === false ? 'Resume' : 'Pause'}
+                        </button>
+                        <button
+                          onClick={() => openEditForm(promotion)}
+                          className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDeletePromotion(promotion)}
+                          className="text-red-600 dark:text-red-400 hover:text-red-700 text-sm"
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <PromotionFormModal
+        isOpen={showForm}
+        businessId={selectedBusinessId}
+        promotion={editingPromotion}
+        products={products}
+        onClose={closeForm}
+        onSaved={handleSaved}
+      />
+    </div>
+  );
+};
+
+export default Promotions;
@@ -0,0 +1,341 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import {
+  deletePurchaseOrder,
+  getBusiness,
+  getBusinessesByOwner,
+  getProducts,
+  getPurchaseOrders,
+  getSuppliers,
+  markPurchaseOrderSent,
+} from '../services/firestoreService';
+import { formatCurrency } from '../utils/taxCalculator';
+import { canReceive, PO_STATUS_LABELS, PO_STATUSES } from '../utils/purchaseUtils';
+import { exportPurchaseOrderToPDF } from '../utils/exportUtils';
+import Button from '../components/common/Button';
+import PurchaseOrderFormModal from '../components/purchasing/PurchaseOrderFormModal';
+import ReceiveGoodsModal from '../components/purchasing/ReceiveGoodsModal';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  [PO_STATUSES.DRAFT]: 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400',
+  [PO_STATUSES.SENT]: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-400',
+  [PO_STATUSES.PARTIALLY_RECEIVED]: 'bg-orange-100 dark:bg-orange-900/30 text-orange-700 dark:text-orange-400',
+  [PO_STATUSES.RECEIVED]: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400',
+};
+
+const PurchaseOrders = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [orders, setOrders] = useState([]);
+  const [suppliers, setSuppliers] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [business, setBusiness] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [businesses, setBusinesses] = useState([]);
+  const [selectedBusinessId, setSelectedBusinessId] = useState(null);
+
+  // Purchase order form (create / edit draft)
+  const [showForm, setShowForm] = useState(false);
+  const [editingOrder, setEditingOrder] = useState(null);
+  const [receivingOrder, setReceivingOrder] = useState(null);
+
+  const loadAdminBusinesses = useCallback(async (ownerId) => {
+    try {
+      const userBusinesses = await getBusinessesByOwner(ownerId);
+      setBusinesses(userBusinesses);
+
+      if (userBusinesses.length > 0) {
+        setSelectedBusinessId(userBusinesses[0].id);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to load businesses');
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      if (user.role === 'admin') {
+        loadAdminBusinesses(user.uid);
+      } else if (user.role === 'representative' && user.businessId) {
+        setSelectedBusinessId(user.businessId);
+      } else {
+        setLoading(false);
+      }
+    }
+  }, [user, loadAdminBusinesses]);
+
+  useEffect(() => {
+    if (selectedBusinessId) {
+      loadOrders(selectedBusinessId);
+    }
+  }, [selectedBusinessId]);
+
+  const loadOrders = async (businessId) => {
+    try {
+      setLoading(true);
+      const [businessData, businessOrders, businessSuppliers, businessProducts] = await Promise.all([
+        getBusiness(businessId),
+        getPurchaseOrders(businessId),
+        getSuppliers(businessId),
+        getProducts(businessId),
+      ]);
+      setBusiness(businessData);
+      setOrders(businessOrders);
+      setSuppliers(businessSuppliers.sort((a, b) => a.name.localeCompare(b.name)));
+      setProducts(businessProducts.sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (error) {
+      console.error('Error loading purchase orders:', error);
+      toast.error('Failed to load purchase orders');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    if (suppliers.length === 0) {
+      toast.error('Add a supplier first');
+      return;
+    }
+    setEditingOrder(null);
+    setShowForm(true);
+  };
+
+  const openEditForm = (order) => {
+    setEditingOrder(order);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingOrder(null);
+  };
+
+  const handleSaved = () => {
+    closeForm();
+    loadOrders(selectedBusinessId);
+  };
+
+  const handleReceived = () => {
+    setReceivingOrder(null);
+    loadOrders(selectedBusinessId);
+  };
+
+  const handleMarkSent = async (order) => {
+    try {
+      await markPurchaseOrderSent(order.id);
+      toast.success(`${order.poNumber} marked as sent`);
+      loadOrders(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to update purchase order');
+    }
+  };
+
+  const handleDeleteOrder = async (order) => {
+    if (!confirm(`Are you sure you want to delete purchase order ${order.poNumber}?`)) return;
+
+    try {
+      await deletePurchaseOrder(order.id);
+      toast.success('Purchase order deleted');
+      loadOrders(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to delete purchase order');
+    }
+  };
+
+  const handleExportPDF = (order) => {
+    exportPurchaseOrderToPDF(
+      order,
+      business,
+      suppliers.find((supplier) => supplier.id === order.supplierId) || null
+    );
+  };
+
+  // Show message if admin has no businesses
+  if (user?.role === 'admin' && businesses.length === 0 && !loading) {
+    return (
+      <div className="p-8">
+        <div className="mb-10">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Purchase Orders</h1>
+          <p className="text-gray-500 dark:text-gray-400">Create a business first to order stock</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-8 border border-gray-200 dark:border-gray-700 shadow-lg max-w-md">
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            You need to create a business before you can raise purchase orders.
+          </p>
+          <Button onClick={() => navigate('/settings')}>
+            Go to Settings to Create Business
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="mb-10">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Purchase Orders</h1>
+            <p className="text-gray-500 dark:text-gray-400">Order stock from suppliers and receive deliveries into Inventory</p>
+          </div>
+          {user?.role === 'admin' && businesses.length > 0 && (
+            <select
+              value={selectedBusinessId || ''}
+              onChange={(e) => setSelectedBusinessId(e.target.value)}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {businesses.map((business) => (
+                <option key={business.id} value={business.id}>
+                  {business.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+        <div className="flex justify-between items-center mb-6">
+          <Button variant="secondary" onClick={() => navigate('/suppliers')}>
+            Suppliers
+          </Button>
+          <Button onClick={openCreateForm} disabled={!selectedBusinessId || loading}>
+            + New Purchase Order
+          </Button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-500"></div>
+          </div>
+        ) : orders.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">No purchase orders yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    PO
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Date
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Supplier
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Expected
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Received
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {orders.map((order) => (
+                  <tr key={order.id} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                    <td className="px-4 py-4 whitespace-nowrap text-sm font-mono text-gray-900 dark:text-gray-100">
+                      {order.poNumber}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {order.createdAt.toLocaleDateString()}
+                      {order.expectedDate && (
+                        <span className="block text-xs text-gray-500 dark:text-gray-400">due {order.expectedDate}</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-4 text-sm text-gray-700 dark:text-gray-300">
+                      {order.supplierName}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm font-semibold text-gray-900 dark:text-white">
+                      {formatCurrency(order.expectedTotal)}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {order.receivedTotal > 0 ? formatCurrency(order.receivedTotal) : '—'}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm">
+                      <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[order.status]}`}>
+                        {PO_STATUS_LABELS[order.status]}
+                      </span>
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right space-x-4">
+                      <button
+                        onClick={() => handleExportPDF(order)}
+                        className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200 text-sm"
+                      >
+                        PDF
+                      </button>
+                      {order.status === PO_STATUSES.DRAFT && (
+                        <>
+                          <button
+                            onClick={() => openEditForm(order)}
+                            className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleMarkSent(order)}
+                            className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+                          >
+                            Mark Sent
+                          </button>
+                        </>
+                      )}
+                      {canReceive(order) && (
+                        <button
+                          onClick={() => setReceivingOrder(order)}
+                          className="text-green-600 dark:text-green-400 hover:text-green-700 text-sm"
+                        >
+                          Receive
+                        </button>
+                      )}
+                      {order.status === PO_STATUSES.DRAFT && (
+                        <button
+                          onClick={() => handleDeleteOrder(order)}
+                          className="text-red-600 dark:text-red-400 hover:text-red-700 text-sm"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <PurchaseOrderFormModal
+        isOpen={showForm}
+        businessId={selectedBusinessId}
+        order={editingOrder}
+        suppliers={suppliers}
+        products={products}
+        user={user}
+        onClose={closeForm}
+        onSaved={handleSaved}
+      />
+
+      <ReceiveGoodsModal
+        order={receivingOrder}
+        user={user}
+        onClose={() => setReceivingOrder(null)}
+        onReceived={handleReceived}
+      />
+    </div>
+  );
+};
+
+export default PurchaseOrders;
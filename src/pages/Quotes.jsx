@@ -0,0 +1,270 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import {
+  deleteQuote,
+  getBusiness,
+  getBusinessesByOwner,
+  getQuotes,
+  getSale,
+} from '../services/firestoreService';
+import { formatCurrency } from '../utils/taxCalculator';
+import { getQuoteStatusLabel } from '../utils/quoteUtils';
+import { exportQuoteToPDF } from '../utils/exportUtils';
+import Button from '../components/common/Button';
+import ConvertQuoteModal from '../components/quotes/ConvertQuoteModal';
+import ReceiptModal from '../components/sales/ReceiptModal';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  Open: 'bg-blue-100 dark:bg-blue-900/30 text-blue-700 dark:text-blue-400',
+  Expired: 'bg-gray-100 dark:bg-gray-700 text-gray-500 dark:text-gray-400',
+  Converted: 'bg-green-100 dark:bg-green-900/30 text-green-700 dark:text-green-400',
+};
+
+const Quotes = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [quotes, setQuotes] = useState([]);
+  const [business, setBusiness] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [businesses, setBusinesses] = useState([]);
+  const [selectedBusinessId, setSelectedBusinessId] = useState(null);
+  const [convertingQuote, setConvertingQuote] = useState(null);
+  const [receiptSale, setReceiptSale] = useState(null);
+
+  const loadAdminBusinesses = useCallback(async (ownerId) => {
+    try {
+      const userBusinesses = await getBusinessesByOwner(ownerId);
+      setBusinesses(userBusinesses);
+
+      if (userBusinesses.length > 0) {
+        setSelectedBusinessId(userBusinesses[0].id);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to load businesses');
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      if (user.role === 'admin') {
+        loadAdminBusinesses(user.uid);
+      } else if (user.role === 'representative' && user.businessId) {
+        setSelectedBusinessId(user.businessId);
+      } else {
+        setLoading(false);
+      }
+    }
+  }, [user, loadAdminBusinesses]);
+
+  useEffect(() => {
+    if (selectedBusinessId) {
+      loadQuotes(selectedBusinessId);
+    }
+  }, [selectedBusinessId]);
+
+  const loadQuotes = async (businessId) => {
+    try {
+      setLoading(true);
+      const [businessData, businessQuotes] = await Promise.all([
+        getBusiness(businessId),
+        getQuotes(businessId),
+      ]);
+      setBusiness(businessData);
+      setQuotes(businessQuotes);
+    } catch (error) {
+      console.error('Error loading quotes:', error);
+      toast.error('Failed to load quotes');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDeleteQuote = async (quote) => {
+    if (!confirm(`Are you sure you want to delete quote ${quote.quoteNumber}?`)) return;
+
+    try {
+      await deleteQuote(quote.id);
+      toast.success('Quote deleted');
+      loadQuotes(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to delete quote');
+    }
+  };
+
+  const handleConverted = async (saleId) => {
+    setConvertingQuote(null);
+    loadQuotes(selectedBusinessId);
+    setReceiptSale(await getSale(saleId));
+  };
+
+  // Show message if admin has no businesses
+  if (user?.role === 'admin' && businesses.length === 0 && !loading) {
+    return (
+      <div className="p-8">
+        <div className="mb-10">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Quotes</h1>
+          <p className="text-gray-500 dark:text-gray-400">Create a business first to issue quotes</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-8 border border-gray-200 dark:border-gray-700 shadow-lg max-w-md">
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            You need to create a business before you can issue quotes.
+          </p>
+          <Button onClick={() => navigate('/settings')}>
+            Go to Settings to Create Business
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="mb-10">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Quotes</h1>
+            <p className="text-gray-500 dark:text-gray-400">Proforma invoices for customers who pay before delivery</p>
+          </div>
+          {user?.role === 'admin' && businesses.length > 0 && (
+            <select
+              value={selectedBusinessId || ''}
+              onChange={(e) => setSelectedBusinessId(e.target.value)}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {businesses.map((business) => (
+                <option key={business.id} value={business.id}>
+                  {business.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+        <div className="flex justify-between items-center mb-6">
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Build a cart in Record Sale and choose Save as Quote.
+          </p>
+          <Button variant="secondary" onClick={() => navigate('/record-sale')}>
+            New Quote
+          </Button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-500"></div>
+          </div>
+        ) : quotes.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">No quotes yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Quote
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Date
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Customer
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Total
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Valid Until
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {quotes.map((quote) => {
+                  const status = getQuoteStatusLabel(quote);
+                  return (
+                    <tr key={quote.id} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                      <td className="px-4 py-4 whitespace-nowrap text-sm font-mono text-gray-900 dark:text-gray-100">
+                        {quote.quoteNumber}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                        {quote.createdAt.toLocaleDateString()}
+                      </td>
+                      <td className="px-4 py-4 text-sm text-gray-700 dark:text-gray-300">
+                        {quote.customerName || '—'}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm font-semibold text-gray-900 dark:text-white">
+                        {formatCurrency(quote.total)}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                        {quote.validUntil}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[status]}`}>
+                          {status}
+                        </span>
+                        {quote.invoiceNumber && (
+                          <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">{quote.invoiceNumber}</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-right space-x-4">
+                        <button
+                          onClick={() => exportQuoteToPDF(quote, business)}
+                          className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200 text-sm"
+                        >
+                          PDF
+                        </button>
+                        {status === 'Open' && (
+                          <button
+                            onClick={() => setConvertingQuote(quote)}
+                            className="text-green-600 dark:text-green-400 hover:text-green-700 text-sm"
+                          >
+                            Convert to Sale
+                          </button>
+                        )}
+                        {status !== 'Converted' && (
+                          <button
+                            onClick={() => handleDeleteQuote(quote)}
+                            className="text-red-600 dark:text-red-400 hover:text-red-700 text-sm"
+                          >
+                            Delete
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <ConvertQuoteModal
+        quote={convertingQuote}
+        user={user}
+        onClose={() => setConvertingQuote(null)}
+        onConverted={handleConverted}
+      />
+
+      <ReceiptModal
+        sale={receiptSale}
+        business={business}
+        onClose={() => setReceiptSale(null)}
+      />
+    </div>
+  );
+};
+
+export default Quotes;
@@ -1,48 +1,190 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
-import { addSale, getBusiness, getBusinessesByOwner } from '../services/firestoreService';
-import { calculateTax } from '../utils/taxCalculator';
-import { isOnline, storeSaleOffline, syncPendingSales } from '../services/offlineService';
+import {
+  addSale,
+  getBusiness,
+  getBusinessesByOwner,
+  getCustomers,
+  getOpenShift,
+  getProductByBarcode,
+  getProducts,
+  getPromotions,
+  getSale,
+} from '../services/firestoreService';
+import {
+  applyCartDiscount,
+  calculateSaleTax,
+  formatCurrency,
+  PRICING_MODES,
+  TAX_CATEGORIES,
+  TAX_CATEGORY_LABELS,
+} from '../utils/taxCalculator';
+import {
+  deleteParkedCart,
+  getParkedCarts,
+  isOnline,
+  parkCart,
+  setActiveCart,
+  storeSaleOffline,
+  syncPendingSales,
+} from '../services/offlineService';
+import { fromMinor, multiplyAmount, subtractAmounts, sumBy, toMinor } from '../utils/money';
+import {
+  calculateChangeDue,
+  CASH,
+  describeTenders,
+  getTenderedTotal,
+  ON_CREDIT,
+  resolveTenderLines,
+} from '../utils/saleUtils';
+import { sortCustomers } from '../utils/customerUtils';
+import {
+  calculatePointsEarned,
+  getLoyaltySettings,
+  getMaxRedeemablePoints,
+  getPointsDiscount,
+} from '../utils/loyaltyUtils';
+import { applyDiscounts, describeDiscount } from '../utils/discountUtils';
+import { isCameraScanSupported, normalizeBarcode } from '../utils/barcodeUtils';
+import { useBarcodeScanner } from '../hooks/useBarcodeScanner';
 import Input from '../components/common/Input';
 import Button from '../components/common/Button';
+import BarcodeScannerModal from '../components/common/BarcodeScannerModal';
+import CartTable from '../components/sales/CartTable';
+import CustomerPicker from '../components/sales/CustomerPicker';
+import DiscountModal from '../components/sales/DiscountModal';
+import SaveQuoteModal from '../components/quotes/SaveQuoteModal';
+import ParkCartModal from '../components/sales/ParkCartModal';
+import ParkedCartsModal from '../components/sales/ParkedCartsModal';
+import ReceiptModal from '../components/sales/ReceiptModal';
+import TenderInput from '../components/sales/TenderInput';
 import toast from 'react-hot-toast';
 
+const initialTenderLines = () => [{ key: 1, method: CASH, customMethod: '', amount: '' }];
+
 const RecordSale = () => {
   const { user } = useAuth();
   const navigate = useNavigate();
+  const [products, setProducts] = useState([]);
+  const [selectedProductId, setSelectedProductId] = useState('');
   const [productName, setProductName] = useState('');
   const [price, setPrice] = useState('');
   const [quantity, setQuantity] = useState(1);
-  const [paymentMethod, setPaymentMethod] = useState('Cash');
-  const [customPaymentMethod, setCustomPaymentMethod] = useState('');
+  const [taxCategory, setTaxCategory] = useState(TAX_CATEGORIES.STANDARD);
+  const [cart, setCart] = useState([]);
+  const [promotions, setPromotions] = useState([]);
+  const [cartDiscount, setCartDiscount] = useState(null);
+  // Key of the cart line being discounted, or 'cart' for the whole cart
+  const [discountTarget, setDiscountTarget] = useState(null);
+  const [showSaveQuote, setShowSaveQuote] = useState(false);
+  const [parkedCarts, setParkedCarts] = useState([]);
+  const [showParkCart, setShowParkCart] = useState(false);
+  const [showParkedCarts, setShowParkedCarts] = useState(false);
+  const [showCameraScan, setShowCameraScan] = useState(false);
+  const [customers, setCustomers] = useState([]);
+  const [selectedCustomer, setSelectedCustomer] = useState(null);
+  const [pointsToRedeem, setPointsToRedeem] = useState('');
+  const [tenderLines, setTenderLines] = useState(initialTenderLines);
+  const [cashReceived, setCashReceived] = useState('');
   const [vatRate, setVatRate] = useState(0.18);
+  const [pricingMode, setPricingMode] = useState(PRICING_MODES.EXCLUSIVE);
+  const [business, setBusiness] = useState(null);
+  const [receiptSale, setReceiptSale] = useState(null);
+  const [currentShift, setCurrentShift] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const [businesses, setBusinesses] = useState([]);
   const [selectedBusinessId, setSelectedBusinessId] = useState(null);
   const [loading, setLoading] = useState(true);
 
+  const userId = user?.uid;
+
+  const loadAdminBusinesses = useCallback(async (ownerId) => {
+    try {
+      const userBusinesses = await getBusinessesByOwner(ownerId);
+      setBusinesses(userBusinesses);
+      
+      if (userBusinesses.length > 0) {
+        setSelectedBusinessId(userBusinesses[0].id);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to load businesses');
+      setLoading(false);
+    }
+  }, []);
+
+  const loadParkedCarts = useCallback(async (businessId) => {
+    try {
+      setParkedCarts(await getParkedCarts(businessId));
+    } catch (error) {
+      console.error('Failed to load parked carts');
+    }
+  }, []);
+
+  const loadBusinessData = useCallback(async (businessId) => {
+    try {
+      setLoading(true);
+      const [business, businessProducts, businessCustomers, businessPromotions, openShift] =
+        await Promise.all([
+          getBusiness(businessId),
+          getProducts(businessId),
+          getCustomers(businessId),
+          getPromotions(businessId),
+          getOpenShift(businessId, userId),
+        ]);
+      setBusiness(business);
+      setCustomers(sortCustomers(businessCustomers));
+      setSelectedCustomer(null);
+      setCurrentShift(openShift);
+      if (business?.rraVatRate) {
+        setVatRate(business.rraVatRate);
+      }
+      setPricingMode(business?.pricingMode || PRICING_MODES.EXCLUSIVE);
+      setProducts(
+        businessProducts
+          .filter((product) => !product.archived)
+          .sort((a, b) => a.name.localeCompare(b.name))
+      );
+      setPromotions(businessPromotions);
+      setSelectedProductId('');
+      setCart([]);
+      setCartDiscount(null);
+      loadParkedCarts(businessId);
+    } catch (error) {
+      console.error('Failed to load business data');
+    } finally {
+      setLoading(false);
+    }
+  }, [userId, loadParkedCarts]);
+
   useEffect(() => {
     if (user) {
       if (user.role === 'admin') {
-        loadAdminBusinesses();
+        loadAdminBusinesses(user.uid);
       } else if (user.role === 'representative' && user.businessId) {
         setSelectedBusinessId(user.businessId);
-        loadBusinessData(user.businessId);
       }
     }
-  }, [user]);
+  }, [user, loadAdminBusinesses]);
 
   // Sync pending sales when online
   useEffect(() => {
     if (user && selectedBusinessId && isOnline()) {
       syncPendingSales(
         async (saleData) => {
-          return await addSale({
-            ...saleData,
-            businessId: selectedBusinessId,
-            recordedByUserId: user.uid,
-          });
+          // Offline sales already happened at the counter, so never reject them for stock.
+          // They stay with the cashier who rang them up, even when someone else syncs them.
+          return await addSale(
+            {
+              ...saleData,
+              businessId: selectedBusinessId,
+              recordedByUserId: saleData.recordedByUserId || user.uid,
+              recordedByName: saleData.recordedByName || user.name || user.email,
+            },
+            { allowNegativeStock: true }
+          );
         },
         selectedBusinessId
       ).then((result) => {
@@ -53,57 +195,80 @@ const RecordSale = () => {
     }
   }, [user, selectedBusinessId]);
 
-  const loadAdminBusinesses = async () => {
-    try {
-      const userBusinesses = await getBusinessesByOwner(user.uid);
-      setBusinesses(userBusinesses);
-      
-      if (userBusinesses.length > 0) {
-        const defaultBusinessId = userBusinesses[0].id;
-        setSelectedBusinessId(defaultBusinessId);
-        loadBusinessData(defaultBusinessId);
-      } else {
-        setLoading(false);
-      }
-    } catch (error) {
-      toast.error('Failed to load businesses');
-      setLoading(false);
-    }
-  };
-
   useEffect(() => {
     if (selectedBusinessId) {
       loadBusinessData(selectedBusinessId);
     }
-  }, [selectedBusinessId]);
+  }, [selectedBusinessId, loadBusinessData]);
 
-  const loadBusinessData = async (businessId) => {
-    try {
-      setLoading(true);
-      const business = await getBusiness(businessId);
-      if (business?.rraVatRate) {
-        setVatRate(business.rraVatRate);
-      }
-    } catch (error) {
-      console.error('Failed to load business data');
-    } finally {
-      setLoading(false);
+  const selectedProduct = products.find((product) => product.id === selectedProductId) || null;
+
+  // Quantity of each catalog product across all cart lines, compared with stock on hand
+  const stockWarnings = {};
+  cart.forEach((line) => {
+    const product = products.find((p) => p.id === line.productId);
+    if (!product) return;
+    const inCart = cart
+      .filter((l) => l.productId === line.productId)
+      .reduce((sum, l) => sum + (parseInt(l.quantity) || 0), 0);
+    if (inCart > (product.currentStock || 0)) {
+      stockWarnings[line.productId] = `Only ${product.currentStock || 0} in stock`;
+    }
+  });
+
+  // Promotions, line and cart discounts, then loyalty points all come off the cart before VAT
+  const cartItems = cart.map((line) => ({ ...line, quantity: parseInt(line.quantity) || 0 }));
+  const { items: promotedItems, cartDiscountAmount } = applyDiscounts(cartItems, {
+    promotions,
+    cartDiscount,
+  });
+  const loyalty = getLoyaltySettings(business);
+  const cartAmount = fromMinor(
+    promotedItems.reduce(
+      (sum, item) => sum + multiplyAmount(item.pricePerItem, item.quantity) - toMinor(item.discount),
+      0
+    )
+  );
+  const maxRedeemablePoints = selectedCustomer
+    ? getMaxRedeemablePoints(selectedCustomer.loyaltyPoints || 0, cartAmount, loyalty)
+    : 0;
+  const redeemedPoints = Math.min(parseInt(pointsToRedeem) || 0, maxRedeemablePoints);
+  const loyaltyDiscount = getPointsDiscount(redeemedPoints, loyalty);
+
+  const discountedItems = applyCartDiscount(promotedItems, loyaltyDiscount);
+  const cartTotals = calculateSaleTax(discountedItems, vatRate, pricingMode);
+  const pointsToEarn = selectedCustomer ? calculatePointsEarned(cartTotals.total, loyalty) : 0;
+
+  const handleProductSelect = (productId) => {
+    setSelectedProductId(productId);
+    const product = products.find((p) => p.id === productId);
+    if (product) {
+      setProductName(product.name);
+      setPrice(product.price);
+      setTaxCategory(product.taxCategory || TAX_CATEGORIES.STANDARD);
+    } else {
+      setProductName('');
+      setPrice('');
+      setTaxCategory(TAX_CATEGORIES.STANDARD);
     }
   };
 
-  const handleRecordSale = async (e) => {
+  const resetLineForm = () => {
+    setSelectedProductId('');
+    setProductName('');
+    setPrice('');
+    setQuantity(1);
+    setTaxCategory(TAX_CATEGORIES.STANDARD);
+  };
+
+  const handleAddToCart = (e) => {
     e.preventDefault();
-    
+
     if (!productName || !price) {
       toast.error('Please enter product name and price');
       return;
     }
 
-    if (!selectedBusinessId) {
-      toast.error('Please select a business');
-      return;
-    }
-
     const priceValue = parseFloat(price);
     if (isNaN(priceValue) || priceValue <= 0) {
       toast.error('Please enter a valid price');
@@ -116,55 +281,340 @@ const RecordSale = () => {
       return;
     }
 
-    // Determine payment method
-    const finalPaymentMethod = paymentMethod === 'Custom' ? customPaymentMethod.trim() : paymentMethod;
-    if (paymentMethod === 'Custom' && !customPaymentMethod.trim()) {
+    addLineToCart({
+      productId: selectedProduct ? selectedProduct.id : `manual-${Date.now()}`,
+      productName: productName.trim(),
+      quantity: quantityValue,
+      pricePerItem: priceValue,
+      taxCategory,
+    });
+    resetLineForm();
+  };
+
+  // Adding the same catalog product again increases the existing line
+  const addLineToCart = (newLine) => {
+    setCart((current) => {
+      const existingLine = current.find(
+        (line) => line.productId === newLine.productId && line.pricePerItem === newLine.pricePerItem
+      );
+      if (existingLine) {
+        return current.map((line) =>
+          line.key === existingLine.key
+            ? { ...line, quantity: (parseInt(line.quantity) || 0) + newLine.quantity }
+            : line
+        );
+      }
+      return [
+        ...current,
+        { key: `${Date.now()}-${Math.random().toString(36).substring(7)}`, ...newLine },
+      ];
+    });
+  };
+
+  // A scanned product goes straight into the cart at its catalog price
+  const handleScan = async (code) => {
+    let barcode;
+    try {
+      barcode = normalizeBarcode(code);
+    } catch (error) {
+      toast.error(error.message);
+      return;
+    }
+
+    let product = products.find((p) => p.barcode === barcode);
+    if (!product && isOnline()) {
+      // The product may have been added in Inventory since this page loaded
+      try {
+        product = await getProductByBarcode(selectedBusinessId, barcode);
+      } catch (error) {
+        console.error('Error looking up barcode:', error);
+      }
+      if (product?.archived) {
+        toast.error(`${product.name} is archived`);
+        return;
+      }
+      if (product) {
+        setProducts((current) =>
+          [...current, product].sort((a, b) => a.name.localeCompare(b.name))
+        );
+      }
+    }
+    if (!product) {
+      toast.error(`No product has barcode ${barcode}`);
+      return;
+    }
+
+    addLineToCart({
+      productId: product.id,
+      productName: product.name,
+      quantity: 1,
+      pricePerItem: product.price,
+      taxCategory: product.taxCategory || TAX_CATEGORIES.STANDARD,
+    });
+    toast.success(`${product.name} added`);
+  };
+
+  useBarcodeScanner(
+    handleScan,
+    !!selectedBusinessId &&
+      discountTarget === null &&
+      !showSaveQuote &&
+      !showParkCart &&
+      !showParkedCarts &&
+      !showCameraScan &&
+      !receiptSale
+  );
+
+  const handleQuantityChange = (key, value) => {
+    setCart(cart.map((line) => (line.key === key ? { ...line, quantity: value } : line)));
+  };
+
+  const handleRemoveLine = (key) => {
+    setCart(cart.filter((line) => line.key !== key));
+  };
+
+  const handleApplyDiscount = (discount) => {
+    if (discountTarget === 'cart') {
+      setCartDiscount(discount);
+    } else {
+      setCart(
+        cart.map((line) => (line.key === discountTarget ? { ...line, lineDiscount: discount } : line))
+      );
+    }
+    setDiscountTarget(null);
+  };
+
+  // Sale lines as sent to addSale or addQuote
+  const getCartItems = () =>
+    cart.map((line, index) => ({
+      productId: line.productId,
+      productName: line.productName,
+      quantity: parseInt(line.quantity),
+      pricePerItem: line.pricePerItem,
+      taxCategory: line.taxCategory,
+      lineDiscount: line.lineDiscount || null,
+      promotionId: promotedItems[index].promotionId,
+    }));
+
+  const validateCart = () => {
+    if (!selectedBusinessId) {
+      toast.error('Please select a business');
+      return false;
+    }
+
+    if (cart.length === 0) {
+      toast.error('Add at least one product to the cart');
+      return false;
+    }
+
+    if (cart.some((line) => isNaN(parseInt(line.quantity)) || parseInt(line.quantity) <= 0)) {
+      toast.error('Please enter a valid quantity for every line');
+      return false;
+    }
+
+    return true;
+  };
+
+  const resetCart = () => {
+    resetLineForm();
+    setCart([]);
+    setCartDiscount(null);
+    setSelectedCustomer(null);
+    setPointsToRedeem('');
+    setTenderLines(initialTenderLines());
+    setCashReceived('');
+  };
+
+  // Everything needed to put the cart back exactly as it was
+  const getParkedCartData = useCallback(
+    (label) => ({
+      businessId: selectedBusinessId,
+      label,
+      lines: cart,
+      cartDiscount,
+      customer: selectedCustomer,
+      pointsToRedeem,
+      total: cartTotals.total,
+      parkedByUserId: user.uid,
+      parkedByName: user.name || user.email,
+    }),
+    [selectedBusinessId, cart, cartDiscount, selectedCustomer, pointsToRedeem, cartTotals.total, user]
+  );
+
+  // Keep the open cart registered so an inactivity logout parks it instead of losing it
+  useEffect(() => {
+    setActiveCart(cart.length > 0 ? getParkedCartData(selectedCustomer?.name || 'Cart') : null);
+  }, [cart, selectedCustomer, getParkedCartData]);
+
+  useEffect(() => () => setActiveCart(null), []);
+
+  const handleParkCart = async (label) => {
+    try {
+      await parkCart(getParkedCartData(label));
+      toast.success(`Cart parked as "${label}"`);
+      setShowParkCart(false);
+      resetCart();
+      loadParkedCarts(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to park cart');
+    }
+  };
+
+  const handleResumeCart = async (parkedCart) => {
+    if (cart.length > 0) {
+      toast.error('Park or check out the current cart first');
+      return;
+    }
+
+    try {
+      await deleteParkedCart(parkedCart.id);
+      setCart(parkedCart.lines);
+      setCartDiscount(parkedCart.cartDiscount || null);
+      // Prefer the customer's current points and balance over the parked copy
+      setSelectedCustomer(
+        parkedCart.customer
+          ? customers.find((customer) => customer.id === parkedCart.customer.id) || parkedCart.customer
+          : null
+      );
+      setPointsToRedeem(parkedCart.pointsToRedeem || '');
+      setShowParkedCarts(false);
+      loadParkedCarts(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to resume cart');
+    }
+  };
+
+  const handleDiscardCart = async (parkedCart) => {
+    if (!confirm(`Discard the parked cart "${parkedCart.label}"?`)) return;
+
+    try {
+      await deleteParkedCart(parkedCart.id);
+      loadParkedCarts(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to discard cart');
+    }
+  };
+
+  const handleSaveQuote = () => {
+    if (!validateCart()) return;
+    if (!isOnline()) {
+      toast.error('Quotes can only be saved while online');
+      return;
+    }
+    setShowSaveQuote(true);
+  };
+
+  const handleRecordSale = async () => {
+    if (!validateCart()) return;
+
+    // Payments must name a method and add up to the total
+    const tenders = resolveTenderLines(tenderLines, cartTotals.total);
+    if (tenders.some((tender) => !tender.method)) {
       toast.error('Please enter a custom payment method');
       return;
     }
+    if (tenders.some((tender) => tender.amount <= 0)) {
+      toast.error('Every payment must be more than zero');
+      return;
+    }
+    if (subtractAmounts(cartTotals.total, getTenderedTotal(tenders)) !== 0) {
+      toast.error('Payments must add up to the total');
+      return;
+    }
+    if (!selectedCustomer && tenders.some((tender) => tender.method === ON_CREDIT)) {
+      toast.error('Select a customer to sell on credit');
+      return;
+    }
+    if ((parseInt(pointsToRedeem) || 0) > maxRedeemablePoints) {
+      toast.error(`At most ${maxRedeemablePoints} points can be redeemed on this sale`);
+      return;
+    }
+    const hasCash = tenders.some((tender) => tender.method === CASH);
+    const finalCashReceived = hasCash && cashReceived !== '' ? parseFloat(cashReceived) || 0 : null;
+    if (finalCashReceived !== null && calculateChangeDue(tenders, finalCashReceived) < 0) {
+      toast.error('Cash received is less than the cash payment');
+      return;
+    }
 
     setSubmitting(true);
 
     try {
-      // Calculate totals
-      const subtotal = priceValue * quantityValue;
-      const { vatAmount, total } = calculateTax(subtotal, vatRate);
+      const items = getCartItems();
 
       // Prepare sale data
       const saleData = {
         businessId: selectedBusinessId,
         recordedByUserId: user.uid,
-        items: [
-          {
-            productId: `manual-${Date.now()}`,
-            productName: productName.trim(),
-            quantity: quantityValue,
-            pricePerItem: priceValue,
-          },
-        ],
-        paymentMethod: finalPaymentMethod,
-        subtotal,
-        vatAmount,
-        total,
+        recordedByName: user.name || user.email,
+        shiftId: currentShift?.id || null,
+        customerId: selectedCustomer?.id || null,
+        customerName: selectedCustomer?.name || null,
+        customerTin: selectedCustomer?.tin || null,
+        loyaltyPointsRedeemed: redeemedPoints,
+        cartDiscount,
+        items,
+        paymentMethod: describeTenders(tenders),
+        tenders,
+        cashReceived: finalCashReceived,
+        subtotal: cartTotals.subtotal,
+        vatAmount: cartTotals.vatAmount,
+        total: cartTotals.total,
+        vatBreakdown: cartTotals.vatBreakdown,
       };
 
       // Check if online or offline
       if (isOnline()) {
         // Save to Firestore
-        await addSale(saleData);
-        toast.success('Sale recorded successfully');
+        const { saleId, invoiceNumber } = await addSale(saleData);
+        toast.success(`Sale ${invoiceNumber} recorded successfully`);
+        setReceiptSale(await getSale(saleId));
+
+        // Reflect the customer's new points and balance locally
+        if (selectedCustomer) {
+          getCustomers(selectedBusinessId).then((businessCustomers) =>
+            setCustomers(sortCustomers(businessCustomers))
+          );
+        }
+
+        // Reflect the stock decrement locally
+        setProducts((current) =>
+          current.map((product) => {
+            const sold = items
+              .filter((item) => item.productId === product.id)
+              .reduce((sum, item) => sum + item.quantity, 0);
+            return sold > 0
+              ? { ...product, currentStock: (product.currentStock || 0) - sold }
+              : product;
+          })
+        );
       } else {
         // Store offline
         await storeSaleOffline(saleData);
-        toast.success('Sale saved offline. It will sync when connection is restored.');
+        toast.success('Sale saved offline. It will get an invoice number when it syncs.');
+
+        // Provisional receipt until the sale syncs and is numbered
+        setReceiptSale({
+          ...saleData,
+          items: items.map((item, index) => ({
+            ...discountedItems[index],
+            ...item,
+            ...cartTotals.lines[index],
+          })),
+          createdAt: new Date(),
+          invoiceNumber: null,
+          cartDiscount: cartDiscount ? { ...cartDiscount, amount: cartDiscountAmount } : null,
+          discountTotal: sumBy(discountedItems, (item) => item.discount),
+          loyaltyDiscount,
+          loyaltyPointsEarned: pointsToEarn,
+          changeDue:
+            finalCashReceived !== null ? calculateChangeDue(tenders, finalCashReceived) : 0,
+          pricingMode,
+          vatRate,
+        });
       }
 
       // Clear form
-      setProductName('');
-      setPrice('');
-      setQuantity(1);
-      setPaymentMethod('Cash');
-      setCustomPaymentMethod('');
+      resetCart();
     } catch (error) {
       console.error('Error recording sale:', error);
       toast.error(error.message || 'Failed to record sale');
@@ -207,7 +657,7 @@ const RecordSale = () => {
         <div className="flex justify-between items-start mb-4">
           <div>
             <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Record Sale</h1>
-            <p className="text-gray-500 dark:text-gray-400">Enter product details and record the sale</p>
+            <p className="text-gray-500 dark:text-gray-400">Add products to the cart and check out</p>
           </div>
           {user?.role === 'admin' && businesses.length > 0 && (
             <select
@@ -225,23 +675,64 @@ const RecordSale = () => {
         </div>
       </div>
 
-      <div className="max-w-2xl">
-        <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
-          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">Sale Details</h2>
-          
-          <form onSubmit={handleRecordSale} className="space-y-6">
+      {!currentShift && (
+        <div className="mb-6 p-4 rounded-xl border border-yellow-200 dark:border-yellow-800 bg-yellow-50 dark:bg-yellow-900/20 flex justify-between items-center gap-4">
+          <p className="text-sm text-yellow-800 dark:text-yellow-300">
+            No shift is open. Sales recorded now are not counted in any cash drawer.
+          </p>
+          <Button variant="secondary" onClick={() => navigate('/shifts')}>
+            Open Shift
+          </Button>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+        <div className="xl:col-span-2 bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg self-start">
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Add Product</h2>
+            {isCameraScanSupported() && (
+              <button
+                type="button"
+                onClick={() => setShowCameraScan(true)}
+                className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+              >
+                Scan barcode
+              </button>
+            )}
+          </div>
+
+          <form onSubmit={handleAddToCart} className="space-y-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Product
+              </label>
+              <select
+                value={selectedProductId}
+                onChange={(e) => handleProductSelect(e.target.value)}
+                className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-gray-900 dark:text-gray-100"
+              >
+                <option value="">Manual entry (not in inventory)</option>
+                {products.map((product) => (
+                  <option key={product.id} value={product.id}>
+                    {product.name} ({product.currentStock || 0} in stock)
+                  </option>
+                ))}
+              </select>
+            </div>
+
             <Input
               label="Product Name"
               type="text"
               value={productName}
               onChange={(e) => setProductName(e.target.value)}
               placeholder="Enter product name"
+              disabled={!!selectedProduct}
               required
             />
 
             <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
               <Input
-                label="Price (RWF)"
+                label={pricingMode === PRICING_MODES.INCLUSIVE ? 'Price incl. VAT (RWF)' : 'Price excl. VAT (RWF)'}
                 type="number"
                 step="0.01"
                 value={price}
@@ -263,40 +754,258 @@ const RecordSale = () => {
 
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Payment Method
+                VAT Category
               </label>
               <select
-                value={paymentMethod}
-                onChange={(e) => setPaymentMethod(e.target.value)}
+                value={taxCategory}
+                onChange={(e) => setTaxCategory(e.target.value)}
+                disabled={!!selectedProduct}
                 className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-gray-900 dark:text-gray-100"
               >
-                <option value="Cash">Cash</option>
-                <option value="Mobile Money">Mobile Money</option>
-                <option value="Bank Transfer">Bank Transfer</option>
-                <option value="Card">Card</option>
-                <option value="Custom">Custom</option>
+                {Object.values(TAX_CATEGORIES).map((category) => (
+                  <option key={category} value={category}>
+                    {TAX_CATEGORY_LABELS[category]}
+                  </option>
+                ))}
               </select>
             </div>
 
-            {paymentMethod === 'Custom' && (
-              <Input
-                label="Custom Payment Method"
-                type="text"
-                value={customPaymentMethod}
-                onChange={(e) => setCustomPaymentMethod(e.target.value)}
-                placeholder="Enter custom payment method"
-                required
-              />
+            <Button type="submit" variant="secondary" className="w-full">
+              Add to Cart
+            </Button>
+          </form>
+        </div>
+
+        <div className="xl:col-span-3 bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+          <div className="flex justify-between items-center mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Cart</h2>
+            <div className="space-x-4">
+              <button
+                type="button"
+                onClick={() => setShowParkCart(true)}
+                disabled={cart.length === 0}
+                className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm disabled:opacity-50"
+              >
+                Park
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowParkedCarts(true)}
+                className="text-gray-600 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-200 text-sm"
+              >
+                Parked ({parkedCarts.length})
+              </button>
+            </div>
+          </div>
+
+          <CartTable
+            lines={cart.map((line, index) => ({
+              ...promotedItems[index],
+              ...line,
+              ...cartTotals.lines[index],
+            }))}
+            onQuantityChange={handleQuantityChange}
+            onDiscount={setDiscountTarget}
+            onRemove={handleRemoveLine}
+            stockWarnings={stockWarnings}
+          />
+
+          <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700 space-y-2">
+            {cartDiscount ? (
+              <div className="flex justify-between text-sm text-green-600 dark:text-green-400">
+                <button
+                  type="button"
+                  onClick={() => setDiscountTarget('cart')}
+                  className="hover:underline"
+                >
+                  Cart discount ({describeDiscount(cartDiscount)}
+                  {cartDiscount.reason ? `, ${cartDiscount.reason}` : ''})
+                </button>
+                <span>-{formatCurrency(cartDiscountAmount)}</span>
+              </div>
+            ) : (
+              cart.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setDiscountTarget('cart')}
+                  className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+                >
+                  + Cart discount
+                </button>
+              )
+            )}
+            {loyaltyDiscount > 0 && (
+              <div className="flex justify-between text-sm text-green-600 dark:text-green-400">
+                <span>Loyalty discount ({redeemedPoints} points)</span>
+                <span>-{formatCurrency(loyaltyDiscount)}</span>
+              </div>
             )}
+            <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400">
+              <span>Subtotal (excl. VAT)</span>
+              <span>{formatCurrency(cartTotals.subtotal)}</span>
+            </div>
+            {cartTotals.vatBreakdown[TAX_CATEGORIES.ZERO_RATED].net > 0 && (
+              <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400">
+                <span>of which zero-rated</span>
+                <span>{formatCurrency(cartTotals.vatBreakdown[TAX_CATEGORIES.ZERO_RATED].net)}</span>
+              </div>
+            )}
+            {cartTotals.vatBreakdown[TAX_CATEGORIES.EXEMPT].net > 0 && (
+              <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400">
+                <span>of which exempt</span>
+                <span>{formatCurrency(cartTotals.vatBreakdown[TAX_CATEGORIES.EXEMPT].net)}</span>
+              </div>
+            )}
+            <div className="flex justify-between text-sm text-gray-600 dark:text-gray-400">
+              <span>
+                VAT ({(vatRate * 100).toFixed(0)}%{pricingMode === PRICING_MODES.INCLUSIVE ? ', included' : ''})
+              </span>
+              <span>{formatCurrency(cartTotals.vatAmount)}</span>
+            </div>
+            <div className="flex justify-between text-lg font-bold text-gray-900 dark:text-white">
+              <span>Total</span>
+              <span>{formatCurrency(cartTotals.total)}</span>
+            </div>
+            {pointsToEarn > 0 && (
+              <p className="text-xs text-right text-gray-500 dark:text-gray-400">
+                Earns {pointsToEarn} loyalty point{pointsToEarn !== 1 ? 's' : ''}
+              </p>
+            )}
+          </div>
+
+          <div className="mt-6 space-y-6">
+            <CustomerPicker
+              businessId={selectedBusinessId}
+              customers={customers}
+              selectedCustomer={selectedCustomer}
+              onSelect={(customer) => {
+                setSelectedCustomer(customer);
+                setPointsToRedeem('');
+              }}
+              onCustomerAdded={(customer) => setCustomers(sortCustomers([...customers, customer]))}
+            />
+
+            {loyalty.enabled && selectedCustomer && (selectedCustomer.loyaltyPoints || 0) > 0 && (
+              <div className="grid grid-cols-2 gap-4 items-end">
+                <Input
+                  label="Redeem Points"
+                  type="number"
+                  min="0"
+                  max={maxRedeemablePoints}
+                  value={pointsToRedeem}
+                  onChange={(e) => setPointsToRedeem(e.target.value)}
+                  placeholder="0"
+                />
+                <div className="pb-3 text-right">
+                  <p className="text-sm text-gray-500 dark:text-gray-400">
+                    {selectedCustomer.loyaltyPoints} points available
+                  </p>
+                  <button
+                    type="button"
+                    onClick={() => setPointsToRedeem(String(maxRedeemablePoints))}
+                    disabled={maxRedeemablePoints === 0}
+                    className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm disabled:opacity-50"
+                  >
+                    Use {maxRedeemablePoints} ({formatCurrency(getPointsDiscount(maxRedeemablePoints, loyalty))})
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <TenderInput
+              tenderLines={tenderLines}
+              onChange={setTenderLines}
+              total={cartTotals.total}
+              cashReceived={cashReceived}
+              onCashReceivedChange={setCashReceived}
+              allowCredit={!!selectedCustomer}
+            />
 
-            <div className="pt-4">
-              <Button type="submit" disabled={submitting} className="w-full">
-                {submitting ? 'Recording...' : 'Record Sale'}
+            <div className="space-y-3">
+              <Button
+                onClick={handleRecordSale}
+                disabled={submitting || cart.length === 0}
+                className="w-full"
+              >
+                {submitting ? 'Recording...' : 'Checkout'}
+              </Button>
+              <Button
+                variant="secondary"
+                onClick={handleSaveQuote}
+                disabled={submitting || cart.length === 0}
+                className="w-full"
+              >
+                Save as Quote
               </Button>
             </div>
-          </form>
+          </div>
         </div>
       </div>
+
+      <BarcodeScannerModal
+        isOpen={showCameraScan}
+        onDetected={(code) => {
+          setShowCameraScan(false);
+          handleScan(code);
+        }}
+        onClose={() => setShowCameraScan(false)}
+      />
+
+      <DiscountModal
+        isOpen={discountTarget !== null}
+        title={discountTarget === 'cart' ? 'Cart Discount' : 'Line Discount'}
+        discount={
+          discountTarget === 'cart'
+            ? cartDiscount
+            : cart.find((line) => line.key === discountTarget)?.lineDiscount || null
+        }
+        onApply={handleApplyDiscount}
+        onClose={() => setDiscountTarget(null)}
+      />
+
+      <ParkCartModal
+        isOpen={showParkCart}
+        defaultLabel={selectedCustomer?.name || `Cart ${parkedCarts.length + 1}`}
+        onPark={handleParkCart}
+        onClose={() => setShowParkCart(false)}
+      />
+
+      <ParkedCartsModal
+        isOpen={showParkedCarts}
+        carts={parkedCarts}
+        onResume={handleResumeCart}
+        onDiscard={handleDiscardCart}
+        onClose={() => setShowParkedCarts(false)}
+      />
+
+      <SaveQuoteModal
+        isOpen={showSaveQuote}
+        quoteData={
+          showSaveQuote
+            ? {
+                businessId: selectedBusinessId,
+                createdByUserId: user.uid,
+                createdByName: user.name || user.email,
+                customerId: selectedCustomer?.id || null,
+                customerName: selectedCustomer?.name || null,
+                items: getCartItems(),
+                cartDiscount,
+              }
+            : null
+        }
+        total={cartTotals.total}
+        onClose={() => setShowSaveQuote(false)}
+        onSaved={() => {
+          setShowSaveQuote(false);
+          resetCart();
+        }}
+      />
+
+      <ReceiptModal
+        sale={receiptSale}
+        business={business}
+        onClose={() => setReceiptSale(null)}
+      />
     </div>
   );
 };
@@ -1,7 +1,18 @@
 import { useState, useEffect } from 'react';
 import { useAuth } from '../hooks/useAuth';
-import { getSalesByDate, getBusiness, getBusinessesByOwner } from '../services/firestoreService';
-import { formatCurrency } from '../utils/taxCalculator';
+import {
+  getSalesByDate,
+  getCreditNotesByDate,
+  getBusiness,
+  getBusinessesByOwner,
+  getProducts,
+  getStockMovementsAfter,
+  getStockMovementsUntil,
+} from '../services/firestoreService';
+import { formatCurrency, getSaleVatBreakdown, TAX_CATEGORIES } from '../utils/taxCalculator';
+import { subtractAmounts, sumBy } from '../utils/money';
+import { getPaymentMethodBreakdown, isVoided } from '../utils/saleUtils';
+import { getGrossMarginReport, getInventoryValuation } from '../utils/costUtils';
 import { exportToPDF, exportToExcel, exportToCSV } from '../utils/exportUtils';
 import { sendSalesReportEmail } from '../services/emailService';
 import Input from '../components/common/Input';
@@ -11,6 +22,7 @@ import toast from 'react-hot-toast';
 const Reports = () => {
   const { user } = useAuth();
   const [sales, setSales] = useState([]);
+  const [creditNotes, setCreditNotes] = useState([]);
   const [loading, setLoading] = useState(false);
   const [reportType, setReportType] = useState('custom');
   const [startDate, setStartDate] = useState('');
@@ -19,6 +31,9 @@ const Reports = () => {
   const [selectedBusinessId, setSelectedBusinessId] = useState(null);
   const [selectedBusiness, setSelectedBusiness] = useState(null);
   const [sendingEmail, setSendingEmail] = useState(false);
+  const [valuationDate, setValuationDate] = useState(new Date().toISOString().split('T')[0]);
+  const [valuation, setValuation] = useState(null);
+  const [valuing, setValuing] = useState(false);
 
   useEffect(() => {
     if (user) {
@@ -62,6 +77,7 @@ const Reports = () => {
   useEffect(() => {
     if (selectedBusinessId) {
       loadBusinessData(selectedBusinessId);
+      setValuation(null);
     }
   }, [selectedBusinessId]);
 
@@ -112,8 +128,13 @@ const Reports = () => {
       const end = new Date(endDate);
       end.setHours(23, 59, 59, 999); // Include full end date
 
-      const salesData = await getSalesByDate(selectedBusinessId, start, end);
-      setSales(salesData);
+      const [salesData, creditNotesData] = await Promise.all([
+        getSalesByDate(selectedBusinessId, start, end),
+        getCreditNotesByDate(selectedBusinessId, start, end),
+      ]);
+      // Voided sales stay in Firestore for audit but never count towards a report
+      setSales(salesData.filter((sale) => !isVoided(sale)));
+      setCreditNotes(creditNotesData);
       
       if (salesData.length === 0) {
         toast.success('Report generated. No sales found for the selected period.');
@@ -132,15 +153,60 @@ const Reports = () => {
     }
   };
 
+  const loadValuation = async () => {
+    if (!valuationDate) {
+      toast.error('Please select a date');
+      return;
+    }
+
+    setValuing(true);
+    try {
+      const asOf = new Date(valuationDate);
+      asOf.setHours(23, 59, 59, 999); // Include movements on the chosen date
+
+      const [products, movements, laterMovements] = await Promise.all([
+        getProducts(selectedBusinessId),
+        getStockMovementsUntil(selectedBusinessId, asOf),
+        getStockMovementsAfter(selectedBusinessId, asOf),
+      ]);
+      setValuation({
+        date: valuationDate,
+        ...getInventoryValuation(products, movements, laterMovements),
+      });
+    } catch (error) {
+      console.error('Error valuing inventory:', error);
+      toast.error(`Failed to value inventory: ${error.message || 'Unknown error'}`);
+    } finally {
+      setValuing(false);
+    }
+  };
+
   const calculateSummary = () => {
-    const totalSales = sales.reduce((sum, sale) => sum + sale.total, 0);
-    const totalVAT = sales.reduce((sum, sale) => sum + sale.vatAmount, 0);
-    const subtotal = sales.reduce((sum, sale) => sum + sale.subtotal, 0);
+    // Summed in integer minor units so the report reconciles to the franc.
+    // Credit notes issued in the period are netted out of every figure.
+    const net = (getAmount) => subtractAmounts(sumBy(sales, getAmount), sumBy(creditNotes, getAmount));
+    const totalSales = net((record) => record.total);
+    const totalVAT = net((record) => record.vatAmount);
+    const subtotal = net((record) => record.subtotal);
+
+    // Turnover per VAT category, for the RRA return
+    const turnover = (category) =>
+      net((record) => getSaleVatBreakdown(record)[category].net);
 
     return {
       totalSales: subtotal,
       totalVAT,
       grandTotal: totalSales,
+      refundsTotal: sumBy(creditNotes, (creditNote) => creditNote.total),
+      creditNoteCount: creditNotes.length,
+      taxableTurnover: turnover(TAX_CATEGORIES.STANDARD),
+      zeroRatedTurnover: turnover(TAX_CATEGORIES.ZERO_RATED),
+      exemptTurnover: turnover(TAX_CATEGORIES.EXEMPT),
+      // Collected per payment method, less what credit notes paid back or credited to account
+      paymentMethods: getPaymentMethodBreakdown(sales, creditNotes),
+      collectedTotal: totalSales,
+      // Promotions, line and cart discounts and loyalty points given away, before refunds
+      discountsTotal: sumBy(sales, (sale) => sale.discountTotal || 0),
     };
   };
 
@@ -153,6 +219,7 @@ const Reports = () => {
     const summary = calculateSummary();
     exportToPDF({
       sales,
+      creditNotes,
       summary,
       dateRange: {
         start: startDate,
@@ -171,6 +238,7 @@ const Reports = () => {
     const summary = calculateSummary();
     exportToExcel({
       sales,
+      creditNotes,
       summary,
       dateRange: {
         start: startDate,
@@ -203,6 +271,7 @@ const Reports = () => {
         selectedBusinessId,
         {
           sales,
+          creditNotes,
           summary,
           dateRange: {
             start: startDate,
@@ -229,6 +298,7 @@ const Reports = () => {
     const summary = calculateSummary();
     exportToCSV({
       sales,
+      creditNotes,
       summary,
       dateRange: {
         start: startDate,
@@ -239,6 +309,8 @@ const Reports = () => {
   };
 
   const summary = calculateSummary();
+  const grossMargin = getGrossMarginReport(sales, creditNotes);
+  const formatPercent = (percent) => (percent === null ? '—' : `${percent.toFixed(1)}%`);
 
   // Show message if admin has no businesses
   if (user?.role === 'admin' && businesses.length === 0 && !loading) {
@@ -361,6 +433,174 @@ const Reports = () => {
                 </p>
               </div>
             </div>
+            {summary.creditNoteCount > 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-4">
+                Net of {summary.creditNoteCount} credit note{summary.creditNoteCount !== 1 ? 's' : ''} totalling {formatCurrency(summary.refundsTotal)}.
+              </p>
+            )}
+            {summary.discountsTotal > 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-4">
+                Figures are after {formatCurrency(summary.discountsTotal)} of discounts given at checkout.
+              </p>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mt-6">
+              <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-4 border border-gray-200 dark:border-gray-600">
+                <p className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">Taxable Turnover</p>
+                <p className="text-xl font-bold text-gray-900 dark:text-white">
+                  {formatCurrency(summary.taxableTurnover)}
+                </p>
+              </div>
+              <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-4 border border-gray-200 dark:border-gray-600">
+                <p className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">Zero-rated Turnover</p>
+                <p className="text-xl font-bold text-gray-900 dark:text-white">
+                  {formatCurrency(summary.zeroRatedTurnover)}
+                </p>
+              </div>
+              <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-4 border border-gray-200 dark:border-gray-600">
+                <p className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">Exempt Turnover</p>
+                <p className="text-xl font-bold text-gray-900 dark:text-white">
+                  {formatCurrency(summary.exemptTurnover)}
+                </p>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg mb-10">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">Payment Methods</h2>
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b border-gray-200 dark:border-gray-700">
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      Method
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      Sales
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      Amount
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      Share
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.paymentMethods.map((row) => (
+                    <tr key={row.method} className="border-b border-gray-100 dark:border-gray-700">
+                      <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{row.method}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-700 dark:text-gray-300">{row.count}</td>
+                      <td className="px-4 py-3 text-sm text-right font-semibold text-gray-900 dark:text-white">
+                        {formatCurrency(row.amount)}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-500 dark:text-gray-400">
+                        {summary.collectedTotal
+                          ? `${((row.amount / summary.collectedTotal) * 100).toFixed(1)}%`
+                          : '-'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td className="px-4 py-3 text-sm font-semibold text-gray-900 dark:text-white">Total collected</td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-700 dark:text-gray-300">{sales.length}</td>
+                    <td className="px-4 py-3 text-sm text-right font-semibold text-gray-900 dark:text-white">
+                      {formatCurrency(summary.collectedTotal)}
+                    </td>
+                    <td></td>
+                  </tr>
+                  {summary.creditNoteCount > 0 && (
+                    <tr>
+                      <td className="px-4 py-3 text-sm text-gray-600 dark:text-gray-400">Refunds included above (credit notes)</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-600 dark:text-gray-400">{summary.creditNoteCount}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-600 dark:text-gray-400">
+                        -{formatCurrency(summary.refundsTotal)}
+                      </td>
+                      <td></td>
+                    </tr>
+                  )}
+                </tfoot>
+              </table>
+            </div>
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg mb-10">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">Gross Margin by Product</h2>
+            <div className="overflow-x-auto">
+              <table className="min-w-full">
+                <thead>
+                  <tr className="border-b border-gray-200 dark:border-gray-700">
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      Product
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      Qty
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      Revenue
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      Cost of Goods
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      Gross Margin
+                    </th>
+                    <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                      Margin %
+                    </th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {grossMargin.rows.map((row) => (
+                    <tr key={row.key} className="border-b border-gray-100 dark:border-gray-700">
+                      <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{row.productName}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-700 dark:text-gray-300">{row.quantity}</td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-700 dark:text-gray-300">
+                        {formatCurrency(row.revenue)}
+                      </td>
+                      <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-700 dark:text-gray-300">
+                        {row.costOfGoods === null ? '—' : formatCurrency(row.costOfGoods)}
+                      </td>
+                      <td
+                        className={`px-4 py-3 whitespace-nowrap text-sm text-right font-semibold ${
+                          row.grossMargin < 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white'
+                        }`}
+                      >
+                        {row.grossMargin === null ? '—' : formatCurrency(row.grossMargin)}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-500 dark:text-gray-400">
+                        {formatPercent(row.marginPercent)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot>
+                  <tr>
+                    <td className="px-4 py-3 text-sm font-semibold text-gray-900 dark:text-white">Total</td>
+                    <td></td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-right font-semibold text-gray-900 dark:text-white">
+                      {formatCurrency(grossMargin.totals.revenue)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-right font-semibold text-gray-900 dark:text-white">
+                      {formatCurrency(grossMargin.totals.costOfGoods)}
+                    </td>
+                    <td className="px-4 py-3 whitespace-nowrap text-sm text-right font-bold text-gray-900 dark:text-white">
+                      {formatCurrency(grossMargin.totals.grossMargin)}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-right font-semibold text-gray-900 dark:text-white">
+                      {formatPercent(grossMargin.totals.marginPercent)}
+                    </td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+            {grossMargin.totals.uncostedRevenue !== 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-4">
+                {formatCurrency(grossMargin.totals.uncostedRevenue)} of revenue is from products sold without a cost
+                (manual items, or sales made before the product had a cost) and is left out of the margin.
+              </p>
+            )}
           </div>
 
           <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
@@ -447,6 +687,113 @@ const Reports = () => {
           <p className="text-sm text-gray-500 dark:text-gray-400">No sales data found for the selected period.</p>
         </div>
       )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg mt-10">
+        <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">Inventory Valuation</h2>
+        <div className="flex flex-col md:flex-row md:items-end gap-4 mb-6">
+          <div className="md:w-64">
+            <Input
+              label="Stock Value As Of"
+              type="date"
+              value={valuationDate}
+              onChange={(e) => setValuationDate(e.target.value)}
+            />
+          </div>
+          <Button onClick={loadValuation} disabled={valuing || !selectedBusinessId}>
+            {valuing ? 'Loading...' : 'Value Inventory'}
+          </Button>
+        </div>
+
+        {valuation && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+              <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-4 border border-gray-200 dark:border-gray-600">
+                <p className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">Stock Value at Cost</p>
+                <p className="text-2xl font-bold text-blue-600 dark:text-blue-400">
+                  {formatCurrency(valuation.totals.value)}
+                </p>
+              </div>
+              <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl p-4 border border-gray-200 dark:border-gray-600">
+                <p className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">Units in Stock</p>
+                <p className="text-2xl font-bold text-gray-900 dark:text-white">{valuation.totals.quantity}</p>
+              </div>
+            </div>
+
+            {valuation.rows.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+                No stock on hand on {valuation.date}.
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-700">
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        Product
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        In Stock
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        Average Cost
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        Value
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {valuation.rows.map((row) => (
+                      <tr key={row.productId} className="border-b border-gray-100 dark:border-gray-700">
+                        <td className="px-4 py-3 text-sm text-gray-900 dark:text-gray-100">{row.productName}</td>
+                        <td
+                          className={`px-4 py-3 text-sm text-right ${
+                            row.negativeStock ? 'text-red-600 dark:text-red-400' : 'text-gray-700 dark:text-gray-300'
+                          }`}
+                        >
+                          {row.quantity}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-right text-gray-700 dark:text-gray-300">
+                          {row.unitCost === null ? '—' : formatCurrency(row.unitCost)}
+                          {row.estimated && (
+                            <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-orange-100 dark:bg-orange-900/30 text-orange-700 dark:text-orange-400">
+                              Estimate
+                            </span>
+                          )}
+                        </td>
+                        <td className="px-4 py-3 whitespace-nowrap text-sm text-right font-semibold text-gray-900 dark:text-white">
+                          {row.value === null ? '—' : formatCurrency(row.value)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            {valuation.totals.uncostedCount > 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-4">
+                {valuation.totals.uncostedCount} product{valuation.totals.uncostedCount !== 1 ? 's have' : ' has'} no
+                cost yet and {valuation.totals.uncostedCount !== 1 ? 'are' : 'is'} not included in the value. Set a
+                cost in Inventory or receive goods with a unit cost.
+              </p>
+            )}
+            {valuation.totals.estimatedCount > 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
+                Estimate: the cost on {valuation.date} is not recorded for{' '}
+                {valuation.totals.estimatedCount} product{valuation.totals.estimatedCount !== 1 ? 's' : ''}, so
+                {valuation.totals.estimatedCount !== 1 ? ' they are' : ' it is'} valued at today&apos;s average cost.
+              </p>
+            )}
+            {valuation.totals.negativeCount > 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
+                {valuation.totals.negativeCount} product{valuation.totals.negativeCount !== 1 ? 's were' : ' was'} below
+                zero stock on {valuation.date} and {valuation.totals.negativeCount !== 1 ? 'are' : 'is'} not included
+                in the totals. Record a stock count to correct {valuation.totals.negativeCount !== 1 ? 'them' : 'it'}.
+              </p>
+            )}
+          </>
+        )}
+      </div>
     </div>
   );
 };
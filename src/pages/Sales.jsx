@@ -0,0 +1,366 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import {
+  getBusiness,
+  getBusinessesByOwner,
+  getSalesByDate,
+  reviewVoidRequest,
+} from '../services/firestoreService';
+import { formatCurrency } from '../utils/taxCalculator';
+import { getRefundStatus, hasRefunds, isVoided, VOID_STATUSES } from '../utils/saleUtils';
+import Input from '../components/common/Input';
+import Button from '../components/common/Button';
+import RefundModal from '../components/sales/RefundModal';
+import VoidSaleModal from '../components/sales/VoidSaleModal';
+import ReceiptModal from '../components/sales/ReceiptModal';
+import toast from 'react-hot-toast';
+
+const toDateInput = (date) => date.toISOString().split('T')[0];
+
+const VOID_STATUS_BADGES = {
+  [VOID_STATUSES.VOIDED]: {
+    label: 'Voided',
+    className: 'bg-red-100 dark:bg-red-900/30 text-red-700 dark:text-red-400',
+  },
+  [VOID_STATUSES.REQUESTED]: {
+    label: 'Void requested',
+    className: 'bg-orange-100 dark:bg-orange-900/30 text-orange-700 dark:text-orange-400',
+  },
+  [VOID_STATUSES.REJECTED]: {
+    label: 'Void rejected',
+    className: 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-400',
+  },
+};
+
+const Sales = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [sales, setSales] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [businesses, setBusinesses] = useState([]);
+  const [selectedBusinessId, setSelectedBusinessId] = useState(null);
+  // The range being shown; the date inputs only apply when Show Sales is clicked
+  const [range, setRange] = useState(() => {
+    const weekAgo = new Date();
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    return { startDate: toDateInput(weekAgo), endDate: toDateInput(new Date()) };
+  });
+  const [startDate, setStartDate] = useState(range.startDate);
+  const [endDate, setEndDate] = useState(range.endDate);
+  const [refundSale, setRefundSale] = useState(null);
+  const [voidSale, setVoidSale] = useState(null);
+  const [receiptSale, setReceiptSale] = useState(null);
+  const [business, setBusiness] = useState(null);
+
+  const loadAdminBusinesses = useCallback(async (ownerId) => {
+    try {
+      const userBusinesses = await getBusinessesByOwner(ownerId);
+      setBusinesses(userBusinesses);
+
+      if (userBusinesses.length > 0) {
+        setSelectedBusinessId(userBusinesses[0].id);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to load businesses');
+      setLoading(false);
+    }
+  }, []);
+
+  const loadSales = useCallback(async (businessId, { startDate, endDate }) => {
+    try {
+      setLoading(true);
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999); // Include full end date
+
+      const salesData = await getSalesByDate(businessId, start, end);
+      setSales(salesData);
+    } catch (error) {
+      console.error('Error loading sales:', error);
+      toast.error('Failed to load sales');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      if (user.role === 'admin') {
+        loadAdminBusinesses(user.uid);
+      } else if (user.role === 'representative' && user.businessId) {
+        setSelectedBusinessId(user.businessId);
+      } else {
+        setLoading(false);
+      }
+    }
+  }, [user, loadAdminBusinesses]);
+
+  useEffect(() => {
+    if (selectedBusinessId) {
+      getBusiness(selectedBusinessId)
+        .then(setBusiness)
+        .catch(() => toast.error('Failed to load business'));
+    }
+  }, [selectedBusinessId]);
+
+  useEffect(() => {
+    if (selectedBusinessId) {
+      loadSales(selectedBusinessId, range);
+    }
+  }, [selectedBusinessId, range, loadSales]);
+
+  const handleShowSales = () => {
+    if (!startDate || !endDate) {
+      toast.error('Please select start and end dates');
+      return;
+    }
+    setRange({ startDate, endDate });
+  };
+
+  const handleRefunded = () => {
+    setRefundSale(null);
+    loadSales(selectedBusinessId, range);
+  };
+
+  const handleVoided = () => {
+    setVoidSale(null);
+    loadSales(selectedBusinessId, range);
+  };
+
+  const handleReviewVoid = async (sale, approve) => {
+    try {
+      await reviewVoidRequest(sale.id, user.uid, approve, user.name || user.email);
+      toast.success(approve ? 'Sale voided' : 'Void request rejected');
+      loadSales(selectedBusinessId, range);
+    } catch (error) {
+      console.error('Error reviewing void request:', error);
+      toast.error(error.message || 'Failed to review void request');
+    }
+  };
+
+  // Show message if admin has no businesses
+  if (user?.role === 'admin' && businesses.length === 0 && !loading) {
+    return (
+      <div className="p-8">
+        <div className="mb-10">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Sales</h1>
+          <p className="text-gray-500 dark:text-gray-400">Create a business first to view sales</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-8 border border-gray-200 dark:border-gray-700 shadow-lg max-w-md">
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            You need to create a business before you can record sales.
+          </p>
+          <Button onClick={() => navigate('/settings')}>
+            Go to Settings to Create Business
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="mb-10">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Sales</h1>
+            <p className="text-gray-500 dark:text-gray-400">Review recorded sales and handle returns</p>
+          </div>
+          {user?.role === 'admin' && businesses.length > 0 && (
+            <select
+              value={selectedBusinessId || ''}
+              onChange={(e) => setSelectedBusinessId(e.target.value)}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {businesses.map((business) => (
+                <option key={business.id} value={business.id}>
+                  {business.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6 items-end">
+          <Input
+            label="Start Date"
+            type="date"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+          />
+          <Input
+            label="End Date"
+            type="date"
+            value={endDate}
+            onChange={(e) => setEndDate(e.target.value)}
+          />
+          <Button onClick={handleShowSales} disabled={loading || !selectedBusinessId}>
+            {loading ? 'Loading...' : 'Show Sales'}
+          </Button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-500"></div>
+          </div>
+        ) : sales.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+            No sales found for the selected period.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Date
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Invoice
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Customer
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Products
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Payment
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Total
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {sales.map((sale) => {
+                  const refundStatus = getRefundStatus(sale);
+                  const voided = isVoided(sale);
+                  const voidBadge = VOID_STATUS_BADGES[sale.voidStatus];
+                  const voidPending = sale.voidStatus === VOID_STATUSES.REQUESTED;
+                  return (
+                    <tr key={sale.id} className={`border-b ${voided ? 'opacity-60 ' : ''} border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors`}>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                        {sale.createdAt.toLocaleString()}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm font-mono text-gray-700 dark:text-gray-300">
+                        {sale.invoiceNumber || '—'}
+                        {sale.recordedOfflineAt && (
+                          <p className="text-xs font-sans text-gray-500 dark:text-gray-400 mt-1">
+                            Recorded offline {sale.recordedOfflineAt.toDate().toLocaleString()}
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-4 py-4 text-sm text-gray-700 dark:text-gray-300">
+                        {sale.customerName || 'Walk-in'}
+                        {sale.customerTin && (
+                          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">TIN {sale.customerTin}</p>
+                        )}
+                      </td>
+                      <td className="px-4 py-4 text-sm text-gray-700 dark:text-gray-300">
+                        {sale.items.map((item) => `${item.productName} x${item.quantity}`).join(', ')}
+                        {refundStatus && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-yellow-100 dark:bg-yellow-900/30 text-yellow-700 dark:text-yellow-400">
+                            {refundStatus}
+                          </span>
+                        )}
+                        {voidBadge && (
+                          <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${voidBadge.className}`}>
+                            {voidBadge.label}
+                          </span>
+                        )}
+                        {sale.voidReason && (
+                          <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                            Void reason: {sale.voidReason}
+                          </p>
+                        )}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                        {sale.paymentMethod}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm font-semibold text-gray-900 dark:text-white">
+                        {formatCurrency(sale.total)}
+                      </td>
+                      <td className="px-4 py-4 whitespace-nowrap text-sm text-right space-x-4">
+                        <button
+                          onClick={() => setReceiptSale(sale)}
+                          className="text-gray-600 dark:text-gray-400 hover:text-gray-700 text-sm"
+                        >
+                          Receipt
+                        </button>
+                        {user?.role === 'admin' && voidPending && (
+                          <>
+                            <button
+                              onClick={() => handleReviewVoid(sale, true)}
+                              className="text-green-600 dark:text-green-400 hover:text-green-700 text-sm"
+                            >
+                              Approve Void
+                            </button>
+                            <button
+                              onClick={() => handleReviewVoid(sale, false)}
+                              className="text-gray-600 dark:text-gray-400 hover:text-gray-700 text-sm"
+                            >
+                              Reject
+                            </button>
+                          </>
+                        )}
+                        {!voided && !voidPending && refundStatus !== 'Refunded' && (
+                          <button
+                            onClick={() => setRefundSale(sale)}
+                            className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+                          >
+                            Refund
+                          </button>
+                        )}
+                        {!voided && !voidPending && !hasRefunds(sale) && (
+                          <button
+                            onClick={() => setVoidSale(sale)}
+                            className="text-red-600 dark:text-red-400 hover:text-red-700 text-sm"
+                          >
+                            Void
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <RefundModal
+        sale={refundSale}
+        userId={user?.uid}
+        userName={user?.name || user?.email}
+        onClose={() => setRefundSale(null)}
+        onRefunded={handleRefunded}
+      />
+
+      <VoidSaleModal
+        sale={voidSale}
+        userId={user?.uid}
+        userName={user?.name || user?.email}
+        onClose={() => setVoidSale(null)}
+        onVoided={handleVoided}
+      />
+
+      <ReceiptModal
+        sale={receiptSale}
+        business={business}
+        onClose={() => setReceiptSale(null)}
+      />
+    </div>
+  );
+};
+
+export default Sales;
@@ -11,6 +11,13 @@ import {
   deleteInvitation,
   removeSalesRep,
 } from '../services/firestoreService';
+import { PRICING_MODES } from '../utils/taxCalculator';
+import { DEFAULT_VOID_WINDOW_MINUTES } from '../utils/saleUtils';
+import {
+  DEFAULT_LOYALTY_POINT_VALUE,
+  DEFAULT_LOYALTY_SPEND_PER_POINT,
+  getLoyaltySettings,
+} from '../utils/loyaltyUtils';
 import Input from '../components/common/Input';
 import Button from '../components/common/Button';
 import toast from 'react-hot-toast';
@@ -22,6 +29,12 @@ const Settings = () => {
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [vatRate, setVatRate] = useState(0.18);
+  const [tin, setTin] = useState('');
+  const [pricingMode, setPricingMode] = useState(PRICING_MODES.EXCLUSIVE);
+  const [voidWindowMinutes, setVoidWindowMinutes] = useState(DEFAULT_VOID_WINDOW_MINUTES);
+  const [loyaltyEnabled, setLoyaltyEnabled] = useState(false);
+  const [loyaltySpendPerPoint, setLoyaltySpendPerPoint] = useState(DEFAULT_LOYALTY_SPEND_PER_POINT);
+  const [loyaltyPointValue, setLoyaltyPointValue] = useState(DEFAULT_LOYALTY_POINT_VALUE);
   const [emailEnabled, setEmailEnabled] = useState(false);
   const [emailAddress, setEmailAddress] = useState('');
   
@@ -87,6 +100,13 @@ const Settings = () => {
       if (businessData) {
         setSelectedBusiness(businessData);
         setVatRate(businessData.rraVatRate || 0.18);
+        setTin(businessData.tin || '');
+        setPricingMode(businessData.pricingMode || PRICING_MODES.EXCLUSIVE);
+        setVoidWindowMinutes(businessData.voidWindowMinutes ?? DEFAULT_VOID_WINDOW_MINUTES);
+        const loyalty = getLoyaltySettings(businessData);
+        setLoyaltyEnabled(loyalty.enabled);
+        setLoyaltySpendPerPoint(loyalty.spendPerPoint);
+        setLoyaltyPointValue(loyalty.pointValue);
         setEmailEnabled(businessData.emailEnabled || false);
         setEmailAddress(businessData.emailAddress || user?.email || '');
         
@@ -138,10 +158,23 @@ const Settings = () => {
     e.preventDefault();
     if (!selectedBusiness) return;
 
+    const spendPerPoint = parseFloat(loyaltySpendPerPoint);
+    const pointValue = parseFloat(loyaltyPointValue);
+    if (loyaltyEnabled && (!(spendPerPoint > 0) || !(pointValue > 0))) {
+      toast.error('Loyalty points need a spend per point and a point value above zero');
+      return;
+    }
+
     setSaving(true);
     try {
       const updates = {
         rraVatRate: parseFloat(vatRate),
+        tin: tin.trim() || null,
+        pricingMode,
+        voidWindowMinutes: parseInt(voidWindowMinutes) || 0,
+        loyaltyEnabled,
+        loyaltySpendPerPoint: spendPerPoint || DEFAULT_LOYALTY_SPEND_PER_POINT,
+        loyaltyPointValue: pointValue || DEFAULT_LOYALTY_POINT_VALUE,
         emailEnabled: emailEnabled,
       };
       
@@ -246,12 +279,22 @@ const Settings = () => {
                   <p className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">Business Name</p>
                   <p className="text-xl font-semibold text-gray-900 dark:text-white">{selectedBusiness.name}</p>
                 </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">TIN</p>
+                  <p className="text-lg text-gray-900 dark:text-white">{selectedBusiness.tin || 'Not set'}</p>
+                </div>
                 <div>
                   <p className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">RRA VAT Rate</p>
                   <p className="text-lg text-gray-900 dark:text-white">
                     {(selectedBusiness.rraVatRate * 100).toFixed(0)}%
                   </p>
                 </div>
+                <div>
+                  <p className="text-sm font-medium text-gray-500 dark:text-gray-400 mb-2">Prices</p>
+                  <p className="text-lg text-gray-900 dark:text-white">
+                    {selectedBusiness.pricingMode === PRICING_MODES.INCLUSIVE ? 'Include VAT' : 'Exclude VAT'}
+                  </p>
+                </div>
               </div>
             </div>
           </div>
@@ -342,6 +385,17 @@ const Settings = () => {
             </div>
 
             <form onSubmit={handleSaveSettings} className="space-y-6">
+              <Input
+                label="TIN"
+                type="text"
+                value={tin}
+                onChange={(e) => setTin(e.target.value)}
+                placeholder="RRA Taxpayer Identification Number"
+              />
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Printed on every receipt.
+              </p>
+
               <Input
                 label="RRA VAT Rate"
                 type="number"
@@ -357,6 +411,81 @@ const Settings = () => {
                 Enter the VAT rate as a decimal (e.g., 0.18 for 18%).
               </p>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Pricing Mode
+                </label>
+                <select
+                  value={pricingMode}
+                  onChange={(e) => setPricingMode(e.target.value)}
+                  className="w-full px-4 py-3 rounded-xl border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800 focus:outline-none focus:ring-2 focus:ring-blue-600 dark:focus:ring-blue-500 focus:border-transparent transition-all duration-200 text-gray-900 dark:text-gray-100"
+                >
+                  <option value={PRICING_MODES.EXCLUSIVE}>Prices exclude VAT (VAT added at checkout)</option>
+                  <option value={PRICING_MODES.INCLUSIVE}>Prices include VAT (shelf prices)</option>
+                </select>
+                <p className="text-sm text-gray-500 dark:text-gray-400 mt-2">
+                  In inclusive mode VAT is backed out of each line, so the customer pays the shelf price.
+                </p>
+              </div>
+
+              <Input
+                label="Void Grace Window (minutes)"
+                type="number"
+                min="0"
+                value={voidWindowMinutes}
+                onChange={(e) => setVoidWindowMinutes(e.target.value)}
+                required
+              />
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                Sales representatives can void a sale without your approval for this many minutes after recording it. Set to 0 to always require approval.
+              </p>
+
+              <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
+                <h3 className="text-md font-semibold text-gray-900 dark:text-white mb-4">Loyalty Points</h3>
+
+                <div className="space-y-4">
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="loyaltyEnabled"
+                      checked={loyaltyEnabled}
+                      onChange={(e) => setLoyaltyEnabled(e.target.checked)}
+                      className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600"
+                    />
+                    <label htmlFor="loyaltyEnabled" className="ml-2 text-sm font-medium text-gray-700 dark:text-gray-300">
+                      Reward customers with loyalty points
+                    </label>
+                  </div>
+
+                  {loyaltyEnabled && (
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                      <Input
+                        label="RWF Spent per Point"
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={loyaltySpendPerPoint}
+                        onChange={(e) => setLoyaltySpendPerPoint(e.target.value)}
+                        required
+                      />
+                      <Input
+                        label="Value of One Point (RWF)"
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={loyaltyPointValue}
+                        onChange={(e) => setLoyaltyPointValue(e.target.value)}
+                        required
+                      />
+                    </div>
+                  )}
+
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    Customers earn one point for every full amount spent and can redeem points as a discount at checkout. Refunds and voids take the points back.
+                  </p>
+                </div>
+              </div>
+
               <div className="pt-4 border-t border-gray-200 dark:border-gray-700">
                 <h3 className="text-md font-semibold text-gray-900 dark:text-white mb-4">Email Notifications</h3>
                 
@@ -370,7 +499,7 @@ const Settings = () => {
                       className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded focus:ring-blue-500 dark:focus:ring-blue-600 dark:ring-offset-gray-800 focus:ring-2 dark:bg-gray-700 dark:border-gray-600"
                     />
                     <label htmlFor="emailEnabled" className="ml-2 text-sm font-medium text-gray-700 dark:text-gray-300">
-                      Enable email notifications for sales reports
+                      Enable email notifications for sales reports and low stock
                     </label>
                   </div>
 
@@ -386,7 +515,7 @@ const Settings = () => {
                   )}
 
                   <p className="text-xs text-gray-500 dark:text-gray-400">
-                    Weekly sales reports will be sent to this email address. Make sure email service is configured in Cloud Functions.
+                    Weekly sales reports and a daily low-stock digest will be sent to this email address. Make sure email service is configured in Cloud Functions.
                   </p>
                 </div>
               </div>
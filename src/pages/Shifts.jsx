@@ -0,0 +1,385 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import {
+  closeShift,
+  getBusinessesByOwner,
+  getOpenShift,
+  getShiftCreditNotes,
+  getShiftPayments,
+  getShiftSales,
+  getShifts,
+  openShift,
+} from '../services/firestoreService';
+import { formatCurrency } from '../utils/taxCalculator';
+import { SHIFT_STATUSES, summarizeShift } from '../utils/shiftUtils';
+import Input from '../components/common/Input';
+import Button from '../components/common/Button';
+import Modal from '../components/common/Modal';
+import ShiftReport from '../components/shifts/ShiftReport';
+import toast from 'react-hot-toast';
+
+// Live totals of an open shift for its X report
+const loadShiftSummary = async (shift) => {
+  const [sales, payments, creditNotes] = await Promise.all([
+    getShiftSales(shift),
+    getShiftPayments(shift),
+    getShiftCreditNotes(shift),
+  ]);
+  return summarizeShift(shift, sales, payments, creditNotes);
+};
+
+const Shifts = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [businesses, setBusinesses] = useState([]);
+  const [selectedBusinessId, setSelectedBusinessId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [currentShift, setCurrentShift] = useState(null);
+  const [currentSummary, setCurrentSummary] = useState(null);
+  const [shifts, setShifts] = useState([]);
+  const [openingFloat, setOpeningFloat] = useState('');
+  const [countedCash, setCountedCash] = useState('');
+  const [notes, setNotes] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [viewedShift, setViewedShift] = useState(null);
+  const [viewedSummary, setViewedSummary] = useState(null);
+
+  const loadAdminBusinesses = useCallback(async (ownerId) => {
+    try {
+      const userBusinesses = await getBusinessesByOwner(ownerId);
+      setBusinesses(userBusinesses);
+
+      if (userBusinesses.length > 0) {
+        setSelectedBusinessId(userBusinesses[0].id);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to load businesses');
+      setLoading(false);
+    }
+  }, []);
+
+  const loadShifts = useCallback(async (businessId) => {
+    try {
+      setLoading(true);
+      const [openShiftData, businessShifts] = await Promise.all([
+        getOpenShift(businessId, user.uid),
+        getShifts(businessId),
+      ]);
+
+      setCurrentShift(openShiftData);
+      setCurrentSummary(
+        openShiftData ? await loadShiftSummary(openShiftData) : null
+      );
+      // Representatives review their own shifts; the owner reviews everyone's
+      setShifts(
+        user.role === 'admin'
+          ? businessShifts
+          : businessShifts.filter((shift) => shift.openedBy === user.uid)
+      );
+      return businessShifts;
+    } catch (error) {
+      console.error('Error loading shifts:', error);
+      toast.error('Failed to load shifts');
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  }, [user]);
+
+  useEffect(() => {
+    if (user) {
+      if (user.role === 'admin') {
+        loadAdminBusinesses(user.uid);
+      } else if (user.role === 'representative' && user.businessId) {
+        setSelectedBusinessId(user.businessId);
+      } else {
+        setLoading(false);
+      }
+    }
+  }, [user, loadAdminBusinesses]);
+
+  useEffect(() => {
+    if (selectedBusinessId) {
+      loadShifts(selectedBusinessId);
+    }
+  }, [selectedBusinessId, loadShifts]);
+
+  const handleOpenShift = async (e) => {
+    e.preventDefault();
+
+    const float = parseFloat(openingFloat);
+    if (isNaN(float) || float < 0) {
+      toast.error('Please enter a valid opening float');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      await openShift({
+        businessId: selectedBusinessId,
+        userId: user.uid,
+        userName: user.name || user.email,
+        openingFloat: float,
+      });
+      toast.success('Shift opened');
+      setOpeningFloat('');
+      loadShifts(selectedBusinessId);
+    } catch (error) {
+      console.error('Error opening shift:', error);
+      toast.error(error.message || 'Failed to open shift');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCloseShift = async (e) => {
+    e.preventDefault();
+
+    const counted = parseFloat(countedCash);
+    if (isNaN(counted) || counted < 0) {
+      toast.error('Please enter the cash counted in the drawer');
+      return;
+    }
+
+    if (!confirm('Close this shift? Sales cannot be added to it afterwards.')) return;
+
+    setSubmitting(true);
+    try {
+      await closeShift(currentShift, { userId: user.uid, countedCash: counted, notes: notes.trim() });
+      toast.success('Shift closed');
+      setCountedCash('');
+      setNotes('');
+
+      // Show the Z report straight away
+      const closedShiftId = currentShift.id;
+      const businessShifts = await loadShifts(selectedBusinessId);
+      setViewedShift(businessShifts.find((shift) => shift.id === closedShiftId) || null);
+    } catch (error) {
+      console.error('Error closing shift:', error);
+      toast.error(error.message || 'Failed to close shift');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleViewShift = async (shift) => {
+    setViewedSummary(null);
+    setViewedShift(shift);
+    if (shift.status !== SHIFT_STATUSES.CLOSED) {
+      try {
+        setViewedSummary(await loadShiftSummary(shift));
+      } catch (error) {
+        toast.error('Failed to load shift sales');
+      }
+    }
+  };
+
+  // Show message if admin has no businesses
+  if (user?.role === 'admin' && businesses.length === 0 && !loading) {
+    return (
+      <div className="p-8">
+        <div className="mb-10">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Shifts</h1>
+          <p className="text-gray-500 dark:text-gray-400">Create a business first to manage shifts</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-8 border border-gray-200 dark:border-gray-700 shadow-lg max-w-md">
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            You need to create a business before you can open a shift.
+          </p>
+          <Button onClick={() => navigate('/settings')}>
+            Go to Settings to Create Business
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="mb-10">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Shifts</h1>
+            <p className="text-gray-500 dark:text-gray-400">Open and close the cash drawer</p>
+          </div>
+          {user?.role === 'admin' && businesses.length > 0 && (
+            <select
+              value={selectedBusinessId || ''}
+              onChange={(e) => setSelectedBusinessId(e.target.value)}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {businesses.map((business) => (
+                <option key={business.id} value={business.id}>
+                  {business.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-500"></div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 xl:grid-cols-5 gap-6">
+          <div className="xl:col-span-2 bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">My Shift</h2>
+
+            {currentShift ? (
+              <>
+                <ShiftReport shift={currentShift} summary={currentSummary} />
+
+                <form onSubmit={handleCloseShift} className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700 space-y-4">
+                  <Input
+                    label="Counted Cash"
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={countedCash}
+                    onChange={(e) => setCountedCash(e.target.value)}
+                    placeholder="Cash in the drawer, including the float"
+                    required
+                  />
+                  <Input
+                    label="Notes"
+                    type="text"
+                    value={notes}
+                    onChange={(e) => setNotes(e.target.value)}
+                    placeholder="Optional, e.g. reason for a variance"
+                  />
+                  <div className="flex gap-3">
+                    <Button type="submit" disabled={submitting} className="flex-1">
+                      {submitting ? 'Closing...' : 'Close Shift'}
+                    </Button>
+                    <Button variant="secondary" onClick={() => loadShifts(selectedBusinessId)}>
+                      Refresh
+                    </Button>
+                  </div>
+                </form>
+              </>
+            ) : (
+              <form onSubmit={handleOpenShift} className="space-y-4">
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  Count the cash in the drawer before your first sale and enter it as the opening float.
+                </p>
+                <Input
+                  label="Opening Float"
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={openingFloat}
+                  onChange={(e) => setOpeningFloat(e.target.value)}
+                  placeholder="0"
+                  required
+                />
+                <Button type="submit" disabled={submitting} className="w-full">
+                  {submitting ? 'Opening...' : 'Open Shift'}
+                </Button>
+              </form>
+            )}
+          </div>
+
+          <div className="xl:col-span-3 bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">Shift History</h2>
+
+            {shifts.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">
+                No shifts yet.
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full">
+                  <thead>
+                    <tr className="border-b border-gray-200 dark:border-gray-700">
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        Opened
+                      </th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        Cashier
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        Expected
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        Counted
+                      </th>
+                      <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                        Variance
+                      </th>
+                      <th className="px-4 py-3"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shifts.map((shift) => {
+                      const closed = shift.status === SHIFT_STATUSES.CLOSED;
+                      return (
+                        <tr key={shift.id} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                          <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-100">
+                            {shift.openedAt.toLocaleString()}
+                          </td>
+                          <td className="px-4 py-4 text-sm text-gray-700 dark:text-gray-300">
+                            {shift.openedByName || '-'}
+                          </td>
+                          <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-700 dark:text-gray-300">
+                            {closed ? formatCurrency(shift.expectedCash) : '-'}
+                          </td>
+                          <td className="px-4 py-4 whitespace-nowrap text-sm text-right text-gray-700 dark:text-gray-300">
+                            {closed ? formatCurrency(shift.countedCash) : '-'}
+                          </td>
+                          <td
+                            className={`px-4 py-4 whitespace-nowrap text-sm text-right font-semibold ${
+                              !closed
+                                ? 'text-green-600 dark:text-green-400'
+                                : shift.variance === 0
+                                  ? 'text-gray-900 dark:text-white'
+                                  : 'text-red-600 dark:text-red-400'
+                            }`}
+                          >
+                            {closed
+                              ? formatCurrency(shift.variance)
+                              : shift.status === SHIFT_STATUSES.CLOSING
+                                ? 'Closing'
+                                : 'Open'}
+                          </td>
+                          <td className="px-4 py-4 whitespace-nowrap text-sm text-right">
+                            <button
+                              onClick={() => handleViewShift(shift)}
+                              className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+                            >
+                              View
+                            </button>
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      <Modal
+        isOpen={!!viewedShift}
+        onClose={() => setViewedShift(null)}
+        title="Shift Report"
+      >
+        {viewedShift && (viewedShift.status === SHIFT_STATUSES.CLOSED || viewedSummary) ? (
+          <ShiftReport shift={viewedShift} summary={viewedSummary} />
+        ) : (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-500"></div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default Shifts;
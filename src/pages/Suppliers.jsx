@@ -0,0 +1,241 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import { deleteSupplier, getBusinessesByOwner, getSuppliers } from '../services/firestoreService';
+import Button from '../components/common/Button';
+import SupplierFormModal from '../components/purchasing/SupplierFormModal';
+import toast from 'react-hot-toast';
+
+const Suppliers = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [suppliers, setSuppliers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [businesses, setBusinesses] = useState([]);
+  const [selectedBusinessId, setSelectedBusinessId] = useState(null);
+
+  // Supplier form (create / edit)
+  const [showForm, setShowForm] = useState(false);
+  const [editingSupplier, setEditingSupplier] = useState(null);
+
+  // Only the business owner can delete suppliers (see firestore.rules)
+  const canDelete = user?.role === 'admin';
+
+  const loadAdminBusinesses = useCallback(async (ownerId) => {
+    try {
+      const userBusinesses = await getBusinessesByOwner(ownerId);
+      setBusinesses(userBusinesses);
+
+      if (userBusinesses.length > 0) {
+        setSelectedBusinessId(userBusinesses[0].id);
+      } else {
+        setLoading(false);
+      }
+    } catch (error) {
+      toast.error('Failed to load businesses');
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      if (user.role === 'admin') {
+        loadAdminBusinesses(user.uid);
+      } else if (user.role === 'representative' && user.businessId) {
+        setSelectedBusinessId(user.businessId);
+      } else {
+        setLoading(false);
+      }
+    }
+  }, [user, loadAdminBusinesses]);
+
+  useEffect(() => {
+    if (selectedBusinessId) {
+      loadSuppliers(selectedBusinessId);
+    }
+  }, [selectedBusinessId]);
+
+  const loadSuppliers = async (businessId) => {
+    try {
+      setLoading(true);
+      const businessSuppliers = await getSuppliers(businessId);
+      setSuppliers(businessSuppliers.sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (error) {
+      console.error('Error loading suppliers:', error);
+      toast.error('Failed to load suppliers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCreateForm = () => {
+    setEditingSupplier(null);
+    setShowForm(true);
+  };
+
+  const openEditForm = (supplier) => {
+    setEditingSupplier(supplier);
+    setShowForm(true);
+  };
+
+  const closeForm = () => {
+    setShowForm(false);
+    setEditingSupplier(null);
+  };
+
+  const handleSaved = () => {
+    closeForm();
+    loadSuppliers(selectedBusinessId);
+  };
+
+  const handleDeleteSupplier = async (supplier) => {
+    if (!confirm(`Are you sure you want to delete "${supplier.name}"? Past purchase orders keep the supplier's name.`)) return;
+
+    try {
+      await deleteSupplier(supplier.id);
+      toast.success('Supplier deleted');
+      loadSuppliers(selectedBusinessId);
+    } catch (error) {
+      toast.error('Failed to delete supplier');
+    }
+  };
+
+  // Show message if admin has no businesses
+  if (user?.role === 'admin' && businesses.length === 0 && !loading) {
+    return (
+      <div className="p-8">
+        <div className="mb-10">
+          <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Suppliers</h1>
+          <p className="text-gray-500 dark:text-gray-400">Create a business first to manage suppliers</p>
+        </div>
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-8 border border-gray-200 dark:border-gray-700 shadow-lg max-w-md">
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            You need to create a business before you can add suppliers.
+          </p>
+          <Button onClick={() => navigate('/settings')}>
+            Go to Settings to Create Business
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-4 sm:p-6 lg:p-8">
+      <div className="mb-10">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h1 className="text-4xl font-bold text-gray-900 dark:text-white mb-2 tracking-tight">Suppliers</h1>
+            <p className="text-gray-500 dark:text-gray-400">Who you buy stock from</p>
+          </div>
+          {user?.role === 'admin' && businesses.length > 0 && (
+            <select
+              value={selectedBusinessId || ''}
+              onChange={(e) => setSelectedBusinessId(e.target.value)}
+              className="px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {businesses.map((business) => (
+                <option key={business.id} value={business.id}>
+                  {business.name}
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 border border-gray-200 dark:border-gray-700 shadow-lg">
+        <div className="flex justify-between items-center mb-6">
+          <Button variant="secondary" onClick={() => navigate('/purchase-orders')}>
+            Purchase Orders
+          </Button>
+          <Button onClick={openCreateForm} disabled={!selectedBusinessId}>
+            + Add Supplier
+          </Button>
+        </div>
+
+        {loading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600 dark:border-blue-500"></div>
+          </div>
+        ) : suppliers.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-8">No suppliers yet.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full">
+              <thead>
+                <tr className="border-b border-gray-200 dark:border-gray-700">
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Name
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Contact
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Phone
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Email
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    TIN
+                  </th>
+                  <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {suppliers.map((supplier) => (
+                  <tr key={supplier.id} className="border-b border-gray-100 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
+                    <td className="px-4 py-4 text-sm text-gray-900 dark:text-gray-100">
+                      {supplier.name}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {supplier.contactName || '—'}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {supplier.phone || '—'}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-700 dark:text-gray-300">
+                      {supplier.email || '—'}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm font-mono text-gray-700 dark:text-gray-300">
+                      {supplier.tin || '—'}
+                    </td>
+                    <td className="px-4 py-4 whitespace-nowrap text-sm text-right space-x-4">
+                      <button
+                        onClick={() => openEditForm(supplier)}
+                        className="text-blue-600 dark:text-blue-400 hover:text-blue-700 text-sm"
+                      >
+                        Edit
+                      </button>
+                      {canDelete && (
+                        <button
+                          onClick={() => handleDeleteSupplier(supplier)}
+                          className="text-red-600 dark:text-red-400 hover:text-red-700 text-sm"
+                        >
+                          Delete
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <SupplierFormModal
+        isOpen={showForm}
+        businessId={selectedBusinessId}
+        supplier={editingSupplier}
+        onClose={closeForm}
+        onSaved={handleSaved}
+      />
+    </div>
+  );
+};
+
+export default Suppliers;
@@ -13,9 +13,55 @@ import {
   arrayRemove,
   runTransaction,
   Timestamp,
+  serverTimestamp,
 } from 'firebase/firestore';
 import { db } from './firebase';
-import { calculateTax } from '../utils/taxCalculator';
+import {
+  applyCartDiscount,
+  calculateCreditNote,
+  calculateSaleTax,
+  formatCurrency,
+  getRefundedTotal,
+  PRICING_MODES,
+  TAX_CATEGORIES,
+} from '../utils/taxCalculator';
+import {
+  calculateChangeDue,
+  CASH,
+  DEFAULT_VOID_WINDOW_MINUTES,
+  describeTenders,
+  formatInvoiceNumber,
+  getCreditAmount,
+  getSaleTenders,
+  getTenderedTotal,
+  hasRefunds,
+  VOID_STATUSES,
+} from '../utils/saleUtils';
+import { fromMinor, multiplyAmount, subtractAmounts, sumBy, toMinor } from '../utils/money';
+import { calculateVariance, SHIFT_STATUSES, summarizeShift } from '../utils/shiftUtils';
+import { CUSTOMER_ACTIVITY_TYPES, getAccountCredit } from '../utils/creditUtils';
+import {
+  calculatePointsEarned,
+  getLoyaltyReversal,
+  getLoyaltySettings,
+  getMaxRedeemablePoints,
+  getPointsDiscount,
+} from '../utils/loyaltyUtils';
+import { applyDiscounts, isPromotionActive, normalizeDiscount } from '../utils/discountUtils';
+import { formatQuoteNumber, isQuoteExpired, QUOTE_STATUSES } from '../utils/quoteUtils';
+import { normalizeBarcode } from '../utils/barcodeUtils';
+import { getMovementChange, STOCK_MOVEMENT_TYPES } from '../utils/stockUtils';
+import { getWeightedAverageCost } from '../utils/costUtils';
+import {
+  canReceive,
+  formatPurchaseOrderNumber,
+  getExpectedTotal,
+  getOutstandingQuantity,
+  getReceiptStatus,
+  getReceivedTotal,
+  normalizePurchaseOrderLines,
+  PO_STATUSES,
+} from '../utils/purchaseUtils';
 
 /**
  * Get all products for a business
@@ -36,34 +82,611 @@ export const getProducts = async (businessId) => {
   }
 };
 
+/**
+ * Get the product carrying a barcode
+ * @returns {Object|null} Product, or null when no product in the business has the barcode
+ */
+export const getProductByBarcode = async (businessId, barcode) => {
+  const q = query(
+    collection(db, 'products'),
+    where('businessId', '==', businessId),
+    where('barcode', '==', barcode)
+  );
+  const querySnapshot = await getDocs(q);
+  if (querySnapshot.empty) return null;
+  const productDoc = querySnapshot.docs[0];
+  return { id: productDoc.id, ...productDoc.data() };
+};
+
+/**
+ * Reference to the document reserving a barcode within a business
+ * Barcodes may contain '/', which is not allowed in document IDs
+ */
+const getBarcodeRef = (businessId, barcode) =>
+  doc(db, 'productBarcodes', `${businessId}_${encodeURIComponent(barcode)}`);
+
+/**
+ * Check inside a transaction that no other product in the business has the barcode
+ * Returns the reservation document, which the caller writes after all its reads
+ */
+const readBarcodeClaim = async (transaction, businessId, barcode, productId) => {
+  const barcodeRef = getBarcodeRef(businessId, barcode);
+  const barcodeDoc = await transaction.get(barcodeRef);
+  if (barcodeDoc.exists() && barcodeDoc.data().productId !== productId) {
+    throw new Error(`Barcode ${barcode} is already used by ${barcodeDoc.data().productName}`);
+  }
+  return barcodeRef;
+};
+
 /**
  * Add a new product
  */
 export const addProduct = async (businessId, productData) => {
   try {
-    const docRef = await addDoc(collection(db, 'products'), {
-      businessId,
-      name: productData.name,
-      price: productData.price,
-      currentStock: productData.currentStock || 0,
+    const barcode = normalizeBarcode(productData.barcode);
+    const productRef = doc(collection(db, 'products'));
+
+    await runTransaction(db, async (transaction) => {
+      const barcodeRef = barcode
+        ? await readBarcodeClaim(transaction, businessId, barcode, productRef.id)
+        : null;
+
+      const product = {
+        businessId,
+        name: productData.name,
+        price: productData.price,
+        taxCategory: productData.taxCategory || TAX_CATEGORIES.STANDARD,
+        barcode,
+        reorderLevel: productData.reorderLevel ?? null,
+        currentStock: 0,
+        averageCost: null,
+        archived: false,
+        createdAt: Timestamp.now(),
+      };
+      transaction.set(productRef, product);
+
+      // Opening stock goes through the ledger like any other change
+      if (productData.currentStock > 0) {
+        writeStockMovement(transaction, {
+          productRef,
+          product,
+          change: productData.currentStock,
+          type: STOCK_MOVEMENT_TYPES.STOCK_COUNT,
+          reason: 'Opening stock',
+          unitCost: productData.unitCost ?? null,
+          userId: productData.createdByUserId,
+          userName: productData.createdByName,
+        });
+      }
+      if (barcodeRef) {
+        transaction.set(barcodeRef, {
+          businessId,
+          barcode,
+          productId: productRef.id,
+          productName: productData.name,
+        });
+      }
     });
-    return docRef.id;
+    return productRef.id;
   } catch (error) {
     throw error;
   }
 };
 
 /**
- * Update product stock
+ * Update product details (name, price, tax category, barcode, reorder level)
+ * Stock and cost only change through stock movements.
+ * Changing the barcode releases the old one and reserves the new one in the same transaction
  */
-export const updateProductStock = async (productId, newStock) => {
-  try {
+export const updateProduct = async (productId, updates) => {
+  if (!('barcode' in updates)) {
     await updateDoc(doc(db, 'products', productId), {
-      currentStock: newStock,
+      ...updates,
+      updatedAt: Timestamp.now(),
     });
-  } catch (error) {
-    throw error;
+    return;
+  }
+
+  const barcode = normalizeBarcode(updates.barcode);
+  const productRef = doc(db, 'products', productId);
+
+  await runTransaction(db, async (transaction) => {
+    const productDoc = await transaction.get(productRef);
+    if (!productDoc.exists()) {
+      throw new Error('Product not found');
+    }
+    const product = productDoc.data();
+    const barcodeRef = barcode
+      ? await readBarcodeClaim(transaction, product.businessId, barcode, productId)
+      : null;
+
+    if (product.barcode && product.barcode !== barcode) {
+      transaction.delete(getBarcodeRef(product.businessId, product.barcode));
+    }
+    transaction.update(productRef, {
+      ...updates,
+      barcode,
+      updatedAt: Timestamp.now(),
+    });
+    if (barcodeRef) {
+      transaction.set(barcodeRef, {
+        businessId: product.businessId,
+        barcode,
+        productId,
+        productName: updates.name || product.name,
+      });
+    }
+  });
+};
+
+/**
+ * Archive or restore a product
+ * Archived products stay in Firestore so past sales still resolve
+ */
+export const setProductArchived = async (productId, archived) => {
+  await updateDoc(doc(db, 'products', productId), {
+    archived,
+    updatedAt: Timestamp.now(),
+  });
+};
+
+/**
+ * Delete a product (business owner only, enforced by security rules)
+ */
+export const deleteProduct = async (productId) => {
+  const productRef = doc(db, 'products', productId);
+  await runTransaction(db, async (transaction) => {
+    const productDoc = await transaction.get(productRef);
+    if (!productDoc.exists()) return;
+    const product = productDoc.data();
+    if (product.barcode) {
+      transaction.delete(getBarcodeRef(product.businessId, product.barcode));
+    }
+    transaction.delete(productRef);
+  });
+};
+
+/**
+ * Get a single product
+ */
+export const getProduct = async (productId) => {
+  const productDoc = await getDoc(doc(db, 'products', productId));
+  if (productDoc.exists()) {
+    return { id: productDoc.id, ...productDoc.data() };
+  }
+  return null;
+};
+
+/**
+ * Set the unit cost of a product that has none yet
+ * Recorded as a zero-quantity adjustment so the cost, like stock, only changes through the ledger.
+ */
+export const setProductCost = async (productId, { unitCost, userId, userName }) => {
+  return await runTransaction(db, async (transaction) => {
+    const productRef = doc(db, 'products', productId);
+    const productDoc = await transaction.get(productRef);
+    if (!productDoc.exists()) {
+      throw new Error('Product not found');
+    }
+
+    const product = productDoc.data();
+    if (product.averageCost != null) {
+      throw new Error(`${product.name} already has a cost. It changes with goods receipts.`);
+    }
+
+    return writeStockMovement(transaction, {
+      productRef,
+      product,
+      change: 0,
+      type: STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+      reason: 'Unit cost set',
+      unitCost,
+      userId,
+      userName,
+    });
+  });
+};
+
+/**
+ * Record a purchase receipt, adjustment or stock count for a product
+ * For a stock count, quantity is the quantity counted; otherwise it is the quantity moved
+ * (negative for an adjustment that takes stock out). A purchase receipt can carry the
+ * unit cost paid, which updates the product's average cost.
+ */
+export const recordStockMovement = async (
+  productId,
+  { type, quantity, reason, referenceId, referenceNumber, unitCost, userId, userName }
+) => {
+  return await runTransaction(db, async (transaction) => {
+    const productRef = doc(db, 'products', productId);
+    const productDoc = await transaction.get(productRef);
+    if (!productDoc.exists()) {
+      throw new Error('Product not found');
+    }
+
+    const product = productDoc.data();
+    const change = getMovementChange(product.currentStock || 0, { type, quantity, reason });
+    const movementId = writeStockMovement(transaction, {
+      productRef,
+      product,
+      change,
+      type,
+      reason,
+      referenceId,
+      referenceNumber,
+      unitCost: type === STOCK_MOVEMENT_TYPES.PURCHASE_RECEIPT ? unitCost : null,
+      userId,
+      userName,
+    });
+    return { movementId, stockAfter: (product.currentStock || 0) + change };
+  });
+};
+
+/**
+ * Move stock from a product in one business to a product in another business of the same owner
+ * Both sides are recorded as transfer movements sharing a transfer ID; the stock arrives at
+ * the sending product's average cost.
+ */
+export const transferStock = async ({ fromProductId, toProductId, quantity, reason, userId, userName }) => {
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new Error('The quantity to transfer must be more than 0');
   }
+
+  return await runTransaction(db, async (transaction) => {
+    const fromRef = doc(db, 'products', fromProductId);
+    const toRef = doc(db, 'products', toProductId);
+    const fromDoc = await transaction.get(fromRef);
+    const toDoc = await transaction.get(toRef);
+    if (!fromDoc.exists() || !toDoc.exists()) {
+      throw new Error('Product not found');
+    }
+
+    const from = fromDoc.data();
+    const to = toDoc.data();
+    if (from.businessId === to.businessId) {
+      throw new Error('Stock can only be transferred to another business');
+    }
+    if ((from.currentStock || 0) < quantity) {
+      throw new Error(`Only ${from.currentStock || 0} of ${from.name} in stock`);
+    }
+
+    const fromBusinessDoc = await transaction.get(doc(db, 'businesses', from.businessId));
+    const toBusinessDoc = await transaction.get(doc(db, 'businesses', to.businessId));
+
+    const transferId = doc(collection(db, 'stockMovements')).id;
+    writeStockMovement(transaction, {
+      productRef: fromRef,
+      product: from,
+      change: -quantity,
+      type: STOCK_MOVEMENT_TYPES.TRANSFER,
+      reason,
+      referenceId: transferId,
+      referenceNumber: `To ${toBusinessDoc.data()?.name || 'another business'}`,
+      userId,
+      userName,
+    });
+    writeStockMovement(transaction, {
+      productRef: toRef,
+      product: to,
+      change: quantity,
+      type: STOCK_MOVEMENT_TYPES.TRANSFER,
+      reason,
+      referenceId: transferId,
+      referenceNumber: `From ${fromBusinessDoc.data()?.name || 'another business'}`,
+      unitCost: from.averageCost ?? null,
+      userId,
+      userName,
+    });
+    return { transferId };
+  });
+};
+
+/**
+ * Get the stock movements of a product, newest first
+ */
+export const getStockMovements = async (businessId, productId) => {
+  const q = query(
+    collection(db, 'stockMovements'),
+    where('businessId', '==', businessId),
+    where('productId', '==', productId),
+    orderBy('createdAt', 'desc')
+  );
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    createdAt: doc.data().createdAt.toDate(),
+  }));
+};
+
+/**
+ * Get every stock movement of a business up to a date, oldest first
+ * Used to value stock at cost as of that date.
+ */
+export const getStockMovementsUntil = async (businessId, endDate) => {
+  const q = query(
+    collection(db, 'stockMovements'),
+    where('businessId', '==', businessId),
+    where('createdAt', '<=', Timestamp.fromDate(endDate)),
+    orderBy('createdAt', 'asc')
+  );
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    createdAt: doc.data().createdAt.toDate(),
+  }));
+};
+
+/**
+ * Get every stock movement of a business after a date, oldest first
+ * Used to work back from current stock to the stock held on that date.
+ */
+export const getStockMovementsAfter = async (businessId, startDate) => {
+  const q = query(
+    collection(db, 'stockMovements'),
+    where('businessId', '==', businessId),
+    where('createdAt', '>', Timestamp.fromDate(startDate)),
+    orderBy('createdAt', 'asc')
+  );
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    createdAt: doc.data().createdAt.toDate(),
+  }));
+};
+
+/**
+ * Get all customers for a business
+ */
+export const getCustomers = async (businessId) => {
+  const q = query(
+    collection(db, 'customers'),
+    where('businessId', '==', businessId)
+  );
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+};
+
+/**
+ * Add a new customer
+ */
+export const addCustomer = async (businessId, customerData) => {
+  const docRef = await addDoc(collection(db, 'customers'), {
+    businessId,
+    name: customerData.name,
+    phone: customerData.phone || null,
+    email: customerData.email || null,
+    tin: customerData.tin || null,
+    balance: 0,
+    loyaltyPoints: 0,
+    createdAt: Timestamp.now(),
+  });
+  return docRef.id;
+};
+
+/**
+ * Update customer details (name, phone, email, TIN)
+ */
+export const updateCustomer = async (customerId, updates) => {
+  await updateDoc(doc(db, 'customers', customerId), {
+    ...updates,
+    updatedAt: Timestamp.now(),
+  });
+};
+
+/**
+ * Delete a customer (business owner only, enforced by security rules)
+ * Past sales keep their own copy of the customer's name and TIN
+ */
+export const deleteCustomer = async (customerId) => {
+  await deleteDoc(doc(db, 'customers', customerId));
+};
+
+/**
+ * Record a payment received against a customer's receivable balance
+ * The payment and the new balance are written in one transaction.
+ * @param {Object} paymentData - businessId, customerId, amount, method, note,
+ *   recordedByUserId, recordedByName, and shiftId when cash goes into a drawer
+ */
+export const recordCustomerPayment = async (paymentData) => {
+  return await runTransaction(db, async (transaction) => {
+    const customerRef = doc(db, 'customers', paymentData.customerId);
+    const customerDoc = await transaction.get(customerRef);
+    if (!customerDoc.exists()) {
+      throw new Error('Customer not found');
+    }
+
+    const customer = customerDoc.data();
+    if (customer.businessId !== paymentData.businessId) {
+      throw new Error('Customer does not belong to this business');
+    }
+
+    const amount = toMinor(paymentData.amount);
+    const balance = toMinor(customer.balance);
+    if (amount <= 0) {
+      throw new Error('Payment must be more than zero');
+    }
+    if (amount > balance) {
+      throw new Error(`Payment is more than the balance owed (${formatCurrency(fromMinor(balance))})`);
+    }
+
+    // Cash goes into the cashier's drawer, which must still be open
+    if (paymentData.shiftId) {
+      const shiftDoc = await transaction.get(doc(db, 'shifts', paymentData.shiftId));
+      if (!shiftDoc.exists() || shiftDoc.data().status !== SHIFT_STATUSES.OPEN) {
+        throw new Error('Your shift has been closed. Open a new shift to take cash payments.');
+      }
+    }
+
+    const paymentRef = doc(collection(db, 'customerPayments'));
+    transaction.update(customerRef, {
+      balance: fromMinor(balance - amount),
+      ...getCustomerActivity(CUSTOMER_ACTIVITY_TYPES.PAYMENT, paymentRef.id),
+    });
+
+    transaction.set(paymentRef, {
+      businessId: paymentData.businessId,
+      customerId: paymentData.customerId,
+      customerName: customer.name,
+      amount: fromMinor(amount),
+      method: paymentData.method,
+      note: paymentData.note || '',
+      shiftId: paymentData.shiftId || null,
+      recordedByUserId: paymentData.recordedByUserId,
+      recordedByName: paymentData.recordedByName || null,
+      createdAt: Timestamp.now(),
+    });
+
+    return { success: true, paymentId: paymentRef.id, balance: fromMinor(balance - amount) };
+  });
+};
+
+/**
+ * Get credit sales, payments and account credit notes for the receivables ledger
+ * Pass a customerId for one customer's statement, or leave it out for the whole business.
+ */
+export const getAccountActivity = async (businessId, customerId = null) => {
+  const toRecords = (querySnapshot) =>
+    querySnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt.toDate(),
+    }));
+  const customerFilter = customerId ? [where('customerId', '==', customerId)] : [];
+
+  const [salesSnapshot, paymentsSnapshot, creditNotesSnapshot] = await Promise.all([
+    getDocs(
+      query(
+        collection(db, 'sales'),
+        where('businessId', '==', businessId),
+        ...customerFilter,
+        where('creditAmount', '>', 0)
+      )
+    ),
+    getDocs(
+      query(
+        collection(db, 'customerPayments'),
+        where('businessId', '==', businessId),
+        ...customerFilter
+      )
+    ),
+    getDocs(
+      query(
+        collection(db, 'creditNotes'),
+        where('businessId', '==', businessId),
+        ...customerFilter,
+        where('accountCredit', '>', 0)
+      )
+    ),
+  ]);
+
+  return {
+    sales: toRecords(salesSnapshot),
+    payments: toRecords(paymentsSnapshot),
+    creditNotes: toRecords(creditNotesSnapshot),
+  };
+};
+
+/**
+ * Get all suppliers for a business
+ */
+export const getSuppliers = async (businessId) => {
+  const q = query(
+    collection(db, 'suppliers'),
+    where('businessId', '==', businessId)
+  );
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+};
+
+/**
+ * Add a new supplier
+ */
+export const addSupplier = async (businessId, supplierData) => {
+  const docRef = await addDoc(collection(db, 'suppliers'), {
+    businessId,
+    name: supplierData.name,
+    contactName: supplierData.contactName || null,
+    phone: supplierData.phone || null,
+    email: supplierData.email || null,
+    tin: supplierData.tin || null,
+    createdAt: Timestamp.now(),
+  });
+  return docRef.id;
+};
+
+/**
+ * Update supplier details (name, contact, phone, email, TIN)
+ */
+export const updateSupplier = async (supplierId, updates) => {
+  await updateDoc(doc(db, 'suppliers', supplierId), {
+    ...updates,
+    updatedAt: Timestamp.now(),
+  });
+};
+
+/**
+ * Delete a supplier (business owner only, enforced by security rules)
+ * Purchase orders keep their own copy of the supplier's name
+ */
+export const deleteSupplier = async (supplierId) => {
+  await deleteDoc(doc(db, 'suppliers', supplierId));
+};
+
+/**
+ * Get all promotions for a business
+ */
+export const getPromotions = async (businessId) => {
+  const q = query(
+    collection(db, 'promotions'),
+    where('businessId', '==', businessId)
+  );
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+  }));
+};
+
+/**
+ * Add a new promotion (business owner only, enforced by security rules)
+ * @param {string} businessId - Business ID
+ * @param {Object} promotionData - name, type, productId, productName, buyQuantity and
+ *   freeQuantity or percentOff, startDate, endDate (YYYY-MM-DD or null), active
+ */
+export const addPromotion = async (businessId, promotionData) => {
+  const docRef = await addDoc(collection(db, 'promotions'), {
+    businessId,
+    ...promotionData,
+    createdAt: Timestamp.now(),
+  });
+  return docRef.id;
+};
+
+/**
+ * Update a promotion
+ */
+export const updatePromotion = async (promotionId, updates) => {
+  await updateDoc(doc(db, 'promotions', promotionId), {
+    ...updates,
+    updatedAt: Timestamp.now(),
+  });
+};
+
+/**
+ * Delete a promotion
+ * Past sales keep the promotion name and the discount it gave
+ */
+export const deletePromotion = async (promotionId) => {
+  await deleteDoc(doc(db, 'promotions', promotionId));
 };
 
 /**
@@ -75,9 +698,12 @@ export const createBusiness = async (businessData) => {
       name: businessData.name,
       ownerId: businessData.ownerId,
       rraVatRate: businessData.rraVatRate || 0.18,
+      pricingMode: businessData.pricingMode || PRICING_MODES.EXCLUSIVE,
+      tin: businessData.tin || null, // RRA Taxpayer Identification Number, printed on receipts
       salesRepIds: [], // Initialize empty array for sales reps
       emailEnabled: false, // Email notifications disabled by default
       emailAddress: null, // Email address for reports
+      voidWindowMinutes: DEFAULT_VOID_WINDOW_MINUTES,
     });
     return docRef.id;
   } catch (error) {
@@ -104,90 +730,1404 @@ export const getBusiness = async (businessId) => {
 };
 
 /**
- * Add a new sale
+ * Manually entered items (not picked from the catalog) have no product document
  */
-export const addSale = async (saleData) => {
-  try {
-    // Get business data to fetch VAT rate
-    const business = await getBusiness(saleData.businessId);
-    if (!business) {
-      throw new Error('Business not found');
-    }
+const isCatalogItem = (item) =>
+  Boolean(item.productId) && !item.productId.startsWith('manual-');
 
-    const vatRate = business.rraVatRate || 0.18; // Default 18% for Rwanda
+/**
+ * Record a stock movement and move the product's currentStock by the same amount
+ * Stock coming in with a unitCost updates the product's weighted-average cost; the movement
+ * keeps the average cost after it, so stock can be valued at cost as of any date. A product
+ * without a cost takes the unitCost of a zero-quantity movement.
+ * The product points at the movement in lastMovementId, which security rules require
+ * whenever its stock or cost changes.
+ * Must run after all reads in the transaction, with the product data read in it.
+ */
+const writeStockMovement = (
+  transaction,
+  {
+    productRef,
+    product,
+    change,
+    type,
+    reason,
+    referenceId,
+    referenceNumber,
+    unitCost,
+    userId,
+    userName,
+  }
+) => {
+  const stockBefore = product.currentStock || 0;
+  const stockAfter = stockBefore + change;
+  const averageCost =
+    unitCost != null && (change > 0 || (change === 0 && product.averageCost == null))
+      ? getWeightedAverageCost(stockBefore, product.averageCost ?? null, change, unitCost)
+      : product.averageCost ?? null;
 
-    // Calculate totals
-    const subtotal = saleData.items.reduce(
-      (sum, item) => sum + item.pricePerItem * item.quantity,
-      0
-    );
-    const { vatAmount, total } = calculateTax(subtotal, vatRate);
+  const movementRef = doc(collection(db, 'stockMovements'));
+  transaction.update(productRef, {
+    currentStock: stockAfter,
+    averageCost,
+    lastMovementId: movementRef.id,
+  });
+  transaction.set(movementRef, {
+    businessId: product.businessId,
+    productId: productRef.id,
+    productName: product.name,
+    type,
+    quantity: change,
+    stockBefore,
+    stockAfter,
+    reason: reason || '',
+    referenceId: referenceId || null,
+    referenceNumber: referenceNumber || null,
+    unitCost: unitCost ?? null,
+    averageCost,
+    createdByUserId: userId,
+    createdByName: userName || null,
+    // Server time, so security rules can tell the movement was written with the stock change
+    createdAt: serverTimestamp(),
+  });
+  return movementRef.id;
+};
 
-    // Create sale document
-    await addDoc(collection(db, 'sales'), {
-      businessId: saleData.businessId,
-      recordedByUserId: saleData.recordedByUserId,
-      createdAt: Timestamp.now(),
-      items: saleData.items,
-      paymentMethod: saleData.paymentMethod,
-      subtotal,
-      vatAmount,
-      total,
-    });
+/**
+ * Read the products that items are returned to
+ * Must run before any writes in the transaction; deleted products are skipped.
+ */
+const getRestockUpdates = async (transaction, items) => {
+  const quantitiesByProduct = {};
+  items.filter(isCatalogItem).forEach((item) => {
+    quantitiesByProduct[item.productId] =
+      (quantitiesByProduct[item.productId] || 0) + item.quantity;
+  });
 
-    return { success: true };
-  } catch (error) {
-    throw error;
+  const restockUpdates = [];
+  for (const [productId, quantity] of Object.entries(quantitiesByProduct)) {
+    const productRef = doc(db, 'products', productId);
+    const productDoc = await transaction.get(productRef);
+    if (productDoc.exists()) {
+      restockUpdates.push({ productRef, product: productDoc.data(), quantity });
+    }
   }
+  return restockUpdates;
 };
 
 /**
- * Get sales by date range
+ * Customer fields naming the sale, void, payment or credit note that changed the account
+ * Security rules only accept a balance change together with that record, written in the
+ * same transaction.
  */
-export const getSalesByDate = async (businessId, startDate, endDate) => {
-  try {
-    const startTimestamp = Timestamp.fromDate(startDate);
-    const endTimestamp = Timestamp.fromDate(endDate);
+const getCustomerActivity = (type, id) => ({
+  lastActivityType: type,
+  lastActivityId: id,
+});
 
-    const q = query(
-      collection(db, 'sales'),
-      where('businessId', '==', businessId),
-      where('createdAt', '>=', startTimestamp),
-      where('createdAt', '<=', endTimestamp),
-      orderBy('createdAt', 'desc')
+/**
+ * Read a customer and compute what a refund or void gives back to them
+ * Reduces the receivable balance by the account credit, takes back earned loyalty points and
+ * returns redeemed ones; activity ({type, id}) names the credit note or voided sale. Must run
+ * before any writes in the transaction; returns null when there is nothing to change or the
+ * customer was deleted.
+ */
+const getCustomerReversal = async (
+  transaction,
+  customerId,
+  { accountCredit = 0, pointsReversed = 0, pointsRestored = 0 },
+  activity
+) => {
+  if (!customerId || (accountCredit === 0 && pointsReversed === 0 && pointsRestored === 0)) {
+    return null;
+  }
+  const customerRef = doc(db, 'customers', customerId);
+  const customerDoc = await transaction.get(customerRef);
+  if (!customerDoc.exists()) return null;
+
+  const customer = customerDoc.data();
+  const updates = getCustomerActivity(activity.type, activity.id);
+  if (accountCredit !== 0) {
+    updates.balance = fromMinor(toMinor(customer.balance) - toMinor(accountCredit));
+  }
+  if (pointsReversed !== 0 || pointsRestored !== 0) {
+    // Points already spent cannot be taken back, so the total never goes below zero
+    updates.loyaltyPoints = Math.max(
+      0,
+      (customer.loyaltyPoints || 0) - pointsReversed + pointsRestored
     );
+  }
+  return { customerRef, updates };
+};
 
-    const querySnapshot = await getDocs(q);
-    return querySnapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt.toDate(),
-    }));
-  } catch (error) {
-    throw error;
+/**
+ * Check a sale's payment tenders against the total calculated in the transaction
+ * Offline sales were already paid at the counter, so a total that changed before sync
+ * (e.g. a product's VAT category was edited) is booked on the last tender instead.
+ */
+const resolveTenders = (saleData, total) => {
+  const tenders = getSaleTenders({ ...saleData, total }).map((tender) => ({
+    method: tender.method,
+    amount: fromMinor(toMinor(tender.amount)),
+  }));
+  // A zero-total sale (fully discounted or paid with points) takes no payment. An offline sale
+  // whose total dropped to zero before it synced has its tenders dropped rather than zeroed.
+  if (total === 0 && (saleData.offlineId || getTenderedTotal(tenders) === 0)) {
+    return { tenders: [], cashReceived: null, changeDue: 0 };
+  }
+
+  const difference = subtractAmounts(total, getTenderedTotal(tenders));
+  if (difference !== 0) {
+    if (!saleData.offlineId) {
+      throw new Error(
+        `Payments (${formatCurrency(getTenderedTotal(tenders))}) do not add up to the sale total (${formatCurrency(total)})`
+      );
+    }
+    const last = tenders[tenders.length - 1];
+    last.amount = fromMinor(toMinor(last.amount) + toMinor(difference));
+  }
+
+  if (tenders.some((tender) => tender.amount <= 0)) {
+    throw new Error('Every payment must be more than zero');
+  }
+
+  const hasCash = tenders.some((tender) => tender.method === CASH);
+  const cashReceived = hasCash && saleData.cashReceived != null ? saleData.cashReceived : null;
+  const changeDue = cashReceived !== null ? calculateChangeDue(tenders, cashReceived) : 0;
+  if (changeDue < 0) {
+    throw new Error('Cash received is less than the cash payment');
   }
+
+  return { tenders, cashReceived, changeDue };
 };
 
 /**
- * Get all sales for a business
+ * Read the promotions the lines of a cart refer to, inside a transaction
+ * Promotions are re-read so a line only gets one that still runs on the sale date.
+ * @param {Object} cartData - businessId, items (with promotionId) and offlineId for offline sales
+ * @param {Date} date - Date the cart was rung up
+ * @returns {Promise<Array<Object>>} Promotions to pass to applyDiscounts
  */
-export const getAllSales = async (businessId) => {
+const readCartPromotions = async (transaction, cartData, date) => {
+  const promotionIds = [
+    ...new Set(cartData.items.map((item) => item.promotionId).filter(Boolean)),
+  ];
+  const promotions = [];
+  for (const promotionId of promotionIds) {
+    const promotionDoc = await transaction.get(doc(db, 'promotions', promotionId));
+    const promotion = promotionDoc.exists()
+      ? { id: promotionDoc.id, ...promotionDoc.data() }
+      : null;
+    const applies =
+      promotion &&
+      promotion.businessId === cartData.businessId &&
+      isPromotionActive(promotion, date);
+    // Offline sales already gave the discount at the counter, so they are not checked again
+    if (!applies && !cartData.offlineId) {
+      const item = cartData.items.find((line) => line.promotionId === promotionId);
+      throw new Error(`The promotion on ${item.productName} is no longer running`);
+    }
+    if (promotion) {
+      // An offline sale keeps a promotion that ended before it synced
+      promotions.push(
+        applies ? promotion : { ...promotion, active: true, startDate: null, endDate: null }
+      );
+    }
+  }
+  return promotions;
+};
+
+/**
+ * Add a new sale
+ * Stock for catalog items is decremented in the same transaction as the sale write.
+ * Pass allowNegativeStock for sales that already happened (e.g. offline sync).
+ * The next invoice number is taken from the business's counter in the same transaction,
+ * so numbers are gap-free even when offline sales are synced concurrently.
+ * Pass saleData.quoteId to convert an open quote; it is marked converted in the same transaction.
+ */
+export const addSale = async (saleData, { allowNegativeStock = false } = {}) => {
   try {
-    const q = query(
-      collection(db, 'sales'),
-      where('businessId', '==', businessId),
-      orderBy('createdAt', 'desc')
-    );
+    return await runTransaction(db, async (transaction) => {
+      // Offline sales reuse their local ID, so a retried sync cannot create a duplicate
+      const saleRef = saleData.offlineId
+        ? doc(db, 'sales', saleData.offlineId)
+        : doc(collection(db, 'sales'));
+      if (saleData.offlineId) {
+        const existingSale = await transaction.get(saleRef);
+        if (existingSale.exists()) {
+          return {
+            success: true,
+            saleId: saleRef.id,
+            invoiceNumber: existingSale.data().invoiceNumber,
+          };
+        }
+      }
 
-    const querySnapshot = await getDocs(q);
-    return querySnapshot.docs.map((doc) => ({
-      id: doc.id,
-      ...doc.data(),
-      createdAt: doc.data().createdAt.toDate(),
-    }));
-  } catch (error) {
-    throw error;
-  }
+      // Get business data to fetch VAT rate
+      const businessRef = doc(db, 'businesses', saleData.businessId);
+      const businessDoc = await transaction.get(businessRef);
+      if (!businessDoc.exists()) {
+        throw new Error('Business not found');
+      }
+
+      const business = businessDoc.data();
+      const vatRate = business.rraVatRate || 0.18; // Default 18% for Rwanda
+      const pricingMode = business.pricingMode || PRICING_MODES.EXCLUSIVE;
+
+      // Sales can only be added to an open shift. An offline sale whose shift was closed before
+      // it synced is still recorded, but outside any drawer: the closed shift's Z report is final.
+      let shiftId = saleData.shiftId || null;
+      let closedShiftId = null;
+      if (shiftId) {
+        const shiftDoc = await transaction.get(doc(db, 'shifts', shiftId));
+        if (!shiftDoc.exists() || shiftDoc.data().status !== SHIFT_STATUSES.OPEN) {
+          if (!saleData.offlineId) {
+            throw new Error('Your shift has been closed. Open a new shift to continue selling.');
+          }
+          closedShiftId = shiftId;
+          shiftId = null;
+        }
+      }
+
+      // The customer's current name and TIN are copied onto the invoice
+      let customer = null;
+      const customerRef = saleData.customerId ? doc(db, 'customers', saleData.customerId) : null;
+      if (customerRef) {
+        const customerDoc = await transaction.get(customerRef);
+        if (customerDoc.exists()) {
+          customer = customerDoc.data();
+        } else if (!saleData.offlineId) {
+          throw new Error('Customer not found');
+        }
+      }
+
+      // A sale converted from a quote closes the quote in the same transaction
+      const quoteRef = saleData.quoteId ? doc(db, 'quotes', saleData.quoteId) : null;
+      if (quoteRef) {
+        const quoteDoc = await transaction.get(quoteRef);
+        if (!quoteDoc.exists() || quoteDoc.data().businessId !== saleData.businessId) {
+          throw new Error('Quote not found');
+        }
+        const quote = quoteDoc.data();
+        if (quote.status !== QUOTE_STATUSES.OPEN) {
+          throw new Error(`Quote ${quote.quoteNumber} has already been converted`);
+        }
+        if (isQuoteExpired(quote)) {
+          throw new Error(`Quote ${quote.quoteNumber} expired on ${quote.validUntil}`);
+        }
+      }
+
+      // Invoice numbers are sequential per business and restart at 1 every calendar year
+      const counterRef = doc(db, 'invoiceCounters', saleData.businessId);
+      const counterDoc = await transaction.get(counterRef);
+      const invoiceYear = new Date().getFullYear();
+      const counter = counterDoc.exists() ? counterDoc.data() : null;
+      const invoiceSequence =
+        counter && counter.year === invoiceYear ? counter.lastNumber + 1 : 1;
+      const invoiceNumber = formatInvoiceNumber(invoiceYear, invoiceSequence);
+
+      // Total quantity per product, in case the same product appears on several lines
+      const quantitiesByProduct = {};
+      saleData.items.filter(isCatalogItem).forEach((item) => {
+        quantitiesByProduct[item.productId] =
+          (quantitiesByProduct[item.productId] || 0) + item.quantity;
+      });
+
+      // All reads must happen before any writes in a transaction
+      const stockUpdates = [];
+      const taxCategoriesByProduct = {};
+      const costsByProduct = {};
+      for (const [productId, quantity] of Object.entries(quantitiesByProduct)) {
+        const productRef = doc(db, 'products', productId);
+        const productDoc = await transaction.get(productRef);
+        if (!productDoc.exists()) {
+          throw new Error('Product not found');
+        }
+
+        const product = productDoc.data();
+        taxCategoriesByProduct[productId] = product.taxCategory;
+        costsByProduct[productId] = product.averageCost ?? null;
+        if ((product.currentStock || 0) - quantity < 0 && !allowNegativeStock) {
+          throw new Error(
+            `Insufficient stock for ${product.name} (${product.currentStock || 0} available)`
+          );
+        }
+        stockUpdates.push({ productRef, product, quantity });
+      }
+
+      const saleDate = saleData.recordedOfflineAt ? new Date(saleData.recordedOfflineAt) : new Date();
+      const promotions = await readCartPromotions(transaction, saleData, saleDate);
+
+      // The product's tax category is authoritative for catalog items
+      const categorizedItems = saleData.items.map((item) => ({
+        ...item,
+        taxCategory:
+          taxCategoriesByProduct[item.productId] ||
+          item.taxCategory ||
+          TAX_CATEGORIES.STANDARD,
+        lineDiscount: normalizeDiscount(item.lineDiscount),
+        grossAmount: fromMinor(multiplyAmount(item.pricePerItem, item.quantity)),
+      }));
+
+      // Promotions, line and cart discounts come off the prices before VAT
+      const cartDiscount = normalizeDiscount(saleData.cartDiscount);
+      const { items: promotedItems, cartDiscountAmount } = applyDiscounts(categorizedItems, {
+        promotions,
+        cartDiscount,
+        date: saleDate,
+      });
+
+      // Redeemed loyalty points come off what is left, spread over the lines
+      const loyalty = getLoyaltySettings(business);
+      const loyaltyPointsRedeemed = parseInt(saleData.loyaltyPointsRedeemed) || 0;
+      if (loyaltyPointsRedeemed < 0) {
+        throw new Error('Invalid number of loyalty points');
+      }
+      // Offline sales already gave the discount at the counter, so they are not checked again
+      if (loyaltyPointsRedeemed > 0 && !saleData.offlineId) {
+        if (!loyalty.enabled || !customer) {
+          throw new Error('Loyalty points can only be redeemed by a customer of a loyalty program');
+        }
+        const cartAmount = fromMinor(
+          promotedItems.reduce(
+            (sum, item) => sum + toMinor(item.grossAmount) - toMinor(item.discount),
+            0
+          )
+        );
+        const availablePoints = customer.loyaltyPoints || 0;
+        if (loyaltyPointsRedeemed > getMaxRedeemablePoints(availablePoints, cartAmount, loyalty)) {
+          throw new Error(
+            `Cannot redeem ${loyaltyPointsRedeemed} points (${availablePoints} available)`
+          );
+        }
+      }
+      const loyaltyDiscount = getPointsDiscount(loyaltyPointsRedeemed, loyalty);
+      const discountedItems = applyCartDiscount(promotedItems, loyaltyDiscount);
+
+      // Calculate totals line by line; each line keeps its own rounded amounts
+      const { subtotal, vatAmount, total, lines, vatBreakdown } = calculateSaleTax(
+        discountedItems,
+        vatRate,
+        pricingMode
+      );
+      // The same totals without any discount, kept for reporting what was given away
+      const beforeDiscount = calculateSaleTax(
+        categorizedItems.map((item) => ({ ...item, discount: 0 })),
+        vatRate,
+        pricingMode
+      );
+      // Cost of goods sold is snapshotted at the product's average cost at the time of sale;
+      // manual items and products without a cost yet have none
+      const items = discountedItems.map((item, index) => {
+        const unitCost = costsByProduct[item.productId] ?? null;
+        return {
+          ...item,
+          ...lines[index],
+          unitCost,
+          costOfGoods: unitCost === null ? null : fromMinor(multiplyAmount(unitCost, item.quantity)),
+        };
+      });
+      const { tenders, cashReceived, changeDue } = resolveTenders(saleData, total);
+
+      // Anything on credit is added to the customer's receivable balance
+      const creditAmount = getCreditAmount({ tenders });
+      if (creditAmount > 0 && !saleData.customerId) {
+        throw new Error('Select a customer to sell on credit');
+      }
+
+      stockUpdates.forEach(({ productRef, product, quantity }) => {
+        writeStockMovement(transaction, {
+          productRef,
+          product,
+          change: -quantity,
+          type: STOCK_MOVEMENT_TYPES.SALE,
+          referenceId: saleRef.id,
+          referenceNumber: invoiceNumber,
+          userId: saleData.recordedByUserId,
+          userName: saleData.recordedByName,
+        });
+      });
+
+      // Points are earned on what the customer actually pays, after the points discount
+      const loyaltyPointsEarned = customer ? calculatePointsEarned(total, loyalty) : 0;
+      const loyaltyPointsBalance = customer
+        ? Math.max(0, (customer.loyaltyPoints || 0) - loyaltyPointsRedeemed) + loyaltyPointsEarned
+        : null;
+
+      if (customer) {
+        const customerUpdates = {};
+        if (creditAmount > 0) {
+          customerUpdates.balance = fromMinor(toMinor(customer.balance) + toMinor(creditAmount));
+        }
+        if (loyaltyPointsRedeemed > 0 || loyaltyPointsEarned > 0) {
+          customerUpdates.loyaltyPoints = loyaltyPointsBalance;
+        }
+        if (Object.keys(customerUpdates).length > 0) {
+          transaction.update(customerRef, {
+            ...customerUpdates,
+            ...getCustomerActivity(CUSTOMER_ACTIVITY_TYPES.SALE, saleRef.id),
+          });
+        }
+      }
+
+      transaction.set(counterRef, {
+        businessId: saleData.businessId,
+        year: invoiceYear,
+        lastNumber: invoiceSequence,
+      });
+
+      if (quoteRef) {
+        transaction.update(quoteRef, {
+          status: QUOTE_STATUSES.CONVERTED,
+          saleId: saleRef.id,
+          invoiceNumber,
+          convertedAt: Timestamp.now(),
+        });
+      }
+
+      // Create sale document
+      transaction.set(saleRef, {
+        businessId: saleData.businessId,
+        recordedByUserId: saleData.recordedByUserId,
+        recordedByName: saleData.recordedByName || null,
+        shiftId,
+        closedShiftId,
+        quoteId: saleData.quoteId || null,
+        customerId: saleData.customerId || null,
+        customerName: customer ? customer.name : saleData.customerName || null,
+        customerTin: customer ? customer.tin || null : saleData.customerTin || null,
+        createdAt: Timestamp.now(),
+        invoiceNumber,
+        invoiceSequence,
+        recordedOfflineAt: saleData.recordedOfflineAt
+          ? Timestamp.fromDate(new Date(saleData.recordedOfflineAt))
+          : null,
+        items,
+        paymentMethod: describeTenders(tenders),
+        tenders,
+        cashReceived,
+        changeDue,
+        creditAmount,
+        loyaltyPointsRedeemed,
+        loyaltyDiscount,
+        loyaltyPointsEarned,
+        loyaltyPointsBalance,
+        cartDiscount: cartDiscount ? { ...cartDiscount, amount: cartDiscountAmount } : null,
+        discountTotal: sumBy(discountedItems, (item) => item.discount),
+        subtotalBeforeDiscount: beforeDiscount.subtotal,
+        vatAmountBeforeDiscount: beforeDiscount.vatAmount,
+        totalBeforeDiscount: beforeDiscount.total,
+        pricingMode,
+        vatRate,
+        subtotal,
+        vatAmount,
+        total,
+        vatBreakdown,
+      });
+
+      return { success: true, saleId: saleRef.id, invoiceNumber };
+    });
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get sales by date range
+ */
+export const getSalesByDate = async (businessId, startDate, endDate) => {
+  try {
+    const startTimestamp = Timestamp.fromDate(startDate);
+    const endTimestamp = Timestamp.fromDate(endDate);
+
+    const q = query(
+      collection(db, 'sales'),
+      where('businessId', '==', businessId),
+      where('createdAt', '>=', startTimestamp),
+      where('createdAt', '<=', endTimestamp),
+      orderBy('createdAt', 'desc')
+    );
+
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt.toDate(),
+    }));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get all sales for a business
+ */
+export const getAllSales = async (businessId) => {
+  try {
+    const q = query(
+      collection(db, 'sales'),
+      where('businessId', '==', businessId),
+      orderBy('createdAt', 'desc')
+    );
+
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt.toDate(),
+    }));
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get a single sale
+ */
+export const getSale = async (saleId) => {
+  const saleDoc = await getDoc(doc(db, 'sales', saleId));
+  if (saleDoc.exists()) {
+    return {
+      id: saleDoc.id,
+      ...saleDoc.data(),
+      createdAt: saleDoc.data().createdAt.toDate(),
+    };
+  }
+  return null;
+};
+
+/**
+ * Create a quote (proforma invoice)
+ * Lines, discounts and VAT are worked out exactly as for a sale, but stock is untouched
+ * until the quote is converted through addSale. Quote numbers come from their own
+ * counter so they never use up invoice numbers.
+ * @param {Object} quoteData - businessId, createdByUserId, createdByName, customerId,
+ *   items, cartDiscount, validUntil (YYYY-MM-DD) and notes
+ */
+export const addQuote = async (quoteData) => {
+  return await runTransaction(db, async (transaction) => {
+    const businessDoc = await transaction.get(doc(db, 'businesses', quoteData.businessId));
+    if (!businessDoc.exists()) {
+      throw new Error('Business not found');
+    }
+
+    const business = businessDoc.data();
+    const vatRate = business.rraVatRate || 0.18;
+    const pricingMode = business.pricingMode || PRICING_MODES.EXCLUSIVE;
+
+    let customer = null;
+    if (quoteData.customerId) {
+      const customerDoc = await transaction.get(doc(db, 'customers', quoteData.customerId));
+      if (!customerDoc.exists()) {
+        throw new Error('Customer not found');
+      }
+      customer = customerDoc.data();
+    }
+
+    const counterRef = doc(db, 'quoteCounters', quoteData.businessId);
+    const counterDoc = await transaction.get(counterRef);
+    const quoteYear = new Date().getFullYear();
+    const counter = counterDoc.exists() ? counterDoc.data() : null;
+    const quoteSequence = counter && counter.year === quoteYear ? counter.lastNumber + 1 : 1;
+
+    // The product's tax category is authoritative for catalog items
+    const taxCategoriesByProduct = {};
+    const productIds = [
+      ...new Set(quoteData.items.filter(isCatalogItem).map((item) => item.productId)),
+    ];
+    for (const productId of productIds) {
+      const productDoc = await transaction.get(doc(db, 'products', productId));
+      if (!productDoc.exists()) {
+        throw new Error('Product not found');
+      }
+      taxCategoriesByProduct[productId] = productDoc.data().taxCategory;
+    }
+
+    const promotions = await readCartPromotions(transaction, quoteData, new Date());
+    const categorizedItems = quoteData.items.map((item) => ({
+      ...item,
+      taxCategory:
+        taxCategoriesByProduct[item.productId] ||
+        item.taxCategory ||
+        TAX_CATEGORIES.STANDARD,
+      lineDiscount: normalizeDiscount(item.lineDiscount),
+      grossAmount: fromMinor(multiplyAmount(item.pricePerItem, item.quantity)),
+    }));
+    const cartDiscount = normalizeDiscount(quoteData.cartDiscount);
+    const { items: discountedItems, cartDiscountAmount } = applyDiscounts(categorizedItems, {
+      promotions,
+      cartDiscount,
+    });
+    const { subtotal, vatAmount, total, lines, vatBreakdown } = calculateSaleTax(
+      discountedItems,
+      vatRate,
+      pricingMode
+    );
+
+    transaction.set(counterRef, {
+      businessId: quoteData.businessId,
+      year: quoteYear,
+      lastNumber: quoteSequence,
+    });
+
+    const quoteRef = doc(collection(db, 'quotes'));
+    const quoteNumber = formatQuoteNumber(quoteYear, quoteSequence);
+    transaction.set(quoteRef, {
+      businessId: quoteData.businessId,
+      quoteNumber,
+      quoteSequence,
+      createdByUserId: quoteData.createdByUserId,
+      createdByName: quoteData.createdByName || null,
+      customerId: quoteData.customerId || null,
+      customerName: customer ? customer.name : null,
+      customerTin: customer ? customer.tin || null : null,
+      createdAt: Timestamp.now(),
+      validUntil: quoteData.validUntil,
+      notes: quoteData.notes || '',
+      status: QUOTE_STATUSES.OPEN,
+      items: discountedItems.map((item, index) => ({ ...item, ...lines[index] })),
+      cartDiscount: cartDiscount ? { ...cartDiscount, amount: cartDiscountAmount } : null,
+      discountTotal: sumBy(discountedItems, (item) => item.discount),
+      pricingMode,
+      vatRate,
+      subtotal,
+      vatAmount,
+      total,
+      vatBreakdown,
+    });
+
+    return { success: true, quoteId: quoteRef.id, quoteNumber };
+  });
+};
+
+/**
+ * Get all quotes for a business, newest first
+ */
+export const getQuotes = async (businessId) => {
+  const q = query(
+    collection(db, 'quotes'),
+    where('businessId', '==', businessId)
+  );
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs
+    .map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt.toDate(),
+    }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Delete an open quote (converted quotes stay for audit, enforced by security rules)
+ */
+export const deleteQuote = async (quoteId) => {
+  await deleteDoc(doc(db, 'quotes', quoteId));
+};
+
+/**
+ * Create a draft purchase order with the next PO number
+ * @param {Object} orderData - businessId, supplierId, lines ({productId, productName, quantity,
+ *   expectedUnitCost}), expectedDate, notes, createdByUserId, createdByName
+ */
+export const addPurchaseOrder = async (orderData) => {
+  const lines = normalizePurchaseOrderLines(orderData.lines);
+
+  return await runTransaction(db, async (transaction) => {
+    const supplierDoc = await transaction.get(doc(db, 'suppliers', orderData.supplierId));
+    if (!supplierDoc.exists()) {
+      throw new Error('Supplier not found');
+    }
+
+    // Purchase order numbers are sequential per business and restart at 1 every calendar year
+    const counterRef = doc(db, 'purchaseOrderCounters', orderData.businessId);
+    const counterDoc = await transaction.get(counterRef);
+    const orderYear = new Date().getFullYear();
+    const counter = counterDoc.exists() ? counterDoc.data() : null;
+    const poSequence = counter && counter.year === orderYear ? counter.lastNumber + 1 : 1;
+    const poNumber = formatPurchaseOrderNumber(orderYear, poSequence);
+
+    transaction.set(counterRef, {
+      businessId: orderData.businessId,
+      year: orderYear,
+      lastNumber: poSequence,
+    });
+
+    const orderRef = doc(collection(db, 'purchaseOrders'));
+    transaction.set(orderRef, {
+      businessId: orderData.businessId,
+      poNumber,
+      poSequence,
+      supplierId: orderData.supplierId,
+      supplierName: supplierDoc.data().name,
+      status: PO_STATUSES.DRAFT,
+      lines: lines.map((line) => ({ ...line, receivedQuantity: 0, receivedValue: 0 })),
+      expectedTotal: getExpectedTotal(lines),
+      receivedTotal: 0,
+      expectedDate: orderData.expectedDate || null,
+      notes: orderData.notes || '',
+      receipts: [],
+      createdByUserId: orderData.createdByUserId,
+      createdByName: orderData.createdByName || null,
+      createdAt: Timestamp.now(),
+      sentAt: null,
+    });
+
+    return { success: true, purchaseOrderId: orderRef.id, poNumber };
+  });
+};
+
+/**
+ * Change the supplier, lines, expected date or notes of a draft purchase order
+ */
+export const updatePurchaseOrder = async (purchaseOrderId, orderData) => {
+  const lines = normalizePurchaseOrderLines(orderData.lines);
+
+  await runTransaction(db, async (transaction) => {
+    const orderRef = doc(db, 'purchaseOrders', purchaseOrderId);
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists()) {
+      throw new Error('Purchase order not found');
+    }
+    if (orderDoc.data().status !== PO_STATUSES.DRAFT) {
+      throw new Error('Only draft purchase orders can be edited');
+    }
+
+    const supplierDoc = await transaction.get(doc(db, 'suppliers', orderData.supplierId));
+    if (!supplierDoc.exists()) {
+      throw new Error('Supplier not found');
+    }
+
+    transaction.update(orderRef, {
+      supplierId: orderData.supplierId,
+      supplierName: supplierDoc.data().name,
+      lines: lines.map((line) => ({ ...line, receivedQuantity: 0, receivedValue: 0 })),
+      expectedTotal: getExpectedTotal(lines),
+      expectedDate: orderData.expectedDate || null,
+      notes: orderData.notes || '',
+      updatedAt: Timestamp.now(),
+    });
+  });
+};
+
+/**
+ * Mark a draft purchase order as sent to the supplier
+ */
+export const markPurchaseOrderSent = async (purchaseOrderId) => {
+  await updateDoc(doc(db, 'purchaseOrders', purchaseOrderId), {
+    status: PO_STATUSES.SENT,
+    sentAt: Timestamp.now(),
+  });
+};
+
+/**
+ * Get all purchase orders for a business, newest first
+ */
+export const getPurchaseOrders = async (businessId) => {
+  const q = query(
+    collection(db, 'purchaseOrders'),
+    where('businessId', '==', businessId)
+  );
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs
+    .map((doc) => ({
+      id: doc.id,
+      ...doc.data(),
+      createdAt: doc.data().createdAt.toDate(),
+    }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Delete a draft purchase order (orders with goods received stay for audit, enforced by security rules)
+ */
+export const deletePurchaseOrder = async (purchaseOrderId) => {
+  await deleteDoc(doc(db, 'purchaseOrders', purchaseOrderId));
+};
+
+/**
+ * Receive goods against a purchase order
+ * Each line received goes into stock as a purchase receipt movement at the unit cost actually
+ * paid, and the order's received quantities and status are updated in the same transaction.
+ * @param {Object} receiptData - receipts ({lineIndex, quantity, unitCost} per line), note,
+ *   userId, userName
+ */
+export const receivePurchaseOrder = async (purchaseOrderId, { receipts, note, userId, userName }) => {
+  return await runTransaction(db, async (transaction) => {
+    const orderRef = doc(db, 'purchaseOrders', purchaseOrderId);
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists()) {
+      throw new Error('Purchase order not found');
+    }
+
+    const order = orderDoc.data();
+    if (order.status === PO_STATUSES.RECEIVED) {
+      throw new Error(`${order.poNumber} has already been received in full`);
+    }
+    if (!canReceive(order)) {
+      throw new Error(`Mark ${order.poNumber} as sent before receiving goods against it`);
+    }
+
+    const lines = order.lines.map((line) => ({ ...line }));
+    const received = receipts.filter((receipt) => receipt.quantity > 0);
+    if (received.length === 0) {
+      throw new Error('Enter the quantity received for at least one line');
+    }
+
+    received.forEach(({ lineIndex, quantity, unitCost }) => {
+      const line = lines[lineIndex];
+      if (!line) {
+        throw new Error('Invalid purchase order line');
+      }
+      if (!Number.isInteger(quantity) || quantity > getOutstandingQuantity(line)) {
+        throw new Error(`Only ${getOutstandingQuantity(line)} of ${line.productName} still to receive`);
+      }
+      if (isNaN(unitCost) || unitCost < 0) {
+        throw new Error(`Enter a valid unit cost for ${line.productName}`);
+      }
+    });
+
+    // Read every product before any writes; a product can only be on an order once
+    const products = [];
+    for (const { lineIndex } of received) {
+      const productRef = doc(db, 'products', lines[lineIndex].productId);
+      const productDoc = await transaction.get(productRef);
+      if (!productDoc.exists()) {
+        throw new Error(`${lines[lineIndex].productName} is no longer in Inventory`);
+      }
+      products.push({ productRef, product: productDoc.data() });
+    }
+
+    received.forEach(({ lineIndex, quantity, unitCost }, index) => {
+      const line = lines[lineIndex];
+      writeStockMovement(transaction, {
+        ...products[index],
+        change: quantity,
+        type: STOCK_MOVEMENT_TYPES.PURCHASE_RECEIPT,
+        reason: note || `Received from ${order.supplierName}`,
+        referenceId: purchaseOrderId,
+        referenceNumber: order.poNumber,
+        unitCost,
+        userId,
+        userName,
+      });
+      line.receivedQuantity = (line.receivedQuantity || 0) + quantity;
+      line.receivedValue = fromMinor(toMinor(line.receivedValue) + multiplyAmount(unitCost, quantity));
+    });
+
+    const status = getReceiptStatus(lines);
+    transaction.update(orderRef, {
+      lines,
+      status,
+      receivedTotal: getReceivedTotal(lines),
+      receipts: [
+        ...(order.receipts || []),
+        {
+          receivedAt: Timestamp.now(),
+          receivedByUserId: userId,
+          receivedByName: userName || null,
+          note: note || '',
+          lines: received.map(({ lineIndex, quantity, unitCost }) => ({ lineIndex, quantity, unitCost })),
+        },
+      ],
+    });
+
+    return { success: true, status };
+  });
+};
+
+/**
+ * Record a refund as a credit note against an existing sale
+ * The sale itself is never modified apart from its refundedQuantities counter,
+ * which is updated in the same transaction so a line can never be over-refunded.
+ * @param {Object} refundData - businessId, saleId, recordedByUserId, reason, restock,
+ *   returns ({lineIndex, quantity} per returned sale line), refundMethod (how the part not
+ *   credited to the customer's account is paid back, default Cash) and shiftId of the
+ *   cashier's open shift, if any
+ */
+export const addCreditNote = async (refundData) => {
+  return await runTransaction(db, async (transaction) => {
+    const saleRef = doc(db, 'sales', refundData.saleId);
+    const saleDoc = await transaction.get(saleRef);
+    if (!saleDoc.exists()) {
+      throw new Error('Sale not found');
+    }
+
+    const sale = saleDoc.data();
+    if (sale.businessId !== refundData.businessId) {
+      throw new Error('Sale does not belong to this business');
+    }
+    if (sale.voidStatus === VOID_STATUSES.VOIDED) {
+      throw new Error('A voided sale cannot be refunded');
+    }
+    if (sale.voidStatus === VOID_STATUSES.REQUESTED) {
+      throw new Error('A void has been requested for this sale. Refund it once the request is reviewed.');
+    }
+
+    // Cash paid back comes out of the cashier's drawer, so it can only go on an open shift
+    if (refundData.shiftId) {
+      const shiftDoc = await transaction.get(doc(db, 'shifts', refundData.shiftId));
+      if (!shiftDoc.exists() || shiftDoc.data().status !== SHIFT_STATUSES.OPEN) {
+        throw new Error('Your shift has been closed. Open a new shift to record refunds.');
+      }
+    }
+
+    const refundedQuantities = sale.items.map(
+      (item, index) => (sale.refundedQuantities || [])[index] || 0
+    );
+
+    const returns = refundData.returns.filter((line) => line.quantity > 0);
+    if (returns.length === 0) {
+      throw new Error('Select at least one item to refund');
+    }
+
+    returns.forEach(({ lineIndex, quantity }) => {
+      const item = sale.items[lineIndex];
+      if (!item) {
+        throw new Error('Invalid sale line');
+      }
+      if (refundedQuantities[lineIndex] + quantity > item.quantity) {
+        throw new Error(
+          `Cannot refund more than ${item.quantity - refundedQuantities[lineIndex]} of ${item.productName}`
+        );
+      }
+    });
+
+    const creditNote = calculateCreditNote(sale, returns, refundedQuantities);
+
+    // Read products to restock before any writes
+    const restockUpdates = refundData.restock
+      ? await getRestockUpdates(transaction, creditNote.items)
+      : [];
+
+    // Refunds of a credit sale reduce what the customer owes before any cash is paid back,
+    // and loyalty points move back in proportion to the amount refunded
+    const accountCredit = getAccountCredit(sale, refundedQuantities, creditNote.total);
+    const { pointsReversed, pointsRestored } = getLoyaltyReversal(
+      sale,
+      refundedQuantities,
+      creditNote.total
+    );
+    const creditNoteRef = doc(collection(db, 'creditNotes'));
+    const customerReversal = await getCustomerReversal(
+      transaction,
+      sale.customerId,
+      { accountCredit, pointsReversed, pointsRestored },
+      { type: CUSTOMER_ACTIVITY_TYPES.CREDIT_NOTE, id: creditNoteRef.id }
+    );
+    const paidBack = subtractAmounts(creditNote.total, accountCredit);
+
+    restockUpdates.forEach(({ productRef, product, quantity }) => {
+      writeStockMovement(transaction, {
+        productRef,
+        product,
+        change: quantity,
+        type: STOCK_MOVEMENT_TYPES.REFUND,
+        reason: refundData.reason,
+        referenceId: creditNoteRef.id,
+        referenceNumber: sale.invoiceNumber,
+        userId: refundData.recordedByUserId,
+        userName: refundData.recordedByName,
+      });
+    });
+    if (customerReversal) {
+      transaction.update(customerReversal.customerRef, customerReversal.updates);
+    }
+
+    returns.forEach(({ lineIndex, quantity }) => {
+      refundedQuantities[lineIndex] += quantity;
+    });
+    transaction.update(saleRef, {
+      refundedQuantities,
+      refundedTotal: getRefundedTotal(sale, refundedQuantities),
+      lastCreditNoteId: creditNoteRef.id,
+    });
+
+    transaction.set(creditNoteRef, {
+      businessId: refundData.businessId,
+      saleId: refundData.saleId,
+      invoiceNumber: sale.invoiceNumber || null,
+      customerId: sale.customerId || null,
+      accountCredit,
+      loyaltyPointsReversed: pointsReversed,
+      loyaltyPointsRestored: pointsRestored,
+      recordedByUserId: refundData.recordedByUserId,
+      recordedByName: refundData.recordedByName || null,
+      shiftId: refundData.shiftId || null,
+      createdAt: Timestamp.now(),
+      reason: refundData.reason || '',
+      restocked: Boolean(refundData.restock),
+      tenders: paidBack > 0 ? [{ method: refundData.refundMethod || CASH, amount: paidBack }] : [],
+      items: creditNote.items,
+      subtotal: creditNote.subtotal,
+      vatAmount: creditNote.vatAmount,
+      total: creditNote.total,
+      vatBreakdown: creditNote.vatBreakdown,
+    });
+
+    return { success: true, creditNoteId: creditNoteRef.id, accountCredit };
+  });
+};
+
+/**
+ * Void a sale, or request a void when approval is needed
+ * The void takes effect immediately when requested by the business owner or within the
+ * business's grace window; otherwise it waits for the owner in reviewVoidRequest.
+ * Voided sales are kept (never deleted) and their stock is returned.
+ */
+export const requestVoidSale = async (saleId, userId, reason, userName = null) => {
+  return await runTransaction(db, async (transaction) => {
+    const saleRef = doc(db, 'sales', saleId);
+    const saleDoc = await transaction.get(saleRef);
+    if (!saleDoc.exists()) {
+      throw new Error('Sale not found');
+    }
+
+    const sale = saleDoc.data();
+    if (sale.voidStatus === VOID_STATUSES.VOIDED) {
+      throw new Error('Sale is already voided');
+    }
+    if (sale.voidStatus === VOID_STATUSES.REQUESTED) {
+      throw new Error('A void request is already pending for this sale');
+    }
+    if (hasRefunds(sale)) {
+      throw new Error('This sale has refunds against it. Use a refund instead of a void.');
+    }
+
+    const businessDoc = await transaction.get(doc(db, 'businesses', sale.businessId));
+    if (!businessDoc.exists()) {
+      throw new Error('Business not found');
+    }
+
+    const business = businessDoc.data();
+    const windowMinutes = business.voidWindowMinutes ?? DEFAULT_VOID_WINDOW_MINUTES;
+    const isOwner = business.ownerId === userId;
+    const withinWindow =
+      Date.now() - sale.createdAt.toMillis() <= windowMinutes * 60 * 1000;
+
+    const now = Timestamp.now();
+    const request = {
+      voidReason: reason,
+      voidRequestedBy: userId,
+      voidRequestedAt: now,
+    };
+
+    if (!isOwner && !withinWindow) {
+      transaction.update(saleRef, { ...request, voidStatus: VOID_STATUSES.REQUESTED });
+      return { voided: false };
+    }
+
+    const restockUpdates = await getRestockUpdates(transaction, sale.items);
+    const customerReversal = await getCustomerReversal(
+      transaction,
+      sale.customerId,
+      {
+        accountCredit: sale.creditAmount || 0,
+        pointsReversed: sale.loyaltyPointsEarned || 0,
+        pointsRestored: sale.loyaltyPointsRedeemed || 0,
+      },
+      { type: CUSTOMER_ACTIVITY_TYPES.VOID, id: saleId }
+    );
+    restockUpdates.forEach(({ productRef, product, quantity }) => {
+      writeStockMovement(transaction, {
+        productRef,
+        product,
+        change: quantity,
+        type: STOCK_MOVEMENT_TYPES.VOID,
+        reason,
+        referenceId: saleId,
+        referenceNumber: sale.invoiceNumber,
+        userId,
+        userName,
+      });
+    });
+    if (customerReversal) {
+      transaction.update(customerReversal.customerRef, customerReversal.updates);
+    }
+
+    transaction.update(saleRef, {
+      ...request,
+      voidStatus: VOID_STATUSES.VOIDED,
+      voidedAt: now,
+      // Voids inside the grace window need no approver
+      voidApprovedBy: isOwner ? userId : null,
+    });
+    return { voided: true };
+  });
+};
+
+/**
+ * Approve or reject a pending void request (business owner only)
+ */
+export const reviewVoidRequest = async (saleId, approverId, approve, approverName = null) => {
+  return await runTransaction(db, async (transaction) => {
+    const saleRef = doc(db, 'sales', saleId);
+    const saleDoc = await transaction.get(saleRef);
+    if (!saleDoc.exists()) {
+      throw new Error('Sale not found');
+    }
+
+    const sale = saleDoc.data();
+    if (sale.voidStatus !== VOID_STATUSES.REQUESTED) {
+      throw new Error('There is no pending void request for this sale');
+    }
+
+    if (!approve) {
+      transaction.update(saleRef, {
+        voidStatus: VOID_STATUSES.REJECTED,
+        voidApprovedBy: approverId,
+      });
+      return { voided: false };
+    }
+    if (hasRefunds(sale)) {
+      throw new Error('This sale has refunds against it. Reject the void and use a refund instead.');
+    }
+
+    const restockUpdates = await getRestockUpdates(transaction, sale.items);
+    const customerReversal = await getCustomerReversal(
+      transaction,
+      sale.customerId,
+      {
+        accountCredit: sale.creditAmount || 0,
+        pointsReversed: sale.loyaltyPointsEarned || 0,
+        pointsRestored: sale.loyaltyPointsRedeemed || 0,
+      },
+      { type: CUSTOMER_ACTIVITY_TYPES.VOID, id: saleId }
+    );
+    restockUpdates.forEach(({ productRef, product, quantity }) => {
+      writeStockMovement(transaction, {
+        productRef,
+        product,
+        change: quantity,
+        type: STOCK_MOVEMENT_TYPES.VOID,
+        reason: sale.voidReason,
+        referenceId: saleId,
+        referenceNumber: sale.invoiceNumber,
+        userId: approverId,
+        userName: approverName,
+      });
+    });
+    if (customerReversal) {
+      transaction.update(customerReversal.customerRef, customerReversal.updates);
+    }
+
+    transaction.update(saleRef, {
+      voidStatus: VOID_STATUSES.VOIDED,
+      voidedAt: Timestamp.now(),
+      voidApprovedBy: approverId,
+    });
+    return { voided: true };
+  });
+};
+
+/**
+ * Get credit notes by date range
+ */
+export const getCreditNotesByDate = async (businessId, startDate, endDate) => {
+  const q = query(
+    collection(db, 'creditNotes'),
+    where('businessId', '==', businessId),
+    where('createdAt', '>=', Timestamp.fromDate(startDate)),
+    where('createdAt', '<=', Timestamp.fromDate(endDate)),
+    orderBy('createdAt', 'desc')
+  );
+
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    createdAt: doc.data().createdAt.toDate(),
+  }));
+};
+
+/**
+ * Get all credit notes for a business
+ */
+export const getAllCreditNotes = async (businessId) => {
+  const q = query(
+    collection(db, 'creditNotes'),
+    where('businessId', '==', businessId),
+    orderBy('createdAt', 'desc')
+  );
+
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    createdAt: doc.data().createdAt.toDate(),
+  }));
+};
+
+/**
+ * Convert a shift document's timestamps to Dates
+ */
+const toShift = (shiftDoc) => {
+  const data = shiftDoc.data();
+  return {
+    id: shiftDoc.id,
+    ...data,
+    openedAt: data.openedAt.toDate(),
+    closedAt: data.closedAt ? data.closedAt.toDate() : null,
+  };
+};
+
+/**
+ * Open a cash drawer shift with an opening float
+ * A cashier can have only one open shift per business.
+ */
+export const openShift = async ({ businessId, userId, userName, openingFloat }) => {
+  const existingShift = await getOpenShift(businessId, userId);
+  if (existingShift) {
+    throw new Error('You already have an open shift');
+  }
+
+  const docRef = await addDoc(collection(db, 'shifts'), {
+    businessId,
+    openedBy: userId,
+    openedByName: userName || null,
+    openedAt: Timestamp.now(),
+    openingFloat: fromMinor(toMinor(openingFloat)),
+    status: SHIFT_STATUSES.OPEN,
+    closedAt: null,
+    closedBy: null,
+  });
+  return docRef.id;
+};
+
+/**
+ * Get the cashier's open shift for a business, if any
+ * Includes a shift whose close did not finish, so it can be closed again.
+ */
+export const getOpenShift = async (businessId, userId) => {
+  const q = query(
+    collection(db, 'shifts'),
+    where('businessId', '==', businessId),
+    where('openedBy', '==', userId),
+    where('status', 'in', [SHIFT_STATUSES.OPEN, SHIFT_STATUSES.CLOSING])
+  );
+
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.empty ? null : toShift(querySnapshot.docs[0]);
+};
+
+/**
+ * Get all shifts of a business, newest first
+ */
+export const getShifts = async (businessId) => {
+  const q = query(
+    collection(db, 'shifts'),
+    where('businessId', '==', businessId),
+    orderBy('openedAt', 'desc')
+  );
+
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map(toShift);
+};
+
+/**
+ * Get the sales recorded against a shift
+ */
+export const getShiftSales = async (shift) => {
+  const q = query(
+    collection(db, 'sales'),
+    where('businessId', '==', shift.businessId),
+    where('shiftId', '==', shift.id)
+  );
+
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    createdAt: doc.data().createdAt.toDate(),
+  }));
+};
+
+/**
+ * Get payments on account taken during a shift
+ */
+export const getShiftPayments = async (shift) => {
+  const q = query(
+    collection(db, 'customerPayments'),
+    where('businessId', '==', shift.businessId),
+    where('shiftId', '==', shift.id)
+  );
+
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    createdAt: doc.data().createdAt.toDate(),
+  }));
+};
+
+/**
+ * Get the credit notes refunded during a shift
+ */
+export const getShiftCreditNotes = async (shift) => {
+  const q = query(
+    collection(db, 'creditNotes'),
+    where('businessId', '==', shift.businessId),
+    where('shiftId', '==', shift.id)
+  );
+
+  const querySnapshot = await getDocs(q);
+  return querySnapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    createdAt: doc.data().createdAt.toDate(),
+  }));
+};
+
+/**
+ * Close a shift with the counted cash and store its Z report
+ * The totals are written onto the shift so the report never changes afterwards.
+ * The shift is marked closing before its sales are read, so security rules refuse any sale,
+ * refund or payment committed against it while the report is totalled.
+ */
+export const closeShift = async (shift, { userId, countedCash, notes }) => {
+  const shiftRef = doc(db, 'shifts', shift.id);
+  await runTransaction(db, async (transaction) => {
+    const shiftDoc = await transaction.get(shiftRef);
+    if (!shiftDoc.exists()) {
+      throw new Error('Shift not found');
+    }
+    if (shiftDoc.data().status === SHIFT_STATUSES.CLOSED) {
+      throw new Error('This shift is already closed');
+    }
+    if (shiftDoc.data().status === SHIFT_STATUSES.OPEN) {
+      transaction.update(shiftRef, { status: SHIFT_STATUSES.CLOSING });
+    }
+  });
+
+  const [sales, payments, creditNotes] = await Promise.all([
+    getShiftSales(shift),
+    getShiftPayments(shift),
+    getShiftCreditNotes(shift),
+  ]);
+  const summary = summarizeShift(shift, sales, payments, creditNotes);
+  const counted = fromMinor(toMinor(countedCash));
+
+  return await runTransaction(db, async (transaction) => {
+    const shiftDoc = await transaction.get(shiftRef);
+    if (shiftDoc.data().status !== SHIFT_STATUSES.CLOSING) {
+      throw new Error('This shift is already closed');
+    }
+
+    const report = {
+      ...summary,
+      countedCash: counted,
+      variance: calculateVariance(counted, summary.expectedCash),
+    };
+    transaction.update(shiftRef, {
+      ...report,
+      status: SHIFT_STATUSES.CLOSED,
+      closedAt: Timestamp.now(),
+      closedBy: userId,
+      notes: notes || '',
+    });
+
+    return report;
+  });
 };
 
 /**
@@ -1,11 +1,13 @@
 /**
  * Offline service for storing and syncing sales transactions
  * Uses IndexedDB for primary storage
+ * Parked carts are kept here too, so they survive reloads and logouts on the device
  */
 
 const DB_NAME = 'TrackiOfflineDB';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const STORE_NAME = 'pendingSales';
+const PARKED_CARTS_STORE = 'parkedCarts';
 
 let db = null;
 
@@ -41,6 +43,10 @@ const initDB = () => {
         objectStore.createIndex('createdAt', 'createdAt', { unique: false });
         objectStore.createIndex('synced', 'synced', { unique: false });
       }
+      if (!database.objectStoreNames.contains(PARKED_CARTS_STORE)) {
+        const parkedStore = database.createObjectStore(PARKED_CARTS_STORE, { keyPath: 'id' });
+        parkedStore.createIndex('businessId', 'businessId', { unique: false });
+      }
     };
   });
 };
@@ -197,11 +203,23 @@ export const syncPendingSales = async (addSaleFunction, businessId) => {
     for (const sale of pendingSales) {
       try {
         // Convert stored sale back to Firestore format
+        // The local ID makes the sync idempotent; the invoice number is assigned by addSale now
         const firestoreSale = {
+          offlineId: sale.id,
+          recordedOfflineAt: sale.createdAt,
           businessId: sale.businessId,
           recordedByUserId: sale.recordedByUserId,
+          recordedByName: sale.recordedByName,
+          shiftId: sale.shiftId,
+          customerId: sale.customerId,
+          customerName: sale.customerName,
+          customerTin: sale.customerTin,
+          loyaltyPointsRedeemed: sale.loyaltyPointsRedeemed,
+          cartDiscount: sale.cartDiscount,
           items: sale.items,
           paymentMethod: sale.paymentMethod,
+          tenders: sale.tenders,
+          cashReceived: sale.cashReceived,
           subtotal: sale.subtotal,
           vatAmount: sale.vatAmount,
           total: sale.total,
@@ -239,3 +257,96 @@ export const getPendingSalesCount = async (businessId = null) => {
   }
 };
 
+/**
+ * Park a cart so the cashier can serve the next customer
+ * @param {Object} cartData - businessId, label, lines, cartDiscount, customer, pointsToRedeem,
+ *   total, parkedByUserId, parkedByName
+ * @returns {Promise<string>} ID of the parked cart
+ */
+export const parkCart = async (cartData) => {
+  try {
+    const database = await initDB();
+    const transaction = database.transaction([PARKED_CARTS_STORE], 'readwrite');
+    const store = transaction.objectStore(PARKED_CARTS_STORE);
+
+    const parkedCart = {
+      ...cartData,
+      id: `parked-${Date.now()}-${Math.random().toString(36).substring(7)}`,
+      parkedAt: new Date().toISOString(),
+    };
+
+    return new Promise((resolve, reject) => {
+      const request = store.add(parkedCart);
+      request.onsuccess = () => resolve(parkedCart.id);
+      request.onerror = () => reject(new Error('Failed to park cart'));
+    });
+  } catch (error) {
+    console.error('Error parking cart:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the carts parked on this device for a business, oldest first
+ */
+export const getParkedCarts = async (businessId) => {
+  try {
+    const database = await initDB();
+    const transaction = database.transaction([PARKED_CARTS_STORE], 'readonly');
+    const store = transaction.objectStore(PARKED_CARTS_STORE);
+    const request = store.index('businessId').getAll(businessId);
+
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        resolve(request.result.sort((a, b) => a.parkedAt.localeCompare(b.parkedAt)));
+      };
+      request.onerror = () => {
+        reject(new Error('Failed to get parked carts'));
+      };
+    });
+  } catch (error) {
+    console.error('Error getting parked carts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a parked cart once it is resumed or discarded
+ */
+export const deleteParkedCart = async (cartId) => {
+  try {
+    const database = await initDB();
+    const transaction = database.transaction([PARKED_CARTS_STORE], 'readwrite');
+    const store = transaction.objectStore(PARKED_CARTS_STORE);
+
+    return new Promise((resolve, reject) => {
+      const request = store.delete(cartId);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(new Error('Failed to delete parked cart'));
+    });
+  } catch (error) {
+    console.error('Error deleting parked cart:', error);
+    throw error;
+  }
+};
+
+// Cart open in Record Sale right now, parked automatically before an inactivity logout
+let activeCart = null;
+
+/**
+ * Register the cart currently being rung up (null when the cart is empty or closed)
+ */
+export const setActiveCart = (cartData) => {
+  activeCart = cartData;
+};
+
+/**
+ * Park the cart currently being rung up, if any
+ * Passed to useInactivity so an auto-logout never loses a half-finished sale.
+ */
+export const parkActiveCart = async () => {
+  if (!activeCart) return;
+  const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  await parkCart({ ...activeCart, label: `${activeCart.label} (auto-parked ${time})` });
+  activeCart = null;
+};
@@ -0,0 +1,130 @@
+/**
+ * Printer service for sending raw ESC/POS bytes to a thermal printer
+ * Uses WebUSB or WebSerial (Chrome/Edge), with a file download fallback
+ */
+
+// USB interface class for printers
+const USB_PRINTER_CLASS = 7;
+const SERIAL_BAUD_RATE = 9600;
+// vendorId and productId of the USB printer the user picked, so other paired devices are skipped
+const USB_PRINTER_KEY = 'receiptPrinterUSB';
+
+/**
+ * Check if the browser can talk to USB printers
+ */
+export const isWebUSBSupported = () => {
+  return typeof navigator !== 'undefined' && 'usb' in navigator;
+};
+
+/**
+ * Check if the browser can talk to serial (incl. Bluetooth SPP) printers
+ */
+export const isWebSerialSupported = () => {
+  return typeof navigator !== 'undefined' && 'serial' in navigator;
+};
+
+/**
+ * Printer-class interface of a USB configuration that has a bulk OUT endpoint
+ */
+const findPrinterInterface = (configuration) =>
+  configuration?.interfaces.find(
+    (usbInterface) =>
+      usbInterface.alternate.interfaceClass === USB_PRINTER_CLASS &&
+      usbInterface.alternate.endpoints.some((endpoint) => endpoint.direction === 'out')
+  );
+
+const hasPrinterInterface = (device) => device.configurations.some(findPrinterInterface);
+
+/**
+ * Get the USB printer, reusing the one the user picked before
+ * Falls back to any granted device with a printer interface, then asks the user to pick one.
+ */
+const getUSBPrinter = async () => {
+  const devices = await navigator.usb.getDevices();
+  const saved = JSON.parse(localStorage.getItem(USB_PRINTER_KEY) || 'null');
+  const savedDevice =
+    saved &&
+    devices.find((device) => device.vendorId === saved.vendorId && device.productId === saved.productId);
+  const device =
+    savedDevice ||
+    devices.find(hasPrinterInterface) ||
+    (await navigator.usb.requestDevice({ filters: [{ classCode: USB_PRINTER_CLASS }] }));
+
+  localStorage.setItem(
+    USB_PRINTER_KEY,
+    JSON.stringify({ vendorId: device.vendorId, productId: device.productId })
+  );
+  return device;
+};
+
+/**
+ * Send bytes to a USB printer
+ */
+export const printViaUSB = async (bytes) => {
+  try {
+    const device = await getUSBPrinter();
+    await device.open();
+    if (device.configuration === null) {
+      await device.selectConfiguration(1);
+    }
+
+    // Find the printer interface and its bulk OUT endpoint
+    const printerInterface = findPrinterInterface(device.configuration);
+    if (!printerInterface) {
+      throw new Error('No printer output found on this USB device');
+    }
+    const endpoint = printerInterface.alternate.endpoints.find(
+      (usbEndpoint) => usbEndpoint.direction === 'out'
+    );
+
+    await device.claimInterface(printerInterface.interfaceNumber);
+    try {
+      await device.transferOut(endpoint.endpointNumber, bytes);
+    } finally {
+      await device.releaseInterface(printerInterface.interfaceNumber);
+      await device.close();
+    }
+  } catch (error) {
+    console.error('Error printing via USB:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send bytes to a serial printer
+ */
+export const printViaSerial = async (bytes) => {
+  try {
+    const ports = await navigator.serial.getPorts();
+    const port = ports.length > 0 ? ports[0] : await navigator.serial.requestPort();
+    await port.open({ baudRate: SERIAL_BAUD_RATE });
+
+    const writer = port.writable.getWriter();
+    try {
+      await writer.write(bytes);
+    } finally {
+      writer.releaseLock();
+      await port.close();
+    }
+  } catch (error) {
+    console.error('Error printing via serial:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save bytes as a .bin file, e.g. to test output without a printer
+ * (it can be sent later with `cat receipt.bin > /dev/usb/lp0`)
+ */
+export const saveAsBin = (bytes, filename) => {
+  const blob = new Blob([bytes], { type: 'application/octet-stream' });
+  const link = document.createElement('a');
+  const url = URL.createObjectURL(blob);
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename.endsWith('.bin') ? filename : `${filename}.bin`);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,99 @@
+/**
+ * Barcode symbologies accepted on products
+ * Values match the format names used by the browser BarcodeDetector API.
+ */
+export const BARCODE_FORMATS = {
+  EAN_13: 'ean_13',
+  UPC_A: 'upc_a',
+  CODE_128: 'code_128',
+};
+
+// Longest Code128 value accepted; printed labels rarely carry more than this
+const MAX_CODE_128_LENGTH = 48;
+
+/**
+ * GS1 mod-10 check digit for the data digits of an EAN-13 or UPC-A code
+ * Weights alternate 3 and 1, starting with 3 on the digit next to the check digit.
+ * @param {string} digits - Code without its check digit
+ * @returns {number} Check digit
+ */
+const calculateGtinCheckDigit = (digits) => {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const weight = (digits.length - i) % 2 === 1 ? 3 : 1;
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Check the length and check digit of an all-digit code
+ * @param {string} code - Code including its check digit
+ * @param {number} length - Expected number of digits
+ * @returns {boolean}
+ */
+const isValidGtin = (code, length) =>
+  new RegExp(`^\\d{${length}}$`).test(code) &&
+  calculateGtinCheckDigit(code.slice(0, -1)) === Number(code[code.length - 1]);
+
+export const isValidEan13 = (code) => isValidGtin(code, 13);
+
+export const isValidUpcA = (code) => isValidGtin(code, 12);
+
+/**
+ * Check a Code128 value
+ * Code128 carries its mod-103 check symbol inside the printed bars; scanners and
+ * BarcodeDetector verify it and leave it out of the value they return, so only the
+ * characters are checked here.
+ * @param {string} code - Decoded value
+ * @returns {boolean}
+ */
+export const isValidCode128 = (code) =>
+  code.length > 0 && code.length <= MAX_CODE_128_LENGTH && /^[\x20-\x7e]+$/.test(code);
+
+/**
+ * Work out the symbology of a code
+ * 12 and 13 digit codes are read as UPC-A and EAN-13, so a wrong check digit is
+ * reported as a typo rather than accepted as Code128.
+ * @param {string} code - Trimmed code
+ * @returns {string|null} One of BARCODE_FORMATS, or null when the code is not valid
+ */
+export const detectBarcodeFormat = (code) => {
+  if (/^\d{13}$/.test(code)) return isValidEan13(code) ? BARCODE_FORMATS.EAN_13 : null;
+  if (/^\d{12}$/.test(code)) return isValidUpcA(code) ? BARCODE_FORMATS.UPC_A : null;
+  return isValidCode128(code) ? BARCODE_FORMATS.CODE_128 : null;
+};
+
+/**
+ * Check a scanned or typed barcode and bring it to the form it is stored in
+ * A UPC-A code is the same product as the EAN-13 code with a leading 0, and scanners
+ * report it either way, so UPC-A codes are stored as 13 digits.
+ * @param {string|null} code - Barcode as entered
+ * @returns {string|null} Stored barcode, or null when none was entered
+ * @throws {Error} When the code is not a valid EAN-13, UPC-A or Code128 value
+ */
+export const normalizeBarcode = (code) => {
+  const trimmed = code ? String(code).trim() : '';
+  if (!trimmed) return null;
+
+  const format = detectBarcodeFormat(trimmed);
+  if (!format) {
+    throw new Error(
+      /^\d{12,13}$/.test(trimmed)
+        ? `Barcode ${trimmed} has an invalid check digit`
+        : `Barcode ${trimmed} is not a valid EAN-13, UPC-A or Code128 value`
+    );
+  }
+
+  return format === BARCODE_FORMATS.UPC_A ? `0${trimmed}` : trimmed;
+};
+
+/**
+ * Whether this browser can scan barcodes with the camera
+ * BarcodeDetector is available in Chrome on Android and macOS, but not in Firefox or Safari on iOS.
+ * @returns {boolean}
+ */
+export const isCameraScanSupported = () =>
+  typeof window !== 'undefined' &&
+  'BarcodeDetector' in window &&
+  !!navigator.mediaDevices?.getUserMedia;
@@ -0,0 +1,218 @@
+import { divideRounded, fromMinor, multiplyAmount, toMinor } from './money';
+import { getSaleLines } from './taxCalculator';
+
+/**
+ * New weighted-average cost of a product after receiving stock
+ * Stock already on hand keeps its average cost; when there is none (or its cost is unknown)
+ * the received cost becomes the average.
+ * @param {number} stockOnHand - Stock before the receipt
+ * @param {number|null} averageCost - Average unit cost before the receipt
+ * @param {number} quantity - Quantity received
+ * @param {number} unitCost - Unit cost paid for the quantity received
+ * @returns {number} Average unit cost in RWF, rounded to the minor unit
+ */
+export const getWeightedAverageCost = (stockOnHand, averageCost, quantity, unitCost) => {
+  if (stockOnHand <= 0 || averageCost == null) {
+    return unitCost;
+  }
+  return fromMinor(
+    divideRounded(
+      multiplyAmount(averageCost, stockOnHand) + multiplyAmount(unitCost, quantity),
+      stockOnHand + quantity
+    )
+  );
+};
+
+/**
+ * Cost of goods sold for a sale line, from the unit cost snapshotted at the time of sale
+ * @param {Object} line - Sale or credit note line with unitCost and quantity
+ * @returns {number|null} Cost in minor units, or null when the cost was not known
+ */
+const getLineCostMinor = (line) =>
+  line.unitCost == null ? null : multiplyAmount(line.unitCost, line.quantity);
+
+/**
+ * Gross margin per product over the sales and credit notes of a period
+ * Revenue is net of VAT. Refunds take their revenue off; their cost of goods only comes off
+ * when the goods were put back into stock, since goods not restocked are still a cost.
+ * A product sold without a cost snapshot (before costs were tracked, or a manual item)
+ * has no cost or margin, and its revenue is reported separately in uncostedRevenue.
+ * @param {Array<Object>} sales - Non-voided sales in the period
+ * @param {Array<Object>} creditNotes - Credit notes issued in the period
+ * @returns {Object} rows (highest margin first) and totals
+ */
+export const getGrossMarginReport = (sales, creditNotes) => {
+  const rowsByKey = {};
+  const addLine = (line, sign, countCost) => {
+    // Manual items have a one-off ID per line, so they are grouped by name
+    const key = line.productId && !line.productId.startsWith('manual-') ? line.productId : line.productName;
+    if (!rowsByKey[key]) {
+      rowsByKey[key] = { key, productName: line.productName, quantity: 0, revenue: 0, cost: 0, costKnown: true };
+    }
+    const row = rowsByKey[key];
+    row.quantity += sign * line.quantity;
+    row.revenue += sign * toMinor(line.lineNet);
+    if (countCost) {
+      const cost = getLineCostMinor(line);
+      if (cost === null) {
+        row.costKnown = false;
+      } else {
+        row.cost += sign * cost;
+      }
+    }
+  };
+
+  sales.forEach((sale) => getSaleLines(sale).forEach((line) => addLine(line, 1, true)));
+  creditNotes.forEach((creditNote) =>
+    creditNote.items.forEach((line) => addLine(line, -1, Boolean(creditNote.restocked)))
+  );
+
+  const totals = { revenue: 0, costOfGoods: 0, grossMargin: 0, uncostedRevenue: 0 };
+  const rows = Object.values(rowsByKey).map((row) => {
+    totals.revenue += row.revenue;
+    if (!row.costKnown) {
+      totals.uncostedRevenue += row.revenue;
+      return {
+        key: row.key,
+        productName: row.productName,
+        quantity: row.quantity,
+        revenue: fromMinor(row.revenue),
+        costOfGoods: null,
+        grossMargin: null,
+        marginPercent: null,
+      };
+    }
+    totals.costOfGoods += row.cost;
+    totals.grossMargin += row.revenue - row.cost;
+    return {
+      key: row.key,
+      productName: row.productName,
+      quantity: row.quantity,
+      revenue: fromMinor(row.revenue),
+      costOfGoods: fromMinor(row.cost),
+      grossMargin: fromMinor(row.revenue - row.cost),
+      marginPercent: row.revenue ? ((row.revenue - row.cost) / row.revenue) * 100 : null,
+    };
+  });
+
+  const costedRevenue = totals.revenue - totals.uncostedRevenue;
+  return {
+    rows: rows.sort(
+      (a, b) => (b.grossMargin ?? -Infinity) - (a.grossMargin ?? -Infinity) || a.productName.localeCompare(b.productName)
+    ),
+    totals: {
+      revenue: fromMinor(totals.revenue),
+      costOfGoods: fromMinor(totals.costOfGoods),
+      grossMargin: fromMinor(totals.grossMargin),
+      marginPercent: costedRevenue ? (totals.grossMargin / costedRevenue) * 100 : null,
+      uncostedRevenue: fromMinor(totals.uncostedRevenue),
+    },
+  };
+};
+
+/**
+ * Stock value at cost per product as of a date, rebuilt from the stock movement ledger
+ * A product's stock is the stockAfter of its last movement up to the date. Stock held before
+ * the ledger started has no such movement, so it is the current stock less every movement
+ * since the date. Stock is valued at the average cost after the last movement up to the date,
+ * or failing that the average cost carried by the first later movement that did not change it.
+ * Anything else is valued at the product's current average cost and marked as an estimate.
+ * Products out of stock on the date are left out; products with negative stock (sold before
+ * their stock was recorded) are listed with no value and left out of the totals.
+ * @param {Array<Object>} products - Product documents
+ * @param {Array<Object>} movements - Stock movements up to the date, oldest first
+ * @param {Array<Object>} laterMovements - Stock movements after the date, oldest first
+ * @returns {Object} rows (highest value first) and totals
+ */
+export const getInventoryValuation = (products, movements, laterMovements = []) => {
+  const lastMovementByProduct = {};
+  movements.forEach((movement) => {
+    lastMovementByProduct[movement.productId] = movement;
+  });
+  const laterChangeByProduct = {};
+  const nextMovementByProduct = {};
+  laterMovements.forEach((movement) => {
+    laterChangeByProduct[movement.productId] =
+      (laterChangeByProduct[movement.productId] || 0) + movement.quantity;
+    if (!nextMovementByProduct[movement.productId]) {
+      nextMovementByProduct[movement.productId] = movement;
+    }
+  });
+
+  // Average cost on the date, and whether it had to be taken from the product instead
+  const getCostAsOf = (product) => {
+    const lastMovement = lastMovementByProduct[product.id];
+    if (lastMovement?.averageCost != null) {
+      return { unitCost: lastMovement.averageCost, estimated: false };
+    }
+    const nextMovement = nextMovementByProduct[product.id];
+    const costUnchanged = nextMovement && (nextMovement.unitCost == null || nextMovement.quantity <= 0);
+    if (costUnchanged && nextMovement.averageCost != null) {
+      return { unitCost: nextMovement.averageCost, estimated: false };
+    }
+    const unitCost = product.averageCost ?? null;
+    return { unitCost, estimated: unitCost !== null };
+  };
+
+  let totalValue = 0;
+  let totalQuantity = 0;
+  let uncostedCount = 0;
+  let estimatedCount = 0;
+  let negativeCount = 0;
+  const rows = products
+    .map((product) => {
+      const lastMovement = lastMovementByProduct[product.id];
+      const quantity = lastMovement
+        ? lastMovement.stockAfter
+        : (product.currentStock || 0) - (laterChangeByProduct[product.id] || 0);
+      return { product, quantity };
+    })
+    .filter(({ quantity }) => quantity !== 0)
+    .map(({ product, quantity }) => {
+      if (quantity < 0) {
+        negativeCount += 1;
+        return {
+          productId: product.id,
+          productName: product.name,
+          quantity,
+          unitCost: null,
+          value: null,
+          estimated: false,
+          negativeStock: true,
+        };
+      }
+
+      const { unitCost, estimated } = getCostAsOf(product);
+      const value = unitCost == null ? null : multiplyAmount(unitCost, quantity);
+      totalQuantity += quantity;
+      if (value === null) {
+        uncostedCount += 1;
+      } else {
+        totalValue += value;
+      }
+      if (estimated) {
+        estimatedCount += 1;
+      }
+      return {
+        productId: product.id,
+        productName: product.name,
+        quantity,
+        unitCost,
+        value: value === null ? null : fromMinor(value),
+        estimated,
+        negativeStock: false,
+      };
+    })
+    .sort((a, b) => (b.value ?? -Infinity) - (a.value ?? -Infinity) || a.productName.localeCompare(b.productName));
+
+  return {
+    rows,
+    totals: {
+      quantity: totalQuantity,
+      value: fromMinor(totalValue),
+      uncostedCount,
+      estimatedCount,
+      negativeCount,
+    },
+  };
+};
@@ -0,0 +1,166 @@
+import { fromMinor, sumBy, toMinor } from './money';
+import { getRefundedTotal } from './taxCalculator';
+import { isVoided } from './saleUtils';
+
+// Days since the invoice date; each bucket holds invoices up to maxDays old
+export const AGING_BUCKETS = [
+  { label: '0–30 days', maxDays: 30 },
+  { label: '31–60 days', maxDays: 60 },
+  { label: '61–90 days', maxDays: 90 },
+  { label: '90+ days', maxDays: Infinity },
+];
+
+export const LEDGER_ENTRY_TYPES = {
+  INVOICE: 'invoice',
+  PAYMENT: 'payment',
+  CREDIT_NOTE: 'credit_note',
+};
+
+// Record that last changed a customer's account, stored as the customer's lastActivityType
+export const CUSTOMER_ACTIVITY_TYPES = {
+  SALE: 'sale',
+  VOID: 'void',
+  PAYMENT: 'payment',
+  CREDIT_NOTE: 'credit_note',
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Part of a refund that goes back to the customer's account
+ * Returned goods first reduce what the customer still owes for the sale; only the
+ * rest is paid back at the till. Works on cumulative refunds, so several partial
+ * refunds never credit more than the sale's credit amount.
+ * @param {Object} sale - Sale document with creditAmount
+ * @param {Array<number>} refundedQuantities - Quantity already refunded per line
+ * @param {number} refundTotal - Total of the new credit note
+ * @returns {number} Amount to credit to the account in RWF
+ */
+export const getAccountCredit = (sale, refundedQuantities, refundTotal) => {
+  const creditAmount = toMinor(sale.creditAmount);
+  if (creditAmount === 0) return 0;
+
+  const refundedBefore = toMinor(getRefundedTotal(sale, refundedQuantities));
+  const refundedAfter = refundedBefore + toMinor(refundTotal);
+
+  return fromMinor(
+    Math.min(refundedAfter, creditAmount) - Math.min(refundedBefore, creditAmount)
+  );
+};
+
+/**
+ * A customer's account history in date order with a running balance
+ * Invoices are credit sales (voided sales are left out), credited by payments on
+ * account and by the account part of credit notes.
+ * @param {Object} activity - {sales, payments, creditNotes} of one customer (createdAt as Date)
+ * @returns {Array<Object>} Entries {type, date, reference, description, debit, credit, balance}
+ */
+export const getCustomerLedger = ({ sales, payments, creditNotes }) => {
+  const entries = [
+    ...sales
+      .filter((sale) => sale.creditAmount > 0 && !isVoided(sale))
+      .map((sale) => ({
+        type: LEDGER_ENTRY_TYPES.INVOICE,
+        date: sale.createdAt,
+        reference: sale.invoiceNumber || '—',
+        description: sale.items.map((item) => `${item.productName} x${item.quantity}`).join(', '),
+        debit: sale.creditAmount,
+        credit: 0,
+      })),
+    ...payments.map((payment) => ({
+      type: LEDGER_ENTRY_TYPES.PAYMENT,
+      date: payment.createdAt,
+      reference: payment.method,
+      description: payment.note ? `Payment: ${payment.note}` : 'Payment',
+      debit: 0,
+      credit: payment.amount,
+    })),
+    ...creditNotes
+      .filter((creditNote) => creditNote.accountCredit > 0)
+      .map((creditNote) => ({
+        type: LEDGER_ENTRY_TYPES.CREDIT_NOTE,
+        date: creditNote.createdAt,
+        reference: creditNote.invoiceNumber || '—',
+        description: `Refund${creditNote.reason ? `: ${creditNote.reason}` : ''}`,
+        debit: 0,
+        credit: creditNote.accountCredit,
+      })),
+  ].sort((a, b) => a.date - b.date);
+
+  let balance = 0;
+  return entries.map((entry) => {
+    balance += toMinor(entry.debit) - toMinor(entry.credit);
+    return { ...entry, balance: fromMinor(balance) };
+  });
+};
+
+/**
+ * Age a customer's open balance by invoice date
+ * Credits are applied to the oldest invoices first; whatever is left of each
+ * invoice falls in the bucket for its age.
+ * @param {Array<Object>} ledger - Entries from getCustomerLedger
+ * @param {Date} asOf - Date to age against
+ * @returns {Object} {buckets: amount per AGING_BUCKETS entry, total}
+ */
+export const calculateAging = (ledger, asOf = new Date()) => {
+  let unappliedCredit = toMinor(sumBy(ledger, (entry) => entry.credit));
+  const buckets = AGING_BUCKETS.map(() => 0);
+
+  ledger
+    .filter((entry) => entry.type === LEDGER_ENTRY_TYPES.INVOICE)
+    .forEach((entry) => {
+      const applied = Math.min(unappliedCredit, toMinor(entry.debit));
+      unappliedCredit -= applied;
+      const open = toMinor(entry.debit) - applied;
+      if (open === 0) return;
+
+      const days = Math.floor((asOf - entry.date) / MS_PER_DAY);
+      const index = AGING_BUCKETS.findIndex((bucket) => days <= bucket.maxDays);
+      buckets[index] += open;
+    });
+
+  // Credit left after every invoice is paid off is money owed to the customer
+  const total = buckets.reduce((sum, amount) => sum + amount, 0) - unappliedCredit;
+  return {
+    buckets: buckets.map(fromMinor),
+    total: fromMinor(total),
+  };
+};
+
+/**
+ * Aging report across customers
+ * @param {Array<Object>} customers - Customer documents
+ * @param {Object} activity - {sales, payments, creditNotes} of the business (createdAt as Date)
+ * @param {Date} asOf - Date to age against
+ * @returns {Object} {rows: [{customerId, name, phone, buckets, total}], totals: {buckets, total}}
+ */
+export const getAgingReport = (customers, { sales, payments, creditNotes }, asOf = new Date()) => {
+  const rows = customers
+    .map((customer) => {
+      const belongsToCustomer = (record) => record.customerId === customer.id;
+      const aging = calculateAging(
+        getCustomerLedger({
+          sales: sales.filter(belongsToCustomer),
+          payments: payments.filter(belongsToCustomer),
+          creditNotes: creditNotes.filter(belongsToCustomer),
+        }),
+        asOf
+      );
+      return {
+        customerId: customer.id,
+        name: customer.name,
+        phone: customer.phone || null,
+        ...aging,
+      };
+    })
+    .filter((row) => row.total !== 0)
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    rows,
+    totals: {
+      buckets: AGING_BUCKETS.map((bucket, index) => sumBy(rows, (row) => row.buckets[index])),
+      total: sumBy(rows, (row) => row.total),
+    },
+  };
+};
@@ -0,0 +1,29 @@
+/**
+ * Check whether a customer matches a search term
+ * Matches the name, email, phone number or TIN; phone and TIN ignore spaces and dashes.
+ * @param {Object} customer - Customer document
+ * @param {string} searchTerm - Text typed by the user
+ * @returns {boolean} True if the customer should be listed
+ */
+export const matchesCustomer = (customer, searchTerm) => {
+  const term = searchTerm.trim().toLowerCase();
+  if (!term) return true;
+
+  const digits = term.replace(/[\s-]/g, '');
+  const compact = (value) => (value || '').replace(/[\s-]/g, '').toLowerCase();
+
+  return (
+    customer.name.toLowerCase().includes(term) ||
+    (digits !== '' && compact(customer.phone).includes(digits)) ||
+    (digits !== '' && compact(customer.tin).includes(digits)) ||
+    (customer.email || '').toLowerCase().includes(term)
+  );
+};
+
+/**
+ * Sort customers alphabetically by name
+ * @param {Array<Object>} customers - Customer documents
+ * @returns {Array<Object>} New sorted array
+ */
+export const sortCustomers = (customers) =>
+  [...customers].sort((a, b) => a.name.localeCompare(b.name));
@@ -0,0 +1,187 @@
+import { applyRate, fromMinor, multiplyAmount, toMinor } from './money';
+import { applyCartDiscount } from './taxCalculator';
+
+/**
+ * A discount is entered either as a percentage or as a fixed RWF amount
+ */
+export const DISCOUNT_TYPES = {
+  PERCENT: 'percent',
+  FIXED: 'fixed',
+};
+
+export const PROMOTION_TYPES = {
+  BUY_X_GET_Y: 'buy_x_get_y',
+  PERCENT_OFF: 'percent_off',
+};
+
+export const PROMOTION_TYPE_LABELS = {
+  [PROMOTION_TYPES.BUY_X_GET_Y]: 'Buy X get Y free',
+  [PROMOTION_TYPES.PERCENT_OFF]: 'Percentage off',
+};
+
+/**
+ * Check an entered discount and drop the ones that give nothing
+ * @param {Object|null} discount - {type, value, reason}
+ * @returns {Object|null} Clean discount, or null when there is none
+ * @throws {Error} When the type or value is invalid
+ */
+export const normalizeDiscount = (discount) => {
+  if (!discount) return null;
+
+  const value = parseFloat(discount.value);
+  if (!value) return null;
+  if (!Object.values(DISCOUNT_TYPES).includes(discount.type)) {
+    throw new Error('Invalid discount type');
+  }
+  if (value < 0 || (discount.type === DISCOUNT_TYPES.PERCENT && value > 100)) {
+    throw new Error('Invalid discount value');
+  }
+
+  return {
+    type: discount.type,
+    value,
+    reason: discount.reason ? String(discount.reason).trim() : '',
+  };
+};
+
+/**
+ * Amount a discount takes off, never more than the amount itself
+ * @param {Object|null} discount - {type, value}
+ * @param {number} minor - Amount the discount applies to, in minor units
+ * @returns {number} Discount in minor units
+ */
+const getDiscountMinor = (discount, minor) => {
+  if (!discount || minor <= 0) return 0;
+  const discountMinor =
+    discount.type === DISCOUNT_TYPES.PERCENT
+      ? applyRate(minor, discount.value / 100)
+      : toMinor(discount.value);
+  return Math.min(discountMinor, minor);
+};
+
+/**
+ * Short description of a discount, e.g. "10%" or "500 RWF"
+ * @param {Object} discount - {type, value}
+ * @returns {string}
+ */
+export const describeDiscount = (discount) =>
+  discount.type === DISCOUNT_TYPES.PERCENT ? `${discount.value}%` : `${discount.value} RWF`;
+
+/**
+ * Calendar day of a date in the shop's local time, as used for promotion dates
+ * @param {Date} date - Date to format
+ * @returns {string} YYYY-MM-DD
+ */
+export const toLocalDateString = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Whether a promotion applies on a date
+ * @param {Object} promotion - Promotion document
+ * @param {Date} date - Date of the sale
+ * @returns {boolean}
+ */
+export const isPromotionActive = (promotion, date = new Date()) => {
+  if (promotion.active === false) return false;
+  const day = toLocalDateString(date);
+  if (promotion.startDate && day < promotion.startDate) return false;
+  if (promotion.endDate && day > promotion.endDate) return false;
+  return true;
+};
+
+/**
+ * Status of a promotion for the promotions list
+ * @param {Object} promotion - Promotion document
+ * @param {Date} date - Date to check against
+ * @returns {string} 'Running', 'Paused', 'Scheduled' or 'Ended'
+ */
+export const getPromotionStatus = (promotion, date = new Date()) => {
+  if (promotion.active === false) return 'Paused';
+  if (isPromotionActive(promotion, date)) return 'Running';
+  return promotion.endDate && toLocalDateString(date) > promotion.endDate ? 'Ended' : 'Scheduled';
+};
+
+/**
+ * Discount a promotion gives on a sale line
+ * Buy X get Y makes Y units free for every full X + Y units on the line.
+ * @param {Object} promotion - Promotion document
+ * @param {Object} item - Sale line ({pricePerItem, quantity})
+ * @returns {number} Discount in minor units
+ */
+const getPromotionMinor = (promotion, item) => {
+  if (promotion.type === PROMOTION_TYPES.BUY_X_GET_Y) {
+    const groupSize = promotion.buyQuantity + promotion.freeQuantity;
+    const freeUnits = Math.floor(item.quantity / groupSize) * promotion.freeQuantity;
+    return multiplyAmount(item.pricePerItem, freeUnits);
+  }
+  if (promotion.type === PROMOTION_TYPES.PERCENT_OFF) {
+    return applyRate(multiplyAmount(item.pricePerItem, item.quantity), promotion.percentOff / 100);
+  }
+  return 0;
+};
+
+/**
+ * Short description of a promotion, e.g. "Buy 2 get 1 free" or "15% off"
+ * @param {Object} promotion - Promotion document
+ * @returns {string}
+ */
+export const describePromotion = (promotion) =>
+  promotion.type === PROMOTION_TYPES.BUY_X_GET_Y
+    ? `Buy ${promotion.buyQuantity} get ${promotion.freeQuantity} free`
+    : `${promotion.percentOff}% off`;
+
+/**
+ * Work out every discount on a cart
+ * Discounts stack in this order, each on what is left after the previous one:
+ * the best running promotion for the product, the line discount entered by the
+ * cashier, then the cart discount spread over the lines. VAT is worked out
+ * afterwards on the discounted amounts.
+ * @param {Array} items - Sale lines ({productId, pricePerItem, quantity, lineDiscount})
+ * @param {Object} options - {promotions, cartDiscount, date}
+ * @returns {Object} {items, cartDiscountAmount}; each item gets promotionId, promotionName,
+ *   promotionDiscount, lineDiscountAmount and discount (its total discount)
+ */
+export const applyDiscounts = (items, { promotions = [], cartDiscount = null, date = new Date() } = {}) => {
+  const activePromotions = promotions.filter((promotion) => isPromotionActive(promotion, date));
+
+  const lineDiscounted = items.map((item) => {
+    const grossMinor = multiplyAmount(item.pricePerItem, item.quantity);
+
+    let promotion = null;
+    let promotionMinor = 0;
+    activePromotions
+      .filter((candidate) => candidate.productId === item.productId)
+      .forEach((candidate) => {
+        const candidateMinor = Math.min(getPromotionMinor(candidate, item), grossMinor);
+        if (candidateMinor > promotionMinor) {
+          promotion = candidate;
+          promotionMinor = candidateMinor;
+        }
+      });
+
+    const lineDiscountMinor = getDiscountMinor(item.lineDiscount, grossMinor - promotionMinor);
+
+    return {
+      ...item,
+      promotionId: promotion ? promotion.id : null,
+      promotionName: promotion ? promotion.name : null,
+      promotionDiscount: fromMinor(promotionMinor),
+      lineDiscountAmount: fromMinor(lineDiscountMinor),
+      discount: fromMinor(promotionMinor + lineDiscountMinor),
+    };
+  });
+
+  const remainingMinor = lineDiscounted.reduce(
+    (sum, item) => sum + multiplyAmount(item.pricePerItem, item.quantity) - toMinor(item.discount),
+    0
+  );
+  const cartDiscountAmount = fromMinor(getDiscountMinor(cartDiscount, remainingMinor));
+
+  return {
+    items: applyCartDiscount(lineDiscounted, cartDiscountAmount),
+    cartDiscountAmount,
+  };
+};
@@ -0,0 +1,143 @@
+/**
+ * ESC/POS encoder for thermal receipt printers
+ *
+ * Turns the receipt rows shared with the on-screen and PDF receipts into raw printer
+ * bytes. Only commands supported by practically every ESC/POS clone are used.
+ */
+
+import { getReceiptRows } from './exportUtils';
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+export const ESCPOS_COMMANDS = {
+  INITIALIZE: [ESC, 0x40],
+  ALIGN_LEFT: [ESC, 0x61, 0x00],
+  ALIGN_CENTER: [ESC, 0x61, 0x01],
+  BOLD_ON: [ESC, 0x45, 0x01],
+  BOLD_OFF: [ESC, 0x45, 0x00],
+  DOUBLE_HEIGHT_ON: [GS, 0x21, 0x01],
+  NORMAL_SIZE: [GS, 0x21, 0x00],
+  // Feed 3 lines past the tear bar, then partial cut
+  FEED_AND_CUT: [GS, 0x56, 0x42, 0x03],
+  // Pulse drawer pin 2 for 50ms on, 500ms off
+  KICK_DRAWER: [ESC, 0x70, 0x00, 0x19, 0xfa],
+};
+
+// Characters per line in the default font (Font A, 12x24 dots)
+export const ESCPOS_COLUMNS = {
+  58: 32,
+  80: 48,
+};
+
+/**
+ * Reduce text to printable ASCII; printers without a matching code page print garbage otherwise
+ * @param {string} text - Any text
+ * @returns {string} ASCII-only text
+ */
+const toPrinterText = (text) =>
+  String(text)
+    .replace(/[\u00a0\u202f]/g, ' ') // Intl currency formatting uses non-breaking spaces
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+
+/**
+ * Break text into lines of at most `width` characters, preferring word boundaries
+ * @param {string} text - Text to wrap
+ * @param {number} width - Maximum characters per line
+ * @returns {Array<string>} Wrapped lines
+ */
+const wrapText = (text, width) => {
+  // Keep the indent of item detail rows on every wrapped line
+  const indent = text.match(/^ */)[0];
+  const lines = [];
+  let current = '';
+  width -= indent.length;
+  text.trimStart().split(' ').forEach((word) => {
+    while (word.length > width) {
+      if (current) {
+        lines.push(current);
+        current = '';
+      }
+      lines.push(word.slice(0, width));
+      word = word.slice(width);
+    }
+    const candidate = current ? `${current} ${word}` : word;
+    if (candidate.length > width) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = candidate;
+    }
+  });
+  lines.push(current);
+  return lines.map((line) => indent + line);
+};
+
+/**
+ * Lay out a left/right row; the right text is pushed to the end of the last line
+ * @param {string} left - Left text
+ * @param {string} right - Right text (optional)
+ * @param {number} columns - Characters per line
+ * @returns {Array<string>} Printed lines
+ */
+const layoutRow = (left, right, columns) => {
+  if (!right) return wrapText(left, columns);
+  const lines = wrapText(left, columns);
+  const last = lines[lines.length - 1];
+  if (last.length + 1 + right.length <= columns) {
+    lines[lines.length - 1] = last + ' '.repeat(columns - last.length - right.length) + right;
+  } else {
+    lines.push(right.padStart(columns));
+  }
+  return lines;
+};
+
+/**
+ * Encode a sale receipt as ESC/POS bytes
+ * @param {Object} sale - Sale document (createdAt as Date)
+ * @param {Object} business - Business document
+ * @param {Object} options - paperWidth (58 or 80) and openDrawer
+ * @returns {Uint8Array} Printer bytes
+ */
+export const encodeReceipt = (sale, business, { paperWidth = 80, openDrawer = false } = {}) => {
+  const columns = ESCPOS_COLUMNS[paperWidth] || ESCPOS_COLUMNS[80];
+  const bytes = [...ESCPOS_COMMANDS.INITIALIZE];
+
+  const pushText = (text) => {
+    for (let i = 0; i < text.length; i++) {
+      bytes.push(text.charCodeAt(i));
+    }
+    bytes.push(LF);
+  };
+
+  getReceiptRows(sale, business).forEach((row, index) => {
+    if (row.rule) {
+      pushText('-'.repeat(columns));
+      return;
+    }
+
+    if (row.bold) bytes.push(...ESCPOS_COMMANDS.BOLD_ON);
+    if (row.center) {
+      // The first row is the business name, printed double height like a letterhead
+      if (index === 0) bytes.push(...ESCPOS_COMMANDS.DOUBLE_HEIGHT_ON);
+      bytes.push(...ESCPOS_COMMANDS.ALIGN_CENTER);
+      wrapText(toPrinterText(row.center), columns).forEach(pushText);
+      bytes.push(...ESCPOS_COMMANDS.ALIGN_LEFT, ...ESCPOS_COMMANDS.NORMAL_SIZE);
+    } else {
+      layoutRow(toPrinterText(row.left), row.right && toPrinterText(row.right), columns).forEach(
+        pushText
+      );
+    }
+    if (row.bold) bytes.push(...ESCPOS_COMMANDS.BOLD_OFF);
+  });
+
+  bytes.push(...ESCPOS_COMMANDS.FEED_AND_CUT);
+  if (openDrawer) {
+    bytes.push(...ESCPOS_COMMANDS.KICK_DRAWER);
+  }
+
+  return new Uint8Array(bytes);
+};
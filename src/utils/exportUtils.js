@@ -1,7 +1,51 @@
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
 import * as XLSX from 'xlsx';
-import { formatCurrency } from './taxCalculator';
+import { formatCurrency, getSaleLines, getVatBreakdownRows } from './taxCalculator';
+import { getSaleTenders, isVoided, ON_CREDIT } from './saleUtils';
+import { AGING_BUCKETS, calculateAging, LEDGER_ENTRY_TYPES } from './creditUtils';
+import { fromMinor, multiplyAmount } from './money';
+
+/**
+ * Sales and credit notes as report rows, newest first
+ * Credit notes appear as negative amounts so columns add up to the net summary
+ */
+const getReportRows = (salesData) => {
+  const saleRows = salesData.sales.map((sale) => ({
+    date: sale.createdAt,
+    invoiceNumber: sale.invoiceNumber || '',
+    products: sale.items.map((item) => item.productName).join(', '),
+    paymentMethod: sale.paymentMethod,
+    subtotal: sale.subtotal,
+    vatAmount: sale.vatAmount,
+    total: sale.total,
+  }));
+  const creditNoteRows = (salesData.creditNotes || []).map((creditNote) => ({
+    date: creditNote.createdAt,
+    invoiceNumber: creditNote.invoiceNumber || '',
+    products: `Refund: ${creditNote.items.map((item) => item.productName).join(', ')}`,
+    paymentMethod: 'Credit note',
+    subtotal: -creditNote.subtotal,
+    vatAmount: -creditNote.vatAmount,
+    total: -creditNote.total,
+  }));
+  return [...saleRows, ...creditNoteRows].sort((a, b) => b.date - a.date);
+};
+
+/**
+ * Payment method breakdown rows with the collected total and refunds
+ * Method amounts are already net of refunds; the refunds line shows how much was taken off.
+ */
+const getPaymentMethodRows = (salesData) => {
+  const { summary } = salesData;
+  const rows = (summary.paymentMethods || []).map((row) => [row.method, row.count, row.amount]);
+  // A split payment counts once per method above, but once here
+  rows.push(['Total collected', salesData.sales.length, summary.collectedTotal]);
+  if (summary.creditNoteCount > 0) {
+    rows.push(['Refunds included above (credit notes)', summary.creditNoteCount, -summary.refundsTotal]);
+  }
+  return rows;
+};
 
 /**
  * Export sales data to PDF
@@ -24,18 +68,19 @@ export const exportToPDF = (salesData, reportTitle = 'Sales Report') => {
   }
 
   // Prepare table data
-  const tableData = salesData.sales.map((sale) => [
-    sale.createdAt.toLocaleDateString(),
-    sale.items.map((item) => item.productName).join(', '),
-    sale.paymentMethod,
-    formatCurrency(sale.subtotal),
-    formatCurrency(sale.vatAmount),
-    formatCurrency(sale.total),
+  const tableData = getReportRows(salesData).map((row) => [
+    row.date.toLocaleDateString(),
+    row.invoiceNumber,
+    row.products,
+    row.paymentMethod,
+    formatCurrency(row.subtotal),
+    formatCurrency(row.vatAmount),
+    formatCurrency(row.total),
   ]);
 
   // Add table
   doc.autoTable({
-    head: [['Date', 'Products', 'Payment', 'Subtotal', 'VAT', 'Total']],
+    head: [['Date', 'Invoice', 'Products', 'Payment', 'Subtotal', 'VAT', 'Total']],
     body: tableData,
     startY: salesData.dateRange ? 40 : 30,
     styles: { fontSize: 9 },
@@ -47,6 +92,22 @@ export const exportToPDF = (salesData, reportTitle = 'Sales Report') => {
   doc.text(`Total Sales: ${formatCurrency(salesData.summary.totalSales)}`, 14, finalY);
   doc.text(`Total VAT: ${formatCurrency(salesData.summary.totalVAT)}`, 14, finalY + 10);
   doc.text(`Grand Total: ${formatCurrency(salesData.summary.grandTotal)}`, 14, finalY + 20);
+  doc.text(`Taxable Turnover: ${formatCurrency(salesData.summary.taxableTurnover)}`, 14, finalY + 35);
+  doc.text(`Zero-rated Turnover: ${formatCurrency(salesData.summary.zeroRatedTurnover)}`, 14, finalY + 45);
+  doc.text(`Exempt Turnover: ${formatCurrency(salesData.summary.exemptTurnover)}`, 14, finalY + 55);
+
+  // Payment method breakdown, for reconciling against MoMo statements and bank deposits
+  doc.text('Payment Methods', 14, finalY + 70);
+  doc.autoTable({
+    head: [['Method', 'Sales', 'Amount']],
+    body: getPaymentMethodRows(salesData).map(([method, count, amount]) => [
+      method,
+      count,
+      formatCurrency(amount),
+    ]),
+    startY: finalY + 75,
+    styles: { fontSize: 9 },
+  });
 
   // Save the PDF
   doc.save(`${reportTitle.replace(/\s+/g, '_')}_${new Date().toISOString().split('T')[0]}.pdf`);
@@ -63,20 +124,30 @@ export const exportToExcel = (salesData, reportTitle = 'Sales Report') => {
       ? [`Period: ${salesData.dateRange.start} to ${salesData.dateRange.end}`]
       : [],
     [], // Empty row
-    ['Date', 'Products', 'Payment Method', 'Subtotal', 'VAT', 'Total'],
-    ...salesData.sales.map((sale) => [
-      sale.createdAt.toLocaleDateString(),
-      sale.items.map((item) => item.productName).join(', '),
-      sale.paymentMethod,
-      sale.subtotal,
-      sale.vatAmount,
-      sale.total,
+    ['Date', 'Invoice', 'Products', 'Payment Method', 'Subtotal', 'VAT', 'Total'],
+    ...getReportRows(salesData).map((row) => [
+      row.date.toLocaleDateString(),
+      row.invoiceNumber,
+      row.products,
+      row.paymentMethod,
+      row.subtotal,
+      row.vatAmount,
+      row.total,
     ]),
     [], // Empty row
     ['Summary'],
     ['Total Sales', salesData.summary.totalSales],
     ['Total VAT', salesData.summary.totalVAT],
     ['Grand Total', salesData.summary.grandTotal],
+    [], // Empty row
+    ['VAT Breakdown'],
+    ['Taxable Turnover', salesData.summary.taxableTurnover],
+    ['Zero-rated Turnover', salesData.summary.zeroRatedTurnover],
+    ['Exempt Turnover', salesData.summary.exemptTurnover],
+    [], // Empty row
+    ['Payment Methods'],
+    ['Method', 'Sales', 'Amount'],
+    ...getPaymentMethodRows(salesData),
   ];
 
   // Create workbook and worksheet
@@ -86,6 +157,7 @@ export const exportToExcel = (salesData, reportTitle = 'Sales Report') => {
   // Set column widths
   ws['!cols'] = [
     { wch: 12 }, // Date
+    { wch: 16 }, // Invoice
     { wch: 30 }, // Products
     { wch: 15 }, // Payment
     { wch: 12 }, // Subtotal
@@ -110,17 +182,18 @@ export const exportToCSV = (salesData, reportTitle = 'Sales Report') => {
   const rows = [];
   
   // Header row
-  rows.push(['Date', 'Products', 'Payment Method', 'Subtotal', 'VAT', 'Total']);
+  rows.push(['Date', 'Invoice', 'Products', 'Payment Method', 'Subtotal', 'VAT', 'Total']);
   
   // Data rows
-  salesData.sales.forEach((sale) => {
+  getReportRows(salesData).forEach((row) => {
     rows.push([
-      sale.createdAt.toLocaleDateString(),
-      sale.items.map((item) => item.productName).join(', '),
-      sale.paymentMethod,
-      sale.subtotal.toFixed(2),
-      sale.vatAmount.toFixed(2),
-      sale.total.toFixed(2),
+      row.date.toLocaleDateString(),
+      row.invoiceNumber,
+      row.products,
+      row.paymentMethod,
+      row.subtotal.toFixed(2),
+      row.vatAmount.toFixed(2),
+      row.total.toFixed(2),
     ]);
   });
   
@@ -132,6 +205,17 @@ export const exportToCSV = (salesData, reportTitle = 'Sales Report') => {
   rows.push(['Total Sales', salesData.summary.totalSales.toFixed(2)]);
   rows.push(['Total VAT', salesData.summary.totalVAT.toFixed(2)]);
   rows.push(['Grand Total', salesData.summary.grandTotal.toFixed(2)]);
+  rows.push([]);
+  rows.push(['VAT Breakdown']);
+  rows.push(['Taxable Turnover', salesData.summary.taxableTurnover.toFixed(2)]);
+  rows.push(['Zero-rated Turnover', salesData.summary.zeroRatedTurnover.toFixed(2)]);
+  rows.push(['Exempt Turnover', salesData.summary.exemptTurnover.toFixed(2)]);
+  rows.push([]);
+  rows.push(['Payment Methods']);
+  rows.push(['Method', 'Sales', 'Amount']);
+  getPaymentMethodRows(salesData).forEach(([method, count, amount]) => {
+    rows.push([method, count, amount.toFixed(2)]);
+  });
   
   // Convert to CSV string
   const csvContent = rows.map(row => 
@@ -156,3 +240,420 @@ export const exportToCSV = (salesData, reportTitle = 'Sales Report') => {
   document.body.removeChild(link);
 };
 
+
+// Thermal paper roll widths (mm) and the printable width of each
+export const RECEIPT_PAPER_WIDTHS = {
+  58: 48,
+  80: 72,
+};
+
+/**
+ * Receipt content as rows, shared by the on-screen receipt and the PDF
+ * Each row has left/right text; center rows are titles, rule rows are separators.
+ * @param {Object} sale - Sale document (createdAt as Date)
+ * @param {Object} business - Business document
+ * @returns {Array<Object>} Receipt rows
+ */
+export const getReceiptRows = (sale, business) => {
+  const vatRate = sale.vatRate ?? business.rraVatRate ?? 0.18;
+  const rows = [
+    { center: business.name, bold: true },
+    business.tin ? { center: `TIN: ${business.tin}` } : null,
+    { rule: true },
+    { left: 'Invoice', right: sale.invoiceNumber || 'Pending sync' },
+    { left: 'Date', right: sale.createdAt.toLocaleString() },
+    { left: 'Cashier', right: sale.recordedByName || '-' },
+    sale.customerName ? { left: 'Customer', right: sale.customerName } : null,
+    sale.customerTin ? { left: 'Customer TIN', right: sale.customerTin } : null,
+    { rule: true },
+  ];
+
+  getSaleLines(sale).forEach((line) => {
+    rows.push({ left: line.productName });
+    rows.push({
+      left: `  ${line.quantity} x ${formatCurrency(line.pricePerItem)}${
+        line.discount > 0 ? ` - ${formatCurrency(line.discount)}` : ''
+      }`,
+      right: formatCurrency(line.lineTotal),
+    });
+    if (line.promotionDiscount > 0) {
+      rows.push({ left: `  ${line.promotionName}` });
+    }
+    if (line.lineDiscount?.reason) {
+      rows.push({ left: `  Discount: ${line.lineDiscount.reason}` });
+    }
+  });
+
+  const cartDiscount = sale.cartDiscount;
+  rows.push(
+    { rule: true },
+    { left: 'Subtotal (excl. VAT)', right: formatCurrency(sale.subtotal) },
+    { left: 'VAT', right: formatCurrency(sale.vatAmount) },
+    { left: 'TOTAL', right: formatCurrency(sale.total), bold: true },
+    cartDiscount
+      ? {
+          left: `Incl. cart discount${cartDiscount.reason ? ` (${cartDiscount.reason})` : ''}`,
+          right: `-${formatCurrency(cartDiscount.amount)}`,
+        }
+      : null,
+    sale.discountTotal > 0 ? { left: 'You saved', right: formatCurrency(sale.discountTotal) } : null,
+    { rule: true },
+    { left: 'VAT breakdown' }
+  );
+  getVatBreakdownRows(sale).forEach((row) => {
+    rows.push({ left: `  ${row.label}`, right: formatCurrency(row.net) });
+    if (row.vat !== 0) {
+      rows.push({
+        left: `  VAT ${(vatRate * 100).toFixed(0)}%`,
+        right: formatCurrency(row.vat),
+      });
+    }
+  });
+
+  rows.push({ rule: true });
+  getSaleTenders(sale).forEach((tender) => {
+    rows.push({
+      left: tender.method === ON_CREDIT ? 'Charged to account' : `Paid by ${tender.method}`,
+      right: formatCurrency(tender.amount),
+    });
+  });
+  if (sale.cashReceived != null) {
+    rows.push(
+      { left: 'Cash received', right: formatCurrency(sale.cashReceived) },
+      { left: 'Change', right: formatCurrency(sale.changeDue || 0), bold: true }
+    );
+  }
+
+  if (sale.loyaltyPointsRedeemed > 0 || sale.loyaltyPointsEarned > 0) {
+    rows.push({ rule: true });
+    if (sale.loyaltyPointsRedeemed > 0) {
+      rows.push({
+        left: `Points redeemed (${sale.loyaltyPointsRedeemed})`,
+        right: `-${formatCurrency(sale.loyaltyDiscount)}`,
+      });
+    }
+    if (sale.loyaltyPointsEarned > 0) {
+      rows.push({ left: 'Points earned', right: String(sale.loyaltyPointsEarned) });
+    }
+    if (sale.loyaltyPointsBalance != null) {
+      rows.push({ left: 'Points balance', right: String(sale.loyaltyPointsBalance) });
+    }
+  }
+
+  rows.push(
+    isVoided(sale) ? { center: '*** VOIDED ***', bold: true } : null,
+    { center: 'Thank you!' }
+  );
+
+  return rows.filter(Boolean);
+};
+
+/**
+ * Export a sale receipt to a PDF sized for thermal paper
+ * @param {Object} sale - Sale document (createdAt as Date)
+ * @param {Object} business - Business document
+ * @param {number} paperWidth - Roll width in mm (58 or 80)
+ */
+export const exportReceiptToPDF = (sale, business, paperWidth = 80) => {
+  const printableWidth = RECEIPT_PAPER_WIDTHS[paperWidth] || RECEIPT_PAPER_WIDTHS[80];
+  const margin = (paperWidth - printableWidth) / 2;
+  const fontSize = paperWidth === 58 ? 7 : 8;
+  const lineHeight = fontSize * 0.5;
+  const rows = getReceiptRows(sale, business);
+
+  // Wrap long text first so the page can be exactly as long as the receipt
+  const measure = new jsPDF({ unit: 'mm', format: [paperWidth, 100] });
+  measure.setFont('courier', 'normal');
+  measure.setFontSize(fontSize);
+  const wrappedRows = rows.map((row) => {
+    if (row.rule) return { ...row, lines: [''] };
+    if (row.center) return { ...row, lines: measure.splitTextToSize(row.center, printableWidth) };
+    const rightWidth = row.right ? measure.getTextWidth(row.right) + 2 : 0;
+    return { ...row, lines: measure.splitTextToSize(row.left, printableWidth - rightWidth) };
+  });
+  const lineCount = wrappedRows.reduce((sum, row) => sum + row.lines.length, 0);
+
+  const doc = new jsPDF({
+    unit: 'mm',
+    format: [paperWidth, lineCount * lineHeight + margin * 2 + 4],
+  });
+  doc.setFont('courier', 'normal');
+  doc.setFontSize(fontSize);
+
+  let y = margin + lineHeight;
+  wrappedRows.forEach((row) => {
+    doc.setFont('courier', row.bold ? 'bold' : 'normal');
+    if (row.rule) {
+      doc.setLineDashPattern([1, 1], 0);
+      doc.line(margin, y - lineHeight / 2, paperWidth - margin, y - lineHeight / 2);
+    } else if (row.center) {
+      row.lines.forEach((line, index) => {
+        doc.text(line, paperWidth / 2, y + index * lineHeight, { align: 'center' });
+      });
+    } else {
+      row.lines.forEach((line, index) => {
+        doc.text(line, margin, y + index * lineHeight);
+      });
+      if (row.right) {
+        doc.text(row.right, paperWidth - margin, y, { align: 'right' });
+      }
+    }
+    y += row.lines.length * lineHeight;
+  });
+
+  doc.save(`Receipt_${sale.invoiceNumber || sale.id}.pdf`);
+};
+
+const LEDGER_ENTRY_LABELS = {
+  [LEDGER_ENTRY_TYPES.INVOICE]: 'Invoice',
+  [LEDGER_ENTRY_TYPES.PAYMENT]: 'Payment',
+  [LEDGER_ENTRY_TYPES.CREDIT_NOTE]: 'Credit note',
+};
+
+/**
+ * Export a customer's statement of account to PDF
+ * Lists every credit sale, payment and account credit with a running balance,
+ * followed by the aging of what is still owed.
+ * @param {Object} customer - Customer document
+ * @param {Object} business - Business document
+ * @param {Array<Object>} ledger - Entries from getCustomerLedger
+ * @param {Date} asOf - Statement date
+ */
+export const exportCustomerStatementToPDF = (customer, business, ledger, asOf = new Date()) => {
+  const doc = new jsPDF();
+  const aging = calculateAging(ledger, asOf);
+
+  doc.setFontSize(18);
+  doc.text('Statement of Account', 14, 20);
+
+  doc.setFontSize(10);
+  doc.text(business.name, 14, 30);
+  if (business.tin) {
+    doc.text(`TIN: ${business.tin}`, 14, 35);
+  }
+  doc.text(`Date: ${asOf.toLocaleDateString()}`, 196, 30, { align: 'right' });
+
+  doc.setFontSize(12);
+  doc.text(customer.name, 14, 47);
+  doc.setFontSize(10);
+  const customerDetails = [
+    customer.phone,
+    customer.email,
+    customer.tin ? `TIN: ${customer.tin}` : null,
+  ].filter(Boolean);
+  customerDetails.forEach((line, index) => {
+    doc.text(line, 14, 53 + index * 5);
+  });
+
+  doc.autoTable({
+    head: [['Date', 'Type', 'Reference', 'Description', 'Debit', 'Credit', 'Balance']],
+    body: ledger.map((entry) => [
+      entry.date.toLocaleDateString(),
+      LEDGER_ENTRY_LABELS[entry.type],
+      entry.reference,
+      entry.description,
+      entry.debit ? formatCurrency(entry.debit) : '',
+      entry.credit ? formatCurrency(entry.credit) : '',
+      formatCurrency(entry.balance),
+    ]),
+    startY: 58 + customerDetails.length * 5,
+    styles: { fontSize: 8 },
+    columnStyles: { 4: { halign: 'right' }, 5: { halign: 'right' }, 6: { halign: 'right' } },
+  });
+
+  const finalY = doc.lastAutoTable.finalY + 10;
+  doc.autoTable({
+    head: [[...AGING_BUCKETS.map((bucket) => bucket.label), 'Balance due']],
+    body: [[...aging.buckets.map(formatCurrency), formatCurrency(aging.total)]],
+    startY: finalY,
+    styles: { fontSize: 9, halign: 'right' },
+    headStyles: { halign: 'right' },
+  });
+
+  const safeName = customer.name.replace(/[^a-zA-Z0-9]+/g, '_');
+  doc.save(`Statement_${safeName}_${asOf.toISOString().split('T')[0]}.pdf`);
+};
+
+/**
+ * Export the receivables aging report to PDF
+ * @param {Object} report - Result of getAgingReport
+ * @param {Object} business - Business document
+ * @param {Date} asOf - Date the balances were aged against
+ */
+export const exportAgingReportToPDF = (report, business, asOf = new Date()) => {
+  const doc = new jsPDF({ orientation: 'landscape' });
+
+  doc.setFontSize(18);
+  doc.text('Accounts Receivable Aging', 14, 20);
+  doc.setFontSize(12);
+  doc.text(`${business.name} · as of ${asOf.toLocaleDateString()}`, 14, 30);
+
+  doc.autoTable({
+    head: [['Customer', 'Phone', ...AGING_BUCKETS.map((bucket) => bucket.label), 'Total']],
+    body: report.rows.map((row) => [
+      row.name,
+      row.phone || '',
+      ...row.buckets.map(formatCurrency),
+      formatCurrency(row.total),
+    ]),
+    foot: [['Total', '', ...report.totals.buckets.map(formatCurrency), formatCurrency(report.totals.total)]],
+    startY: 40,
+    styles: { fontSize: 9 },
+  });
+
+  doc.save(`Aging_Report_${asOf.toISOString().split('T')[0]}.pdf`);
+};
+
+/**
+ * Export a quote as a proforma invoice PDF
+ * @param {Object} quote - Quote document (createdAt as Date)
+ * @param {Object} business - Business document
+ */
+export const exportQuoteToPDF = (quote, business) => {
+  const doc = new jsPDF();
+
+  doc.setFontSize(18);
+  doc.text('Proforma Invoice', 14, 20);
+
+  doc.setFontSize(10);
+  doc.text(business.name, 14, 30);
+  if (business.tin) {
+    doc.text(`TIN: ${business.tin}`, 14, 35);
+  }
+  doc.text(`Quote: ${quote.quoteNumber}`, 196, 30, { align: 'right' });
+  doc.text(`Date: ${quote.createdAt.toLocaleDateString()}`, 196, 35, { align: 'right' });
+  doc.text(`Valid until: ${quote.validUntil}`, 196, 40, { align: 'right' });
+
+  const customerDetails = quote.customerName
+    ? [`To: ${quote.customerName}`, quote.customerTin ? `TIN: ${quote.customerTin}` : null].filter(Boolean)
+    : [];
+  customerDetails.forEach((line, index) => {
+    doc.text(line, 14, 47 + index * 5);
+  });
+
+  doc.autoTable({
+    head: [['Product', 'Qty', 'Unit Price', 'Discount', 'Net', 'VAT', 'Total']],
+    body: getSaleLines(quote).map((line) => [
+      line.productName,
+      line.quantity,
+      formatCurrency(line.pricePerItem),
+      line.discount > 0 ? `-${formatCurrency(line.discount)}` : '',
+      formatCurrency(line.lineNet),
+      formatCurrency(line.lineVat),
+      formatCurrency(line.lineTotal),
+    ]),
+    startY: 52 + customerDetails.length * 5,
+    styles: { fontSize: 8 },
+    columnStyles: {
+      1: { halign: 'right' },
+      2: { halign: 'right' },
+      3: { halign: 'right' },
+      4: { halign: 'right' },
+      5: { halign: 'right' },
+      6: { halign: 'right' },
+    },
+  });
+
+  const totalsRows = [
+    ['Subtotal (excl. VAT)', formatCurrency(quote.subtotal)],
+    ['VAT', formatCurrency(quote.vatAmount)],
+    ['Total', formatCurrency(quote.total)],
+  ];
+  if (quote.discountTotal > 0) {
+    totalsRows.splice(0, 0, ['Discounts included', `-${formatCurrency(quote.discountTotal)}`]);
+  }
+  doc.autoTable({
+    body: totalsRows,
+    startY: doc.lastAutoTable.finalY + 6,
+    margin: { left: 110 },
+    styles: { fontSize: 9 },
+    columnStyles: { 1: { halign: 'right' } },
+    didParseCell: (data) => {
+      if (data.row.index === totalsRows.length - 1) {
+        data.cell.styles.fontStyle = 'bold';
+      }
+    },
+  });
+
+  let y = doc.lastAutoTable.finalY + 10;
+  if (quote.notes) {
+    doc.setFontSize(9);
+    const noteLines = doc.splitTextToSize(`Notes: ${quote.notes}`, 182);
+    doc.text(noteLines, 14, y);
+    y += noteLines.length * 5;
+  }
+  doc.setFontSize(8);
+  doc.text(
+    'This proforma is not a tax invoice. Prices and availability hold until the date above.',
+    14,
+    y + 5
+  );
+
+  doc.save(`Quote_${quote.quoteNumber}.pdf`);
+};
+
+/**
+ * Export a purchase order to PDF for sending to the supplier
+ * @param {Object} order - Purchase order with lines, expectedTotal and createdAt as a Date
+ * @param {Object} business - Business placing the order
+ * @param {Object|null} supplier - Supplier document, for contact details and TIN
+ */
+export const exportPurchaseOrderToPDF = (order, business, supplier) => {
+  const doc = new jsPDF();
+
+  doc.setFontSize(18);
+  doc.text('Purchase Order', 14, 20);
+
+  doc.setFontSize(10);
+  doc.text(business.name, 14, 30);
+  if (business.tin) {
+    doc.text(`TIN: ${business.tin}`, 14, 35);
+  }
+  doc.text(`PO: ${order.poNumber}`, 196, 30, { align: 'right' });
+  doc.text(`Date: ${order.createdAt.toLocaleDateString()}`, 196, 35, { align: 'right' });
+  if (order.expectedDate) {
+    doc.text(`Deliver by: ${order.expectedDate}`, 196, 40, { align: 'right' });
+  }
+
+  const supplierDetails = [
+    `To: ${order.supplierName}`,
+    supplier?.contactName ? `Attn: ${supplier.contactName}` : null,
+    supplier?.phone || supplier?.email ? [supplier.phone, supplier.email].filter(Boolean).join(' · ') : null,
+    supplier?.tin ? `TIN: ${supplier.tin}` : null,
+  ].filter(Boolean);
+  supplierDetails.forEach((line, index) => {
+    doc.text(line, 14, 47 + index * 5);
+  });
+
+  doc.autoTable({
+    head: [['Product', 'Qty', 'Unit Cost', 'Total']],
+    body: order.lines.map((line) => [
+      line.productName,
+      line.quantity,
+      formatCurrency(line.expectedUnitCost),
+      formatCurrency(fromMinor(multiplyAmount(line.expectedUnitCost, line.quantity))),
+    ]),
+    startY: 52 + supplierDetails.length * 5,
+    styles: { fontSize: 8 },
+    columnStyles: {
+      1: { halign: 'right' },
+      2: { halign: 'right' },
+      3: { halign: 'right' },
+    },
+  });
+
+  doc.autoTable({
+    body: [['Order Total', formatCurrency(order.expectedTotal)]],
+    startY: doc.lastAutoTable.finalY + 6,
+    margin: { left: 110 },
+    styles: { fontSize: 9, fontStyle: 'bold' },
+    columnStyles: { 1: { halign: 'right' } },
+  });
+
+  if (order.notes) {
+    doc.setFontSize(9);
+    doc.text(doc.splitTextToSize(`Notes: ${order.notes}`, 182), 14, doc.lastAutoTable.finalY + 10);
+  }
+
+  doc.save(`PurchaseOrder_${order.poNumber}.pdf`);
+};
@@ -0,0 +1,80 @@
+import { divideRounded, fromMinor, toMinor } from './money';
+import { getRefundedTotal } from './taxCalculator';
+
+// Defaults for a new loyalty program: 1 point per 1,000 RWF, each point worth 10 RWF
+export const DEFAULT_LOYALTY_SPEND_PER_POINT = 1000;
+export const DEFAULT_LOYALTY_POINT_VALUE = 10;
+
+/**
+ * Loyalty program settings of a business
+ * @param {Object} business - Business document
+ * @returns {{enabled: boolean, spendPerPoint: number, pointValue: number}}
+ */
+export const getLoyaltySettings = (business) => ({
+  enabled: Boolean(business?.loyaltyEnabled),
+  spendPerPoint: business?.loyaltySpendPerPoint || DEFAULT_LOYALTY_SPEND_PER_POINT,
+  pointValue: business?.loyaltyPointValue || DEFAULT_LOYALTY_POINT_VALUE,
+});
+
+/**
+ * Points earned on a sale: one point per full spendPerPoint RWF of the total
+ * @param {number} total - Sale total after discounts
+ * @param {Object} settings - From getLoyaltySettings
+ * @returns {number} Whole points
+ */
+export const calculatePointsEarned = (total, settings) => {
+  if (!settings.enabled || total <= 0) return 0;
+  return Math.floor(toMinor(total) / toMinor(settings.spendPerPoint));
+};
+
+/**
+ * Discount given for redeemed points
+ * @param {number} points - Points redeemed
+ * @param {Object} settings - From getLoyaltySettings
+ * @returns {number} Discount in RWF
+ */
+export const getPointsDiscount = (points, settings) =>
+  fromMinor(toMinor(settings.pointValue) * points);
+
+/**
+ * Most points that can be redeemed on a cart
+ * Limited by the customer's points and by the cart amount, so a discount never
+ * makes a sale negative. Redeeming the whole amount leaves a zero-total sale, which
+ * takes no payment.
+ * @param {number} availablePoints - Customer's points
+ * @param {number} cartAmount - Cart amount before the points discount
+ * @param {Object} settings - From getLoyaltySettings
+ * @returns {number} Whole points
+ */
+export const getMaxRedeemablePoints = (availablePoints, cartAmount, settings) => {
+  if (!settings.enabled || availablePoints <= 0) return 0;
+  return Math.min(
+    availablePoints,
+    Math.floor(toMinor(cartAmount) / toMinor(settings.pointValue))
+  );
+};
+
+/**
+ * Points to take back and give back when part of a sale is refunded
+ * Earned points are reversed and redeemed points restored in proportion to the amount
+ * refunded, using the cumulative share so several partial refunds add up to the full amounts.
+ * @param {Object} sale - Sale with loyaltyPointsEarned and loyaltyPointsRedeemed
+ * @param {Array<number>} refundedQuantities - Quantity already refunded per line
+ * @param {number} refundTotal - Total of the new credit note
+ * @returns {{pointsReversed: number, pointsRestored: number}}
+ */
+export const getLoyaltyReversal = (sale, refundedQuantities, refundTotal) => {
+  const saleTotal = toMinor(sale.total);
+  const refundedBefore = toMinor(getRefundedTotal(sale, refundedQuantities));
+  const refundedAfter = refundedBefore + toMinor(refundTotal);
+  const share = (points) =>
+    saleTotal > 0
+      ? divideRounded(points * refundedAfter, saleTotal) -
+        divideRounded(points * refundedBefore, saleTotal)
+      : 0;
+
+  return {
+    pointsReversed: share(sale.loyaltyPointsEarned || 0),
+    pointsRestored: share(sale.loyaltyPointsRedeemed || 0),
+  };
+};
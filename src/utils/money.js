@@ -0,0 +1,102 @@
+/**
+ * Money arithmetic in integer minor units
+ *
+ * Amounts are stored in Firestore as RWF numbers with at most two decimals,
+ * but every calculation converts them to integer minor units (1/100 RWF) first,
+ * so sums never drift and results are rounded in exactly one place.
+ *
+ * Rounding rule: half away from zero, at the minor unit.
+ */
+
+export const MINOR_UNITS_PER_RWF = 100;
+
+// VAT rates are handled in basis points (0.18 -> 1800) to keep them integer too
+const BASIS_POINTS = 10000;
+
+/**
+ * Integer division rounded half away from zero
+ * @param {number} numerator - Integer numerator
+ * @param {number} denominator - Positive integer denominator
+ * @returns {number} Rounded integer quotient
+ */
+export const divideRounded = (numerator, denominator) => {
+  const sign = numerator < 0 ? -1 : 1;
+  const quotient = Math.floor((2 * Math.abs(numerator) + denominator) / (2 * denominator));
+  return sign * quotient;
+};
+
+/**
+ * Convert an RWF amount to integer minor units
+ * @param {number|string} amount - Amount in RWF
+ * @returns {number} Amount in minor units
+ */
+export const toMinor = (amount) => {
+  const value = Number(amount) || 0;
+  // toFixed removes binary noise (e.g. 1.005 * 100 = 100.49999...) before rounding
+  return Math.round(Number((value * MINOR_UNITS_PER_RWF).toFixed(6)));
+};
+
+/**
+ * Convert integer minor units back to an RWF amount
+ * @param {number} minor - Amount in minor units
+ * @returns {number} Amount in RWF
+ */
+export const fromMinor = (minor) => minor / MINOR_UNITS_PER_RWF;
+
+/**
+ * Convert a decimal rate to integer basis points
+ * @param {number} rate - Rate as a decimal (e.g., 0.18)
+ * @returns {number} Rate in basis points (e.g., 1800)
+ */
+export const rateToBasisPoints = (rate) => Math.round((Number(rate) || 0) * BASIS_POINTS);
+
+/**
+ * Apply a rate to a minor-unit amount (e.g. VAT on a net amount)
+ * @param {number} minor - Amount in minor units
+ * @param {number} rate - Rate as a decimal
+ * @returns {number} Rounded result in minor units
+ */
+export const applyRate = (minor, rate) =>
+  divideRounded(minor * rateToBasisPoints(rate), BASIS_POINTS);
+
+/**
+ * Remove a rate from a gross minor-unit amount (e.g. net amount inside a VAT-inclusive price)
+ * @param {number} grossMinor - Gross amount in minor units
+ * @param {number} rate - Rate as a decimal
+ * @returns {number} Rounded net amount in minor units
+ */
+export const removeRate = (grossMinor, rate) =>
+  divideRounded(grossMinor * BASIS_POINTS, BASIS_POINTS + rateToBasisPoints(rate));
+
+/**
+ * Multiply a unit price by a quantity
+ * @param {number} unitAmount - Unit price in RWF
+ * @param {number} quantity - Quantity (integer)
+ * @returns {number} Line amount in minor units
+ */
+export const multiplyAmount = (unitAmount, quantity) => toMinor(unitAmount) * quantity;
+
+/**
+ * Sum RWF amounts exactly
+ * @param {Array<number>} amounts - Amounts in RWF
+ * @returns {number} Sum in RWF
+ */
+export const sumAmounts = (amounts) =>
+  fromMinor(amounts.reduce((sum, amount) => sum + toMinor(amount), 0));
+
+/**
+ * Subtract one RWF amount from another exactly
+ * @param {number} amount - Amount in RWF
+ * @param {number} deduction - Amount to subtract in RWF
+ * @returns {number} Difference in RWF
+ */
+export const subtractAmounts = (amount, deduction) =>
+  fromMinor(toMinor(amount) - toMinor(deduction));
+
+/**
+ * Sum a numeric field across records exactly
+ * @param {Array<Object>} records - Records such as sales
+ * @param {Function} getAmount - Returns the RWF amount of a record
+ * @returns {number} Sum in RWF
+ */
+export const sumBy = (records, getAmount) => sumAmounts(records.map(getAmount));
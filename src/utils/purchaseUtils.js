@@ -0,0 +1,111 @@
+import { fromMinor, multiplyAmount, toMinor } from './money';
+
+/**
+ * Lifecycle of a purchase order
+ * Only drafts can be edited or deleted, and goods can only be received once the order has
+ * been sent; receiving moves it to partially received, then received once every line has
+ * arrived in full.
+ */
+export const PO_STATUSES = {
+  DRAFT: 'draft',
+  SENT: 'sent',
+  PARTIALLY_RECEIVED: 'partially_received',
+  RECEIVED: 'received',
+};
+
+export const PO_STATUS_LABELS = {
+  [PO_STATUSES.DRAFT]: 'Draft',
+  [PO_STATUSES.SENT]: 'Sent',
+  [PO_STATUSES.PARTIALLY_RECEIVED]: 'Partially received',
+  [PO_STATUSES.RECEIVED]: 'Received',
+};
+
+/**
+ * Whether goods can be received against an order
+ * @param {Object} order - Purchase order with status
+ * @returns {boolean} True for sent and partially received orders
+ */
+export const canReceive = (order) =>
+  order.status === PO_STATUSES.SENT || order.status === PO_STATUSES.PARTIALLY_RECEIVED;
+
+/**
+ * Format a purchase order number, e.g. PO-2026-000042
+ * @param {number} year - Calendar year the number was issued in
+ * @param {number} sequence - Sequence number within the business and year
+ * @returns {string} Purchase order number
+ */
+export const formatPurchaseOrderNumber = (year, sequence) =>
+  `PO-${year}-${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Quantity of a line still to be delivered
+ * @param {Object} line - Purchase order line
+ * @returns {number}
+ */
+export const getOutstandingQuantity = (line) =>
+  Math.max(0, line.quantity - (line.receivedQuantity || 0));
+
+/**
+ * Expected value of an order at the costs agreed with the supplier
+ * @param {Array<Object>} lines - Lines with quantity and expectedUnitCost
+ * @returns {number} Total in RWF
+ */
+export const getExpectedTotal = (lines) =>
+  fromMinor(lines.reduce((sum, line) => sum + multiplyAmount(line.expectedUnitCost, line.quantity), 0));
+
+/**
+ * Value of the goods received so far at the costs actually paid
+ * @param {Array<Object>} lines - Lines with receivedValue
+ * @returns {number} Total in RWF
+ */
+export const getReceivedTotal = (lines) =>
+  fromMinor(lines.reduce((sum, line) => sum + toMinor(line.receivedValue), 0));
+
+/**
+ * Status of an order after goods have been received against it
+ * @param {Array<Object>} lines - Lines with quantity and receivedQuantity
+ * @returns {string} PO_STATUSES.RECEIVED or PO_STATUSES.PARTIALLY_RECEIVED
+ */
+export const getReceiptStatus = (lines) =>
+  lines.every((line) => getOutstandingQuantity(line) === 0)
+    ? PO_STATUSES.RECEIVED
+    : PO_STATUSES.PARTIALLY_RECEIVED;
+
+/**
+ * Check the lines of a new or edited order
+ * @param {Array<Object>} lines - {productId, productName, quantity, expectedUnitCost}
+ * @returns {Array<Object>} Lines with numeric quantity and cost
+ * @throws {Error} When a line is incomplete or a product appears twice
+ */
+export const normalizePurchaseOrderLines = (lines) => {
+  if (!lines || lines.length === 0) {
+    throw new Error('Add at least one product to the order');
+  }
+
+  const seen = new Set();
+  return lines.map((line) => {
+    if (!line.productId) {
+      throw new Error('Choose a product for every line');
+    }
+    if (seen.has(line.productId)) {
+      throw new Error(`${line.productName} is on the order more than once`);
+    }
+    seen.add(line.productId);
+
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new Error(`Enter a whole quantity for ${line.productName}`);
+    }
+    const expectedUnitCost = parseFloat(line.expectedUnitCost);
+    if (isNaN(expectedUnitCost) || expectedUnitCost < 0) {
+      throw new Error(`Enter a valid unit cost for ${line.productName}`);
+    }
+
+    return {
+      productId: line.productId,
+      productName: line.productName,
+      quantity,
+      expectedUnitCost,
+    };
+  });
+};
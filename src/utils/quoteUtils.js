@@ -0,0 +1,79 @@
+import { fromMinor, toMinor } from './money';
+import { DISCOUNT_TYPES, toLocalDateString } from './discountUtils';
+
+/**
+ * Lifecycle of a quote (proforma invoice)
+ * An open quote past its validUntil date is expired and can no longer be converted.
+ */
+export const QUOTE_STATUSES = {
+  OPEN: 'open',
+  CONVERTED: 'converted',
+};
+
+// Days a new quote stays valid unless the cashier picks another date
+export const DEFAULT_QUOTE_VALIDITY_DAYS = 14;
+
+/**
+ * Format a quote number, e.g. QUO-2026-000042
+ * @param {number} year - Calendar year the number was issued in
+ * @param {number} sequence - Sequence number within the business and year
+ * @returns {string} Quote number
+ */
+export const formatQuoteNumber = (year, sequence) =>
+  `QUO-${year}-${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Default expiry date for a new quote
+ * @param {Date} date - Date the quote is made
+ * @returns {string} YYYY-MM-DD
+ */
+export const getDefaultValidUntil = (date = new Date()) => {
+  const validUntil = new Date(date);
+  validUntil.setDate(validUntil.getDate() + DEFAULT_QUOTE_VALIDITY_DAYS);
+  return toLocalDateString(validUntil);
+};
+
+/**
+ * Check whether an open quote is past its expiry date (the expiry day itself is included)
+ * @param {Object} quote - Quote document
+ * @param {Date} date - Date to check against
+ * @returns {boolean}
+ */
+export const isQuoteExpired = (quote, date = new Date()) =>
+  quote.status === QUOTE_STATUSES.OPEN && toLocalDateString(date) > quote.validUntil;
+
+/**
+ * Status of a quote for display
+ * @param {Object} quote - Quote document
+ * @param {Date} date - Date to check against
+ * @returns {string} 'Open', 'Expired' or 'Converted'
+ */
+export const getQuoteStatusLabel = (quote, date = new Date()) => {
+  if (quote.status === QUOTE_STATUSES.CONVERTED) return 'Converted';
+  return isQuoteExpired(quote, date) ? 'Expired' : 'Open';
+};
+
+/**
+ * Sale lines for converting a quote
+ * The quoted prices hold until the quote expires, so a promotion given on the quote is
+ * carried over as a fixed line discount instead of being checked again at conversion.
+ * @param {Object} quote - Quote document
+ * @returns {Array<Object>} Items for addSale
+ */
+export const getQuoteSaleItems = (quote) =>
+  quote.items.map((item) => {
+    const lineDiscountMinor = toMinor(item.promotionDiscount) + toMinor(item.lineDiscountAmount);
+    const reason = [item.promotionName, item.lineDiscount?.reason].filter(Boolean).join(', ');
+    return {
+      productId: item.productId,
+      productName: item.productName,
+      quantity: item.quantity,
+      pricePerItem: item.pricePerItem,
+      taxCategory: item.taxCategory,
+      lineDiscount:
+        lineDiscountMinor > 0
+          ? { type: DISCOUNT_TYPES.FIXED, value: fromMinor(lineDiscountMinor), reason }
+          : null,
+      promotionId: null,
+    };
+  });
@@ -0,0 +1,191 @@
+import { fromMinor, subtractAmounts, sumBy, toMinor } from './money';
+
+/**
+ * Void lifecycle of a sale
+ * A sale without voidStatus is a normal, active sale.
+ */
+export const VOID_STATUSES = {
+  REQUESTED: 'requested',
+  VOIDED: 'voided',
+  REJECTED: 'rejected',
+};
+
+// Minutes after a sale during which a cashier can void it without approval
+export const DEFAULT_VOID_WINDOW_MINUTES = 15;
+
+/**
+ * Format a sale's invoice number, e.g. INV-2026-000123
+ * @param {number} year - Calendar year the number was issued in
+ * @param {number} sequence - Sequence number within the business and year
+ * @returns {string} Invoice number
+ */
+export const formatInvoiceNumber = (year, sequence) =>
+  `INV-${year}-${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Check whether a sale has been voided
+ * @param {Object} sale - Sale document
+ * @returns {boolean} True if the sale must be excluded from totals
+ */
+export const isVoided = (sale) => sale.voidStatus === VOID_STATUSES.VOIDED;
+
+/**
+ * Check whether a sale is still inside the business's void grace window
+ * @param {Object} sale - Sale document (createdAt as Date)
+ * @param {number} windowMinutes - Grace window in minutes
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the sale can be voided without approval
+ */
+export const isWithinVoidWindow = (
+  sale,
+  windowMinutes = DEFAULT_VOID_WINDOW_MINUTES,
+  now = new Date()
+) => now.getTime() - sale.createdAt.getTime() <= windowMinutes * 60 * 1000;
+
+/**
+ * Check whether any quantity of a sale has been refunded
+ * @param {Object} sale - Sale document
+ * @returns {boolean} True if the sale has credit notes against it
+ */
+export const hasRefunds = (sale) =>
+  (sale.refundedQuantities || []).some((quantity) => quantity > 0);
+
+/**
+ * Refund status of a sale based on its refundedQuantities counter
+ * @param {Object} sale - Sale document
+ * @returns {string|null} 'Refunded', 'Partially refunded' or null
+ */
+export const getRefundStatus = (sale) => {
+  const refunded = (sale.refundedQuantities || []).reduce((sum, quantity) => sum + quantity, 0);
+  if (refunded === 0) return null;
+  const sold = sale.items.reduce((sum, item) => sum + item.quantity, 0);
+  return refunded >= sold ? 'Refunded' : 'Partially refunded';
+};
+
+// Payment methods offered at checkout; any other string is a custom method
+export const PAYMENT_METHODS = ['Cash', 'Mobile Money', 'Bank Transfer', 'Card'];
+export const CASH = 'Cash';
+
+// Charged to the customer's account instead of being paid at the till
+export const ON_CREDIT = 'On credit';
+// Payment method of a zero-total sale (fully discounted or paid with points), which has no tenders
+export const NO_PAYMENT = 'No payment';
+
+/**
+ * Payment tenders of a sale
+ * Sales recorded before split payments count as one tender for the full total;
+ * a zero-total sale has none.
+ * @param {Object} sale - Sale document
+ * @returns {Array<{method: string, amount: number}>} Tenders
+ */
+export const getSaleTenders = (sale) => {
+  if (sale.tenders && sale.tenders.length > 0) return sale.tenders;
+  return sale.total ? [{ method: sale.paymentMethod || CASH, amount: sale.total }] : [];
+};
+
+/**
+ * Resolve tender lines as entered at checkout to {method, amount}
+ * A single line always covers the whole total; 'Custom' lines use their typed method name.
+ * Nothing is paid on a zero-total sale, so it resolves to no tenders.
+ * @param {Array<Object>} tenderLines - {method, customMethod, amount} as entered
+ * @param {number} total - Sale total
+ * @returns {Array<{method: string, amount: number}>} Tenders
+ */
+export const resolveTenderLines = (tenderLines, total) =>
+  total === 0
+    ? []
+    : tenderLines.map((line) => ({
+        method: line.method === 'Custom' ? line.customMethod.trim() : line.method,
+        amount: tenderLines.length === 1 ? total : parseFloat(line.amount) || 0,
+      }));
+
+/**
+ * Part of a sale charged to the customer's account
+ * @param {Object} sale - Sale document or {tenders}
+ * @returns {number} Amount on credit in RWF
+ */
+export const getCreditAmount = (sale) =>
+  sumBy(
+    getSaleTenders(sale).filter((tender) => tender.method === ON_CREDIT),
+    (tender) => tender.amount
+  );
+
+/**
+ * Summarize tenders as a single payment method string, e.g. "Cash + Mobile Money"
+ * @param {Array<{method: string}>} tenders - Tenders
+ * @returns {string} Payment method description
+ */
+export const describeTenders = (tenders) =>
+  tenders.length > 0 ? [...new Set(tenders.map((tender) => tender.method))].join(' + ') : NO_PAYMENT;
+
+/**
+ * Sum of tender amounts
+ * @param {Array<{amount: number}>} tenders - Tenders
+ * @returns {number} Total tendered in RWF
+ */
+export const getTenderedTotal = (tenders) => sumBy(tenders, (tender) => tender.amount);
+
+/**
+ * Change due to the customer for the cash part of a payment
+ * @param {Array<{method: string, amount: number}>} tenders - Tenders
+ * @param {number} cashReceived - Cash handed over by the customer
+ * @returns {number} Change in RWF; negative when not enough cash was received
+ */
+export const calculateChangeDue = (tenders, cashReceived) => {
+  const cashTotal = sumBy(
+    tenders.filter((tender) => tender.method === CASH),
+    (tender) => tender.amount
+  );
+  return subtractAmounts(cashReceived, cashTotal);
+};
+
+/**
+ * Payments per method across sales, for reconciling against MoMo statements and deposits
+ * The standard methods are always listed (even at zero); custom methods follow, largest first.
+ * Credit notes are taken off the method they were paid back with, and the part credited to
+ * the customer's account is taken off On credit.
+ * @param {Array<Object>} sales - Sale documents
+ * @param {Array<Object>} creditNotes - Credit notes to net out
+ * @returns {Array<{method: string, count: number, amount: number}>} One row per method;
+ *   count is the number of sales paid (at least partly) with the method
+ */
+export const getPaymentMethodBreakdown = (sales, creditNotes = []) => {
+  const breakdown = {};
+  PAYMENT_METHODS.forEach((method) => {
+    breakdown[method] = { count: 0, amount: 0 };
+  });
+
+  sales.forEach((sale) => {
+    const tenders = getSaleTenders(sale);
+    tenders.forEach((tender) => {
+      breakdown[tender.method] = breakdown[tender.method] || { count: 0, amount: 0 };
+      breakdown[tender.method].amount += toMinor(tender.amount);
+    });
+    new Set(tenders.map((tender) => tender.method)).forEach((method) => {
+      breakdown[method].count += 1;
+    });
+  });
+
+  creditNotes.forEach((creditNote) => {
+    const refunds = [
+      ...(creditNote.tenders || []),
+      { method: ON_CREDIT, amount: creditNote.accountCredit || 0 },
+    ];
+    refunds.forEach((tender) => {
+      breakdown[tender.method] = breakdown[tender.method] || { count: 0, amount: 0 };
+      breakdown[tender.method].amount -= toMinor(tender.amount);
+    });
+  });
+
+  const rows = Object.entries(breakdown).map(([method, { count, amount }]) => ({
+    method,
+    count,
+    amount: fromMinor(amount),
+  }));
+  return [
+    ...rows.filter((row) => PAYMENT_METHODS.includes(row.method)),
+    ...rows
+      .filter((row) => !PAYMENT_METHODS.includes(row.method))
+      .sort((a, b) => b.amount - a.amount),
+  ];
+};
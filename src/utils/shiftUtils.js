@@ -0,0 +1,63 @@
+import { subtractAmounts, sumAmounts, sumBy } from './money';
+import { CASH, getPaymentMethodBreakdown, getSaleTenders, isVoided } from './saleUtils';
+
+// A shift is 'closing' while its Z report is being totalled; nothing more can be recorded on it
+export const SHIFT_STATUSES = {
+  OPEN: 'open',
+  CLOSING: 'closing',
+  CLOSED: 'closed',
+};
+
+/**
+ * Summarize the sales of a shift for an X (interim) or Z (closing) report
+ * Expected cash is the opening float plus the cash part of every sale that was not voided
+ * and cash taken on customer accounts, less cash paid back on the shift's credit notes;
+ * change handed back is already excluded because tenders record what the sale kept.
+ * @param {Object} shift - Shift document
+ * @param {Array<Object>} sales - Sales recorded against the shift
+ * @param {Array<Object>} payments - Payments on account taken during the shift
+ * @param {Array<Object>} creditNotes - Credit notes refunded during the shift
+ * @returns {Object} Shift totals
+ */
+export const summarizeShift = (shift, sales, payments = [], creditNotes = []) => {
+  const activeSales = sales.filter((sale) => !isVoided(sale));
+  const cashTenders = activeSales
+    .flatMap(getSaleTenders)
+    .filter((tender) => tender.method === CASH);
+  const cashSales = sumBy(cashTenders, (tender) => tender.amount);
+  const accountPayments = sumBy(
+    payments.filter((payment) => payment.method === CASH),
+    (payment) => payment.amount
+  );
+  const cashRefunds = sumBy(
+    creditNotes
+      .flatMap((creditNote) => creditNote.tenders || [])
+      .filter((tender) => tender.method === CASH),
+    (tender) => tender.amount
+  );
+
+  return {
+    salesCount: activeSales.length,
+    voidedCount: sales.length - activeSales.length,
+    salesTotal: sumBy(activeSales, (sale) => sale.total),
+    vatTotal: sumBy(activeSales, (sale) => sale.vatAmount),
+    refundsCount: creditNotes.length,
+    cashSales,
+    accountPayments,
+    cashRefunds,
+    expectedCash: subtractAmounts(
+      sumAmounts([shift.openingFloat, cashSales, accountPayments]),
+      cashRefunds
+    ),
+    paymentMethods: getPaymentMethodBreakdown(activeSales),
+  };
+};
+
+/**
+ * Cash variance of a shift
+ * @param {number} countedCash - Cash counted in the drawer at close
+ * @param {number} expectedCash - Expected cash from summarizeShift
+ * @returns {number} Positive when the drawer is over, negative when short
+ */
+export const calculateVariance = (countedCash, expectedCash) =>
+  subtractAmounts(countedCash, expectedCash);
@@ -0,0 +1,95 @@
+/**
+ * Why a product's stock changed
+ * Every change to currentStock is written as an immutable stockMovements record.
+ */
+export const STOCK_MOVEMENT_TYPES = {
+  SALE: 'sale',
+  REFUND: 'refund',
+  VOID: 'void',
+  PURCHASE_RECEIPT: 'purchase_receipt',
+  ADJUSTMENT: 'adjustment',
+  TRANSFER: 'transfer',
+  STOCK_COUNT: 'stock_count',
+};
+
+export const STOCK_MOVEMENT_LABELS = {
+  [STOCK_MOVEMENT_TYPES.SALE]: 'Sale',
+  [STOCK_MOVEMENT_TYPES.REFUND]: 'Refund',
+  [STOCK_MOVEMENT_TYPES.VOID]: 'Voided sale',
+  [STOCK_MOVEMENT_TYPES.PURCHASE_RECEIPT]: 'Purchase receipt',
+  [STOCK_MOVEMENT_TYPES.ADJUSTMENT]: 'Adjustment',
+  [STOCK_MOVEMENT_TYPES.TRANSFER]: 'Transfer',
+  [STOCK_MOVEMENT_TYPES.STOCK_COUNT]: 'Stock count',
+};
+
+// Movements recorded by hand from the product page; the rest come from sales and refunds
+export const MANUAL_MOVEMENT_TYPES = [
+  STOCK_MOVEMENT_TYPES.PURCHASE_RECEIPT,
+  STOCK_MOVEMENT_TYPES.ADJUSTMENT,
+  STOCK_MOVEMENT_TYPES.STOCK_COUNT,
+  STOCK_MOVEMENT_TYPES.TRANSFER,
+];
+
+/**
+ * Work out the stock change for a movement entered by hand
+ * A stock count is entered as the quantity counted on the shelf, the others as a quantity moved.
+ * @param {number} currentStock - Stock before the movement
+ * @param {Object} movement - {type, quantity, reason}
+ * @returns {number} Change to currentStock (negative when stock goes down)
+ * @throws {Error} When the quantity or reason is invalid for the type
+ */
+export const getMovementChange = (currentStock, { type, quantity, reason }) => {
+  if (!Number.isInteger(quantity)) {
+    throw new Error('Please enter a whole number');
+  }
+
+  switch (type) {
+    case STOCK_MOVEMENT_TYPES.STOCK_COUNT:
+      if (quantity < 0) throw new Error('The counted quantity cannot be negative');
+      return quantity - currentStock;
+    case STOCK_MOVEMENT_TYPES.PURCHASE_RECEIPT:
+      if (quantity <= 0) throw new Error('The quantity received must be more than 0');
+      return quantity;
+    case STOCK_MOVEMENT_TYPES.ADJUSTMENT:
+      if (quantity === 0) throw new Error('The adjustment cannot be 0');
+      if (!reason) throw new Error('Please give a reason for the adjustment');
+      if (currentStock + quantity < 0) {
+        throw new Error(`Only ${currentStock} in stock, so at most ${currentStock} can be taken out`);
+      }
+      return quantity;
+    default:
+      throw new Error('Invalid stock movement type');
+  }
+};
+
+/**
+ * Signed quantity for display, e.g. "+5" or "-2"
+ * @param {number} quantity - Stock change
+ * @returns {string}
+ */
+export const formatStockChange = (quantity) => (quantity > 0 ? `+${quantity}` : String(quantity));
+
+/**
+ * Whether a product has fallen to its reorder level
+ * Products without a reorder level, and archived ones, are never low.
+ * @param {Object} product - Product document
+ * @returns {boolean}
+ */
+export const isLowStock = (product) =>
+  !product.archived &&
+  product.reorderLevel != null &&
+  (product.currentStock || 0) <= product.reorderLevel;
+
+/**
+ * Products at or below their reorder level, furthest below first
+ * @param {Array<Object>} products - Product documents
+ * @returns {Array<Object>}
+ */
+export const getLowStockProducts = (products) =>
+  products
+    .filter(isLowStock)
+    .sort(
+      (a, b) =>
+        (a.currentStock || 0) - a.reorderLevel - ((b.currentStock || 0) - b.reorderLevel) ||
+        a.name.localeCompare(b.name)
+    );
@@ -1,20 +1,268 @@
+import { applyRate, divideRounded, fromMinor, multiplyAmount, removeRate, toMinor } from './money';
+
+/**
+ * Whether entered prices are before VAT (exclusive) or already include it (inclusive)
+ */
+export const PRICING_MODES = {
+  EXCLUSIVE: 'exclusive',
+  INCLUSIVE: 'inclusive',
+};
+
 /**
- * Calculate RRA VAT (Value Added Tax) for Rwanda
- * @param {number} subtotal - The subtotal amount before tax
+ * Calculate RRA VAT (Value Added Tax) for Rwanda, on and returning integer minor units
+ * In inclusive mode the amount is the VAT-inclusive total and VAT is backed out of it;
+ * the VAT is always total - subtotal so the three figures reconcile exactly.
+ * @param {number} amountMinor - The entered amount (before VAT, or including VAT in inclusive mode)
  * @param {number} vatRate - The VAT rate (e.g., 0.18 for 18%)
- * @returns {Object} Object containing vatAmount and total
+ * @param {string} pricingMode - One of PRICING_MODES
+ * @returns {Object} Object containing subtotal, vatAmount and total
+ */
+const calculateTaxMinor = (amountMinor, vatRate, pricingMode) => {
+  if (pricingMode === PRICING_MODES.INCLUSIVE) {
+    const subtotal = removeRate(amountMinor, vatRate);
+    return { subtotal, vatAmount: amountMinor - subtotal, total: amountMinor };
+  }
+
+  const vatAmount = applyRate(amountMinor, vatRate);
+  return { subtotal: amountMinor, vatAmount, total: amountMinor + vatAmount };
+};
+
+/**
+ * RRA VAT categories a product or sale line can fall under
+ */
+export const TAX_CATEGORIES = {
+  STANDARD: 'standard',
+  ZERO_RATED: 'zero_rated',
+  EXEMPT: 'exempt',
+};
+
+export const TAX_CATEGORY_LABELS = {
+  [TAX_CATEGORIES.STANDARD]: 'Standard rated',
+  [TAX_CATEGORIES.ZERO_RATED]: 'Zero-rated',
+  [TAX_CATEGORIES.EXEMPT]: 'Exempt',
+};
+
+/**
+ * Get the VAT rate that applies to a tax category
+ * @param {string} taxCategory - One of TAX_CATEGORIES (defaults to standard)
+ * @param {number} vatRate - The business standard VAT rate
+ * @returns {number} The rate to apply
+ */
+export const getCategoryRate = (taxCategory, vatRate = 0.18) => {
+  if (taxCategory === TAX_CATEGORIES.ZERO_RATED || taxCategory === TAX_CATEGORIES.EXEMPT) {
+    return 0;
+  }
+  return vatRate;
+};
+
+const emptyVatBreakdown = () => ({
+  [TAX_CATEGORIES.STANDARD]: { net: 0, vat: 0 },
+  [TAX_CATEGORIES.ZERO_RATED]: { net: 0, vat: 0 },
+  [TAX_CATEGORIES.EXEMPT]: { net: 0, vat: 0 },
+});
+
+/**
+ * Calculate VAT line by line for a sale
+ * Each line is rounded on its own and the sale totals are the sum of the lines,
+ * so the printed line totals always add up to the receipt total.
+ * Zero-rated and exempt lines carry no VAT but are reported separately.
+ * A line's discount comes off its price before VAT is worked out.
+ * @param {Array} items - Sale lines ({pricePerItem, quantity, taxCategory, discount})
+ * @param {number} vatRate - The business standard VAT rate
+ * @param {string} pricingMode - One of PRICING_MODES (defaults to exclusive)
+ * @returns {Object} subtotal, vatAmount, total, per-line amounts and vatBreakdown keyed by category
  */
-export const calculateTax = (subtotal, vatRate = 0.18) => {
-  const vatAmount = subtotal * vatRate;
-  const total = subtotal + vatAmount;
+export const calculateSaleTax = (items, vatRate = 0.18, pricingMode = PRICING_MODES.EXCLUSIVE) => {
+  const vatBreakdown = emptyVatBreakdown();
+
+  let subtotal = 0;
+  let vatAmount = 0;
+
+  // Everything below is in integer minor units until the return
+  const lines = items.map((item) => {
+    const category = vatBreakdown[item.taxCategory]
+      ? item.taxCategory
+      : TAX_CATEGORIES.STANDARD;
+    const line = calculateTaxMinor(
+      multiplyAmount(item.pricePerItem, item.quantity) - toMinor(item.discount),
+      getCategoryRate(category, vatRate),
+      pricingMode
+    );
+    vatBreakdown[category].net += line.subtotal;
+    vatBreakdown[category].vat += line.vatAmount;
+    subtotal += line.subtotal;
+    vatAmount += line.vatAmount;
+
+    return {
+      lineNet: fromMinor(line.subtotal),
+      lineVat: fromMinor(line.vatAmount),
+      lineTotal: fromMinor(line.total),
+    };
+  });
+
+  Object.values(vatBreakdown).forEach((entry) => {
+    entry.net = fromMinor(entry.net);
+    entry.vat = fromMinor(entry.vat);
+  });
 
   return {
-    subtotal: parseFloat(subtotal.toFixed(2)),
-    vatAmount: parseFloat(vatAmount.toFixed(2)),
-    total: parseFloat(total.toFixed(2)),
+    subtotal: fromMinor(subtotal),
+    vatAmount: fromMinor(vatAmount),
+    total: fromMinor(subtotal + vatAmount),
+    lines,
+    vatBreakdown,
   };
 };
 
+/**
+ * Spread a discount on the whole cart over its lines in proportion to their amounts
+ * Each line gets the difference between the cumulative share after and before it, so the
+ * line discounts always add up to exactly the cart discount.
+ * @param {Array} items - Sale lines ({pricePerItem, quantity, discount})
+ * @param {number} discount - Cart discount, in the same terms as the prices
+ * @returns {Array} Items with the share added to their discount
+ */
+export const applyCartDiscount = (items, discount) => {
+  const amounts = items.map(
+    (item) => multiplyAmount(item.pricePerItem, item.quantity) - toMinor(item.discount)
+  );
+  const totalAmount = amounts.reduce((sum, amount) => sum + amount, 0);
+  const discountMinor = Math.min(toMinor(discount), totalAmount);
+  if (discountMinor <= 0) return items;
+
+  let runningAmount = 0;
+  let allocated = 0;
+  return items.map((item, index) => {
+    runningAmount += amounts[index];
+    const allocatedAfter = divideRounded(discountMinor * runningAmount, totalAmount);
+    const share = allocatedAfter - allocated;
+    allocated = allocatedAfter;
+    return { ...item, discount: fromMinor(toMinor(item.discount) + share) };
+  });
+};
+
+/**
+ * Get the VAT breakdown of a stored sale
+ * Sales recorded before tax categories existed are treated as fully standard rated
+ * @param {Object} sale - Sale document
+ * @returns {Object} vatBreakdown keyed by category
+ */
+export const getSaleVatBreakdown = (sale) => {
+  if (sale.vatBreakdown) {
+    return { ...emptyVatBreakdown(), ...sale.vatBreakdown };
+  }
+  const vatBreakdown = emptyVatBreakdown();
+  vatBreakdown[TAX_CATEGORIES.STANDARD] = {
+    net: sale.subtotal || 0,
+    vat: sale.vatAmount || 0,
+  };
+  return vatBreakdown;
+};
+
+/**
+ * VAT breakdown of a sale as display rows, skipping categories the sale does not use
+ * @param {Object} sale - Sale or credit note document
+ * @returns {Array<{category: string, label: string, net: number, vat: number}>}
+ */
+export const getVatBreakdownRows = (sale) => {
+  const vatBreakdown = getSaleVatBreakdown(sale);
+  return Object.values(TAX_CATEGORIES)
+    .filter((category) => vatBreakdown[category].net !== 0)
+    .map((category) => ({
+      category,
+      label: TAX_CATEGORY_LABELS[category],
+      ...vatBreakdown[category],
+    }));
+};
+
+/**
+ * Get the lines of a stored sale with their net, VAT and total amounts
+ * Sales recorded before line amounts were stored are recomputed from their effective VAT rate
+ * @param {Object} sale - Sale document
+ * @returns {Array} Sale items including lineNet, lineVat and lineTotal
+ */
+export const getSaleLines = (sale) => {
+  if (sale.items.every((item) => item.lineTotal !== undefined)) {
+    return sale.items;
+  }
+  const effectiveRate = sale.subtotal ? sale.vatAmount / sale.subtotal : 0;
+  const { lines } = calculateSaleTax(sale.items, effectiveRate, sale.pricingMode);
+  return sale.items.map((item, index) => ({ ...item, ...lines[index] }));
+};
+
+/**
+ * Calculate the lines and totals of a credit note against a sale
+ * A returned line is credited the difference between the pro-rata share of the original
+ * line after and before this return, so refunding a line in several steps always adds up
+ * to exactly the original line amounts.
+ * @param {Object} sale - Original sale document
+ * @param {Array} returns - Lines being returned ({lineIndex, quantity})
+ * @param {Array<number>} refundedQuantities - Quantities already refunded per sale line
+ * @returns {Object} items, subtotal, vatAmount, total and vatBreakdown of the credit note
+ */
+export const calculateCreditNote = (sale, returns, refundedQuantities = []) => {
+  const saleLines = getSaleLines(sale);
+  const vatBreakdown = emptyVatBreakdown();
+  let subtotal = 0;
+  let vatAmount = 0;
+
+  const items = returns.map(({ lineIndex, quantity }) => {
+    const line = saleLines[lineIndex];
+    const before = refundedQuantities[lineIndex] || 0;
+    const after = before + quantity;
+    const share = (amount, refunded) =>
+      divideRounded(toMinor(amount) * refunded, line.quantity);
+
+    const lineNet = share(line.lineNet, after) - share(line.lineNet, before);
+    const lineVat = share(line.lineVat, after) - share(line.lineVat, before);
+    const category = vatBreakdown[line.taxCategory] ? line.taxCategory : TAX_CATEGORIES.STANDARD;
+
+    vatBreakdown[category].net += lineNet;
+    vatBreakdown[category].vat += lineVat;
+    subtotal += lineNet;
+    vatAmount += lineVat;
+
+    return {
+      lineIndex,
+      productId: line.productId,
+      productName: line.productName,
+      quantity,
+      pricePerItem: line.pricePerItem,
+      unitCost: line.unitCost ?? null,
+      taxCategory: category,
+      lineNet: fromMinor(lineNet),
+      lineVat: fromMinor(lineVat),
+      lineTotal: fromMinor(lineNet + lineVat),
+    };
+  });
+
+  Object.values(vatBreakdown).forEach((entry) => {
+    entry.net = fromMinor(entry.net);
+    entry.vat = fromMinor(entry.vat);
+  });
+
+  return {
+    items,
+    subtotal: fromMinor(subtotal),
+    vatAmount: fromMinor(vatAmount),
+    total: fromMinor(subtotal + vatAmount),
+    vatBreakdown,
+  };
+};
+
+/**
+ * Total already refunded on a sale
+ * @param {Object} sale - Original sale document
+ * @param {Array<number>} refundedQuantities - Quantities refunded per sale line
+ * @returns {number} Refunded total in RWF (sum of the credit notes so far)
+ */
+export const getRefundedTotal = (sale, refundedQuantities = []) => {
+  const returns = refundedQuantities
+    .map((quantity, lineIndex) => ({ lineIndex, quantity }))
+    .filter((line) => line.quantity > 0);
+  return returns.length > 0 ? calculateCreditNote(sale, returns).total : 0;
+};
+
 /**
  * Format currency for display (Rwandan Franc - RWF)
  * @param {number} amount - The amount to format